@@ -0,0 +1,126 @@
+/**
+ * Reference event collector
+ * ----------------------------------------------------
+ * Dependency-free Node server for running the HTTP transport end to end:
+ *
+ *   npm run collector            # http://localhost:8787/events → ./collector/events.ndjson
+ *   PORT=9000 EVENTS_FILE=/tmp/e.ndjson npm run collector
+ *
+ *  - POST /events  body { events: [...] } or a bare array (any content type, so
+ *                  sendBeacon's text/plain works). Appends one JSON line per new
+ *                  event; events whose `event_id` was already stored are skipped.
+ *                  → 200 { accepted, duplicates }
+ *  - GET  /events  → the stored NDJSON (the Dashboard's "Collector" source)
+ *  - GET  /health  → { ok, events }
+ *
+ * CORS is open (ALLOWED_ORIGIN, default "*") so the Vite dev server and the
+ * GitHub Pages build can both post to it.
+ */
+
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 8787;
+const EVENTS_FILE = process.env.EVENTS_FILE || path.join(here, "events.ndjson");
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const seen = new Set();
+if (fs.existsSync(EVENTS_FILE)) {
+  for (const line of fs.readFileSync(EVENTS_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const evt = JSON.parse(line);
+      if (evt.event_id) seen.add(evt.event_id);
+    } catch {
+      // keep going; a torn last line from a crash shouldn't stop the server
+    }
+  }
+}
+
+function send(res, status, body, type = "application/json") {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Access-Control-Allow-Origin": ALLOWED_ORIGIN,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Payload too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function isEvent(e) {
+  return e && typeof e === "object" && typeof e.event === "string" && typeof e.timestamp === "string";
+}
+
+async function handlePost(req, res) {
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch (err) {
+    if (req.destroyed) return; // oversize body: the socket is already gone
+    return send(res, 400, { error: `Invalid JSON body: ${err.message}` });
+  }
+  const events = Array.isArray(payload) ? payload : payload && payload.events;
+  if (!Array.isArray(events) || !events.every(isEvent)) {
+    return send(res, 400, { error: "Expected { events: [...] } with event and timestamp on every item" });
+  }
+  // Repeats inside one batch (an outbox retry merged with a beacon) are dropped too
+  const batchIds = new Set();
+  const fresh = events.filter((e) => {
+    if (!e.event_id) return true;
+    if (seen.has(e.event_id) || batchIds.has(e.event_id)) return false;
+    batchIds.add(e.event_id);
+    return true;
+  });
+  const receivedAt = new Date().toISOString();
+  if (fresh.length) {
+    try {
+      fs.appendFileSync(EVENTS_FILE, fresh.map((e) => JSON.stringify({ ...e, received_at: receivedAt })).join("\n") + "\n");
+    } catch (err) {
+      // Nothing is marked as seen, so the client's retry is stored rather than counted as duplicates
+      return send(res, 500, { error: `Could not store events: ${err.message}` });
+    }
+  }
+  for (const id of batchIds) seen.add(id);
+  send(res, 200, { accepted: fresh.length, duplicates: events.length - fresh.length });
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") return send(res, 204, "");
+  if (pathname === "/events" && req.method === "POST") {
+    return handlePost(req, res).catch((err) => send(res, 500, { error: err.message }));
+  }
+  if (pathname === "/events" && req.method === "GET") {
+    const body = fs.existsSync(EVENTS_FILE) ? fs.readFileSync(EVENTS_FILE, "utf8") : "";
+    return send(res, 200, body, "application/x-ndjson");
+  }
+  if (pathname === "/health") return send(res, 200, { ok: true, events: seen.size });
+  send(res, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => {
+  // eslint-disable-next-line no-console
+  console.log(`[collector] listening on http://localhost:${PORT}/events → ${EVENTS_FILE}`);
+});
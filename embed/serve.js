@@ -0,0 +1,40 @@
+/**
+ * Demo host for the embeddable widget
+ * ----------------------------------------------------
+ * Serves embed/demo.html from a different origin than the app, so the
+ * postMessage bridge and its origin checks run as they would inside Forms
+ * Studio:
+ *
+ *   npm run dev                  # the app, http://localhost:5173/FS-Pricing/
+ *   npm run embed-demo           # the host, http://localhost:8788/
+ *   PORT=9001 npm run embed-demo # another port must also be in VITE_EMBED_ORIGINS
+ *
+ * The demo frames http://localhost:5173/FS-Pricing/ unless the page URL says
+ * otherwise (?app=http://localhost:4173/FS-Pricing/ for `npm run preview`; a
+ * production build only allows the hosts in VITE_EMBED_ORIGINS, so build it
+ * with VITE_EMBED_ORIGINS=http://localhost:8788).
+ */
+
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 8788;
+const DEMO_FILE = path.join(here, "demo.html");
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method !== "GET" || (pathname !== "/" && pathname !== "/demo.html")) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    return res.end("Not found");
+  }
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(fs.readFileSync(DEMO_FILE));
+});
+
+server.listen(PORT, () => {
+  // eslint-disable-next-line no-console
+  console.log(`[embed-demo] host page on http://localhost:${PORT}/`);
+});
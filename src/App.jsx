@@ -1,88 +1,193 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import {
+  DEFAULT_EXPERIMENT,
+  billingTerms,
+  eventsForExperiment,
+  findExperiment,
+  displayPrice,
+  findVariant,
+  isBanded,
+  loadActiveExperimentId,
+  loadExperiments,
+  offeredAddons,
+  quoteChecks,
+  quoteOffer,
+  saveActiveExperimentId,
+  saveExperiments,
+  trafficShares,
+  variantPrices,
+  variantWeight,
+} from "./experiments.js";
+import BandPricingPanel from "./BandPricingPanel.jsx";
+import CampaignPanel from "./CampaignPanel.jsx";
+import CurrencyPanel from "./CurrencyPanel.jsx";
+import DataQualityPanel from "./DataQualityPanel.jsx";
+import DemandCurvePanel from "./DemandCurvePanel.jsx";
+import ExperimentEditor from "./ExperimentEditor.jsx";
+import FactorialPanel from "./FactorialPanel.jsx";
+import FunnelPanel from "./FunnelPanel.jsx";
+import ImportPanel from "./ImportPanel.jsx";
+import LeadsPage from "./LeadsPage.jsx";
+import LifecyclePanel from "./LifecyclePanel.jsx";
+import OfferPanel from "./OfferPanel.jsx";
+import PivotPanel from "./PivotPanel.jsx";
+import PrivacyPanel from "./PrivacyPanel.jsx";
+import ReportPage from "./ReportPage.jsx";
+import SimulatorPanel from "./SimulatorPanel.jsx";
+import TimeSeriesPanel from "./TimeSeriesPanel.jsx";
+import TransportPanel from "./TransportPanel.jsx";
+import WtpPage from "./WtpPage.jsx";
+import WtpPanel from "./WtpPanel.jsx";
+import WtpSurvey from "./WtpSurvey.jsx";
+import { loadEvents, logEvent, saveEvents } from "./events.js";
+import { appendedSince, createSandboxStore, getAggregates, getLogPosition, getStoreVersion, subscribeToEvents } from "./eventStore.js";
+import { migrateEvent } from "./schema.js";
+import { PERSONAS, POPULATION_BANDS, loadSegment, saveSegment, segmentProps } from "./segment.js";
+import { emailHash } from "./hash.js";
+import { exportableEvents, newLeadId, purgeExpiredLeads, upsertLead } from "./leads.js";
+import { COUNT_UNITS, createSummary, dateRangeBounds, filterByDateRange, inDateRange, summarize } from "./metrics.js";
+import { fetchCollectorEvents, loadTransportConfig } from "./transport.js";
+import { captureAttribution, touchChecks } from "./attribution.js";
+import {
+  BASE_CURRENCY,
+  CURRENCIES,
+  currencyChecks,
+  filterByCurrency,
+  inCurrency,
+  loadFxSettings,
+  localAmount,
+  localizeVariant,
+  normalizeEvents,
+  offeredCurrencies,
+  pickCurrency,
+  shownPrices,
+} from "./currency.js";
+import { buildReport, downloadReport } from "./report.js";
+import { EMBED_ROUTE, embedProblem, openBridge, parseEmbedParams } from "./embed.js";
+import { ASSIGNED_ROUTE, bucketPrice, factorAssignment, saveAssignment, storedAssignment } from "./assignment.js";
+import { experimentFactors, fenceList, resolveLevels } from "./factors.js";
+import { interactionChecks } from "./factorial.js";
+import { isCollecting, statusInfo } from "./lifecycle.js";
+import { applyQaParam, createFlagger, excludeFlagged, flagEvents, isExcluded, isQaMode, loadExclusions, saveExclusions, setQaMode, subscribeQaMode } from "./quality.js";
+import { chiSquareGoodnessOfFit, compareProportions, sampleSizeChecks, wilsonInterval } from "./stats.js";
+import { getVisitorId, setExternalVisitorId } from "./visitor.js";
+import { WTP_METHODS, vanWestendorpChecks, wtpMethod } from "./wtp.js";
+import { Metric, Td, Th, currency } from "./ui.jsx";
+import "./embed.css";
 
 /**
  * Forms Studio – Premium Plus Pricing Sensitivity Suite
  * ----------------------------------------------------
  * Routes:
- *  - #/dashboard           → Aggregated metrics across all variants
- *  - #/pp/5400             → Premium Plus page @ $5,400
- *  - #/pp/6000             → Premium Plus page @ $6,000
- *  - #/pp/6900             → Premium Plus page @ $6,900
+ *  - #/dashboard           → Aggregated metrics, per experiment
+ *  - #/experiments         → Experiment editor (id, plan, anchor, variant prices, weights, offers, factors,
+ *                            schedule and sample-size plan)
+ *  - #/leads               → Early Access leads: search, de-duplication, scoring, CRM CSV export
+ *  - #/wtp[/<method>]      → Standalone willingness-to-pay survey (van-westendorp | gabor-granger)
+ *  - #/pp                  → Randomized entry: sticky, weighted assignment to a variant
+ *  - #/pp/<price>          → Plan page @ one of the active experiment's variant prices, with that
+ *                            variant's offer: billing term (monthly / annual) and priced add-ons
+ *                            (band-priced experiments ask for the population band before showing a price), in the
+ *                            visitor's currency: ?currency=CAD|GBP or the browser's locale (currency.js)
+ *  - #/embed?host=…        → Plan card and upsell tiles only, for an iframe in the host app: variant, theme and
+ *                            visitor id come from the URL and logged events are posted to the host (embed.js)
+ *  - #/report              → Read-only viewer for a results report file made with the Dashboard's
+ *                            "Generate report" (report.js)
  *
- * Each variant page logs events to localStorage using these schemas:
- *   PricingPlanViewed, PricingPlanCTA, UpsellTileClicked, EarlyAccessJoin
- * The Dashboard aggregates across all three variant pages.
+ * Each variant page logs events (see events.js) using these schemas (registered in schema.js):
+ *   VariantAssigned, PricingPlanViewed, PricingPlanCTA, UpsellTileClicked, EarlyAccessJoin
+ * plus the Early Access modal funnel:
+ *   EarlyAccessModalOpened, EarlyAccessFieldInteracted, EarlyAccessValidationFailed, EarlyAccessModalDismissed
+ * and the willingness-to-pay survey (wtp.js; after the EA form when the experiment enables it, or #/wtp):
+ *   WtpSurveyCompleted, WtpSurveySkipped
+ * Events always land in this browser's event store (IndexedDB, eventStore.js)
+ * and, when configured, are also shipped to an HTTP collector (transport.js,
+ * collector/server.js). Early Access contact
+ * details never do: they stay in this browser's lead store (leads.js), only
+ * with consent, and are purged after the configured retention period.
+ * Every event carries the `experiment_id` it was logged under, so the Dashboard
+ * can switch between past and current tests without mixing their data, and the
+ * visitor's first- and last-touch campaign (UTM parameters before or inside
+ * the hash, or the referrer; attribution.js).
+ * Only running experiments record anything (lifecycle.js): the plan pages of
+ * draft, paused and concluded experiments are previews.
  */
 
-// ----------------------------- constants -----------------------------
-const PRICE_VARIANTS = [5400, 6000, 6900];
-const PREMIUM_PRICE = 4000;
-const STORAGE_KEY = "pp_test_events";
-
-const populationBands = ["<10k", "10k–50k", "50k–150k", "150k–500k", ">500k"];
-const personas = ["City Clerk", "IT Manager", "Department Admin", "Analyst"];
-
 // ----------------------------- utils -----------------------------
-function currency(n) {
-  return n.toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
-}
-function loadEvents() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : [];
-  } catch {
-    return [];
-  }
-}
-function saveEvents(events) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(events));
-}
-function logEvent(name, properties = {}) {
-  const evt = { timestamp: new Date().toISOString(), event: name, properties };
-  const cur = loadEvents();
-  cur.push(evt);
-  saveEvents(cur);
-  // For debugging visibility
-  // eslint-disable-next-line no-console
-  console.log("[LOG]", evt);
-}
 function useHashRoute() {
   const [hash, setHash] = useState(() => window.location.hash || "#/dashboard");
   useEffect(() => {
-    const h = () => setHash(window.location.hash || "#/dashboard");
+    const h = () => {
+      applyQaParam(); // before the new page renders and logs
+      captureAttribution(); // links into an open tab (#/pp/6000?utm_source=…)
+      setHash(window.location.hash || "#/dashboard");
+    };
     window.addEventListener("hashchange", h);
     return () => window.removeEventListener("hashchange", h);
   }, []);
   return hash;
 }
-function parseRoute(hash) {
-  // Formats: #/dashboard | #/pp/5400 | #/pp/6000 | #/pp/6900
-  const parts = (hash || "#/dashboard").replace(/^#/, "").split("/").filter(Boolean);
-  if (parts[0] === "pp" && PRICE_VARIANTS.includes(Number(parts[1]))) {
+function parseRoute(hash, experiment) {
+  // Formats: #/dashboard | #/experiments | #/leads | #/wtp[/<method>] | #/pp | #/pp/<price> (price must be a variant of the active experiment)
+  // | #/embed | #/report, each optionally followed by ?<params> (e.g. ?qa=1, see quality.js; the widget's settings, see embed.js)
+  const parts = (hash || "#/dashboard").replace(/^#/, "").split("?")[0].split("/").filter(Boolean);
+  if (parts[0] === "pp" && parts.length === 1) return { page: "pp-assign" };
+  if (parts[0] === "pp" && variantPrices(experiment).includes(Number(parts[1]))) {
     return { page: "pp", price: Number(parts[1]) };
   }
+  if (parts[0] === "embed") return { page: "embed" };
+  if (parts[0] === "experiments") return { page: "experiments" };
+  if (parts[0] === "leads") return { page: "leads" };
+  if (parts[0] === "report") return { page: "report" };
+  if (parts[0] === "wtp") {
+    const configured = wtpMethod(experiment);
+    const method = WTP_METHODS.some((m) => m.key === parts[1] && m.key !== "off") ? parts[1] : configured === "off" ? "van-westendorp" : configured;
+    return { page: "wtp", method };
+  }
   return { page: "dashboard" };
 }
 
 // ----------------------------- app root -----------------------------
 export default function App() {
   const hash = useHashRoute();
-  const route = parseRoute(hash);
+  const [experiments, setExperiments] = useState(loadExperiments);
+  const [activeId, setActiveId] = useState(() => loadActiveExperimentId(experiments));
+  const experiment = findExperiment(experiments, activeId) || experiments[0];
+  const route = parseRoute(hash, experiment);
+
+  useEffect(() => {
+    purgeExpiredLeads();
+  }, []);
 
+  function updateExperiments(next) {
+    saveExperiments(next);
+    setExperiments(next);
+  }
+  function activate(id) {
+    saveActiveExperimentId(id);
+    setActiveId(id);
+  }
+
+  if (route.page === "embed") return <EmbeddedPlan key={`${experiment.id}:${hash}`} experiment={experiment} hash={hash} />;
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900">
-      <TopNav route={route} />
-      {route.page === "dashboard" ? <Dashboard /> : <PlanPage price={route.price} />}
+      <TopNav route={route} experiment={experiment} />
+      {route.page === "dashboard" && <Dashboard experiments={experiments} activeId={experiment.id} onSaveExperiments={updateExperiments} />}
+      {route.page === "experiments" && (
+        <ExperimentEditor experiments={experiments} activeId={experiment.id} onSave={updateExperiments} onActivate={activate} />
+      )}
+      {route.page === "leads" && <LeadsPage />}
+      {route.page === "report" && <ReportPage />}
+      {route.page === "wtp" && <WtpPage key={`${experiment.id}:${route.method}`} experiment={experiment} method={route.method} />}
+      {route.page === "pp-assign" && <AssignedPlanPage key={experiment.id} experiment={experiment} />}
+      {route.page === "pp" && <PlanPage key={`${experiment.id}:${route.price}`} experiment={experiment} price={route.price} />}
       <Footer />
     </div>
   );
 }
 
-function TopNav({ route }) {
+function TopNav({ route, experiment }) {
+  const qa = useSyncExternalStore(subscribeQaMode, isQaMode);
   function go(nextHash) {
     try {
       window.location.hash = nextHash;
@@ -95,21 +200,41 @@ function TopNav({ route }) {
           <h1 className="text-xl font-semibold">
             Forms Studio — <span className="text-indigo-700">Premium Plus</span>{" "}
             <span className="ml-2 inline-block text-xs font-medium px-2 py-1 rounded-full bg-amber-100 text-amber-800">Early Access</span>
+            {qa && (
+              <button
+                onClick={() => setQaMode(false)}
+                title="Events from this browser are tagged internal. Click to leave QA mode."
+                className="ml-2 inline-block text-xs font-medium px-2 py-1 rounded-full bg-rose-100 text-rose-800"
+              >
+                QA mode ×
+              </button>
+            )}
           </h1>
-          <p className="text-xs text-slate-600">Pricing sensitivity suite with variant pages and an aggregated dashboard.</p>
+          <p className="text-xs text-slate-600">Pricing sensitivity suite · {experiment.name}</p>
         </div>
         <nav className="flex items-center gap-2 text-sm">
           <button onClick={() => go("#/dashboard")} className={btnNav(route.page === "dashboard")}>
             Dashboard
           </button>
-          <button onClick={() => go("#/pp/5400")} className={btnNav(route.page === "pp" && route.price === 5400)}>
-            $5,400
+          <button onClick={() => go(ASSIGNED_ROUTE)} className={btnNav(route.page === "pp-assign")}>
+            Randomized
+          </button>
+          {variantPrices(experiment).map((p) => (
+            <button key={p} onClick={() => go(`#/pp/${p}`)} className={btnNav(route.page === "pp" && route.price === p)}>
+              {currency(p)}
+            </button>
+          ))}
+          <button onClick={() => go("#/experiments")} className={btnNav(route.page === "experiments")}>
+            Experiments
+          </button>
+          <button onClick={() => go("#/leads")} className={btnNav(route.page === "leads")}>
+            Leads
           </button>
-          <button onClick={() => go("#/pp/6000")} className={btnNav(route.page === "pp" && route.price === 6000)}>
-            $6,000
+          <button onClick={() => go("#/wtp")} className={btnNav(route.page === "wtp")}>
+            Survey
           </button>
-          <button onClick={() => go("#/pp/6900")} className={btnNav(route.page === "pp" && route.price === 6900)}>
-            $6,900
+          <button onClick={() => go("#/report")} className={btnNav(route.page === "report")}>
+            Report
           </button>
         </nav>
       </div>
@@ -123,98 +248,367 @@ function btnNav(active) {
 }
 
 // ----------------------------- plan page (variant) -----------------------------
-function PlanPage({ price }) {
+// Neutral entry for real traffic: buckets the visitor once, then shows the assigned price.
+function AssignedPlanPage({ experiment, route = ASSIGNED_ROUTE, embedded = false }) {
+  const [price, setPrice] = useState(() => storedAssignment(experiment));
+
+  useEffect(() => {
+    if (price != null) return;
+    const existing = storedAssignment(experiment); // effect re-runs (StrictMode) must not re-log
+    if (existing != null) {
+      setPrice(existing);
+      return;
+    }
+    const visitorId = getVisitorId();
+    const picked = bucketPrice(experiment, visitorId);
+    // Previews (not running) show the bucketed price without making it sticky or logging it
+    if (!isCollecting(experiment)) {
+      setPrice(picked);
+      return;
+    }
+    saveAssignment(experiment, picked);
+    logEvent("VariantAssigned", {
+      experiment_id: experiment.id,
+      visitor_id: visitorId,
+      assigned_price: picked,
+      weights: experiment.variants.map(variantWeight),
+      ...(experimentFactors(experiment).length ? { factors: factorAssignment(experiment, visitorId) } : {}),
+      route,
+    });
+    setPrice(picked);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [experiment, price]);
+
+  if (price == null) return null;
+  return <PlanPage experiment={experiment} price={price} route={route} embedded={embedded} />;
+}
+
+// `embedded`: only the plan card and the upsell tiles (#/embed)
+function PlanPage({ experiment, price, route = `#/pp/${price}`, embedded = false }) {
   const [eaOpen, setEaOpen] = useState(false);
-  const [eaForm, setEaForm] = useState({ org: "", email: "", persona: personas[0], population: populationBands[2] });
+  const [eaStep, setEaStep] = useState("form"); // "form" → "survey" after joining, when the experiment runs one
+  const [band, setBand] = useState(() => loadSegment().population_band || "");
+  const [eaForm, setEaForm] = useState(() => {
+    const known = loadSegment();
+    return { org: "", email: "", persona: known.persona || PERSONAS[0], population: known.population_band || POPULATION_BANDS[2], consent: false };
+  });
+  const [eaErrors, setEaErrors] = useState({});
+  const modalSession = useRef(null); // { trigger, openedAt, touched: Set<field> } while the modal is open
   const variantKey = price; // used in logs & metrics
+  // Draft, paused and concluded experiments render as previews: no events, no leads
+  const collecting = isCollecting(experiment);
+  const log = (name, properties) => (collecting ? logEvent(name, properties) : null);
+  // Messaging / fence levels (factors.js): sticky per visitor (not for previews); untested factors show their control level
+  const [levels] = useState(() => factorAssignment(experiment, getVisitorId(), { save: collecting }));
+  const shown = resolveLevels(levels);
+  const fences = shown.fences.fences;
+  const factorProps = () => (Object.keys(levels).length ? { factors: levels } : {});
+  // Local currency (currency.js): by URL parameter or locale; `price` stays the base-currency variant key
+  const [currencyCode] = useState(() => pickCurrency(experiment));
+  const money = (n) => currency(n, currencyCode);
+  const baseVariant = findVariant(experiment, price);
+  const listed = localizeVariant(baseVariant, currencyCode);
+  const anchorPrice = localAmount(experiment.anchorPrice, baseVariant, currencyCode);
+  // Banded pricing: the price for the visitor's band, null until they pick one (nothing is priced or logged as viewed before)
+  const shownPrice = displayPrice(experiment, listed, band);
+  const bandProps = () => (isBanded(experiment) && shownPrice ? { band_price: shownPrice } : {});
+  const currencyProps = () => (shownPrice ? { currency: currencyCode, local_price: shownPrice } : { currency: currencyCode });
+  const variant = {
+    ...listed,
+    price: shownPrice || listed.price,
+    addons: fences.sso === "Included" && listed.addons ? Object.fromEntries(Object.entries(listed.addons).filter(([k]) => k !== "sso")) : listed.addons,
+  };
+  const [offer, setOffer] = useState({ term: "annual", addons: [] });
+  const quote = quoteOffer(variant, offer);
+  const terms = billingTerms(variant);
+  const addons = offeredAddons(variant);
 
-  // Log a view on mount
+  // Log a view on mount (banded pricing: once the band's price is on screen, again if the band changes)
   useEffect(() => {
-    logEvent("PricingPlanViewed", {
-      plan: "PremiumPlus",
+    if (shownPrice == null) return;
+    log("PricingPlanViewed", {
+      experiment_id: experiment.id,
+      plan: experiment.plan,
       audience: "Municipal",
-      population_band: eaForm.population,
-      displayed_price: variantKey,
-      route: `#/pp/${variantKey}`,
+      ...segmentProps(),
+      ...factorProps(),
+      ...bandProps(),
+      ...currencyProps(),
+      price: variantKey,
+      route,
     });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [variantKey]);
+  }, [variantKey, shownPrice, isBanded(experiment) && band]);
 
   function handleCTA(cta) {
-    logEvent("PricingPlanCTA", {
-      plan: "PremiumPlus",
+    log("PricingPlanCTA", {
+      experiment_id: experiment.id,
+      plan: experiment.plan,
       cta,
-      display_price: variantKey,
-      currency: "USD",
-      route: `#/pp/${variantKey}`,
-      fences: ["Submissions:Pooled", "SSO:Add-on", "Retention:7y"],
+      price: variantKey,
+      route,
+      fences: fenceList(fences),
+      ...offerProps(),
+      ...segmentProps(),
+      ...factorProps(),
+      ...bandProps(),
+      ...currencyProps(),
     });
-    if (cta === "SelectPlan" || cta === "JoinEarlyAccess") setEaOpen(true);
+    if (cta === "SelectPlan" || cta === "JoinEarlyAccess") openEA(cta);
   }
   function handleTile(feature) {
-    logEvent("UpsellTileClicked", { feature, display_price: variantKey, route: `#/pp/${variantKey}` });
+    log("UpsellTileClicked", { experiment_id: experiment.id, plan: experiment.plan, feature, price: variantKey, route, ...segmentProps(), ...factorProps(), ...bandProps(), ...currencyProps() });
+    openEA(feature);
+  }
+
+  // ---- offer configurator ----
+  function offerProps() {
+    return {
+      billing_term: quote.term,
+      addons: quote.lines.map((l) => l.key),
+      offer_total: quote.total,
+      contract_value: quote.contractValue,
+    };
+  }
+  function toggleAddon(key) {
+    setOffer((o) => ({ ...o, addons: o.addons.includes(key) ? o.addons.filter((k) => k !== key) : o.addons.concat([key]) }));
+  }
+
+  // ---- Early Access modal funnel ----
+  function modalProps() {
+    return {
+      experiment_id: experiment.id,
+      plan: experiment.plan,
+      price: variantKey,
+      route,
+      trigger: modalSession.current.trigger,
+      ...segmentProps(),
+      ...factorProps(),
+      ...bandProps(),
+      ...currencyProps(),
+    };
+  }
+  function chooseBand(value) {
+    setBand(value);
+    saveSegment({ population_band: value || undefined });
+    if (value) setEaForm((f) => ({ ...f, population: value }));
+  }
+  function openEA(trigger) {
+    modalSession.current = { trigger, openedAt: Date.now(), touched: new Set() };
+    setEaErrors({});
+    setEaStep("form");
     setEaOpen(true);
+    log("EarlyAccessModalOpened", modalProps());
+  }
+  function touchField(field) {
+    const session = modalSession.current;
+    if (!session || session.touched.has(field)) return;
+    session.touched.add(field);
+    log("EarlyAccessFieldInteracted", { ...modalProps(), field });
+  }
+  function wtpContext() {
+    return { plan: experiment.plan, price: variantKey, route, trigger: "after_join" };
+  }
+  function dismissEA(reason) {
+    const session = modalSession.current;
+    if (eaStep === "survey") {
+      log("WtpSurveySkipped", { experiment_id: experiment.id, method: wtpMethod(experiment), ...wtpContext(), ...segmentProps() });
+    } else if (session) {
+      log("EarlyAccessModalDismissed", {
+        ...modalProps(),
+        reason,
+        fields_touched: Array.from(session.touched),
+        ms_open: Date.now() - session.openedAt,
+      });
+    }
+    modalSession.current = null;
+    setEaOpen(false);
+  }
+  useEffect(() => {
+    if (!eaOpen) return;
+    const onKey = (e) => e.key === "Escape" && dismissEA("escape");
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eaOpen, eaStep]);
+
+  function validateEA(form) {
+    const errors = {};
+    if (!form.org.trim()) errors.org = "Organization is required.";
+    if (!form.email.trim()) errors.email = "Work email is required.";
+    else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.email.trim())) errors.email = "Enter a valid email address.";
+    return errors;
   }
 
   function submitEA(e) {
     e.preventDefault();
-    if (!eaForm.org || !eaForm.email) return;
-    logEvent("EarlyAccessJoin", {
-      plan: "PremiumPlus",
-      quoted_price: variantKey,
+    const errors = validateEA(eaForm);
+    setEaErrors(errors);
+    if (Object.keys(errors).length) {
+      log("EarlyAccessValidationFailed", { ...modalProps(), fields: Object.keys(errors) });
+      return;
+    }
+    // Contact details go to the lead store (only with consent); the event gets ids
+    const lead =
+      eaForm.consent && collecting
+        ? upsertLead({
+            email: eaForm.email,
+            org: eaForm.org.trim(),
+            persona: eaForm.persona,
+            population_band: eaForm.population,
+            experiment_id: experiment.id,
+            price: variantKey,
+            consent: true,
+          })
+        : null;
+    log("EarlyAccessJoin", {
+      experiment_id: experiment.id,
+      plan: experiment.plan,
+      price: variantKey,
       persona: eaForm.persona,
-      municipality_size: eaForm.population,
-      org: eaForm.org,
-      email: eaForm.email,
-      utm_source: "pricing_variant",
-      route: `#/pp/${variantKey}`,
+      population_band: eaForm.population,
+      population_band_source: "selected",
+      lead_id: lead ? lead.lead_id : newLeadId(),
+      ...(eaForm.consent ? { email_hash: emailHash(eaForm.email) } : {}), // no consent: nothing derived from the email
+      consent: eaForm.consent,
+      route,
+      ...offerProps(),
+      ...factorProps(),
+      ...bandProps(),
+      ...currencyProps(),
     });
-    setEaOpen(false);
+    // On a banded experiment the band picked on the card sets the price; the form's answer doesn't move it
+    if (isBanded(experiment) && band) saveSegment({ persona: eaForm.persona });
+    else saveSegment({ population_band: eaForm.population, persona: eaForm.persona });
+    modalSession.current = null;
+    if (wtpMethod(experiment) === "off" || !collecting) setEaOpen(false);
+    else setEaStep("survey");
   }
 
-  // quick local metrics for this variant only
+  // quick local metrics for this variant only (raw events, kept up to date by the store)
+  const storeVersion = useEventStoreVersion();
   const variantMetrics = useMemo(() => {
-    const evts = loadEvents();
-    const viewed = evts.filter((e) => e.event === "PricingPlanViewed" && e.properties.displayed_price === variantKey).length;
-    const cta = evts.filter((e) => e.event === "PricingPlanCTA" && e.properties.display_price === variantKey).length;
-    const joined = evts.filter((e) => e.event === "EarlyAccessJoin" && e.properties.quoted_price === variantKey).length;
+    const { viewed, cta, joined } = getAggregates(experiment.id, variantKey);
     return { viewed, cta, joined, qsr: viewed ? (joined / viewed) * 100 : 0, ctaRate: viewed ? (cta / viewed) * 100 : 0 };
-  }, [variantKey]);
+  }, [experiment, variantKey, storeVersion]);
 
   return (
     <main className="max-w-6xl mx-auto px-4 py-8 grid md:grid-cols-5 gap-6">
-      <ShareableLinks />
+      {!embedded && <ShareableLinks experiment={experiment} />}
+      {!collecting && (
+        <div className="md:col-span-5 rounded-xl border border-amber-300 bg-amber-50 px-4 py-2 text-sm text-amber-800">
+          Preview — this experiment is {statusInfo(experiment).label.toLowerCase()}, so nothing on this page is recorded.
+        </div>
+      )}
       {/* Plan card */}
       <section className="md:col-span-3">
         <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
           <div className="p-6 flex items-start justify-between">
             <div>
               <h2 className="text-2xl font-bold">Premium Plus</h2>
-              <p className="text-sm text-slate-600 mt-1">
-                Everything in <span className="font-medium">Premium</span> plus Surveys and Built‑in Reporting.
-              </p>
+              <p className="text-sm text-slate-600 mt-1">{shown.copy.tagline}</p>
+              {isBanded(experiment) && (
+                <label className="mt-3 flex items-center gap-2 text-sm">
+                  <span className="text-slate-600">Your municipality</span>
+                  <select
+                    value={band}
+                    onChange={(e) => chooseBand(e.target.value)}
+                    className={`border rounded-lg px-2 py-1 ${shownPrice == null ? "border-indigo-500 ring-2 ring-indigo-200" : "border-slate-300"}`}
+                  >
+                    <option value="">Choose population…</option>
+                    {POPULATION_BANDS.map((p) => (
+                      <option key={p}>{p}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
             </div>
-            <div className="text-right">
-              <div className="text-3xl font-extrabold tracking-tight">
-                {currency(price)} <span className="text-base font-semibold text-slate-500">/ year</span>
+            {shownPrice == null ? (
+              <div className="text-right text-sm text-slate-600 max-w-[12rem]">Pricing depends on population — choose your municipality to see your price.</div>
+            ) : (
+              <div className="text-right">
+                <div className="text-3xl font-extrabold tracking-tight">
+                  {money(quote.base)} <span className="text-base font-semibold text-slate-500">/ {quote.term === "monthly" ? "month" : "year"}</span>
+                </div>
+                {isBanded(experiment) && <div className="text-xs text-slate-500">for municipalities of {band}</div>}
+                {quote.term === "monthly" ? (
+                  <div className="text-xs text-slate-500">Save {Math.round(variant.annualDiscount * 100)}% with annual billing</div>
+                ) : (
+                  shown.anchor.showAnchor && <div className="text-xs text-slate-500">Premium is {money(anchorPrice)}</div>
+                )}
               </div>
-              <div className="text-xs text-slate-500">Premium is {currency(PREMIUM_PRICE)}</div>
-            </div>
+            )}
           </div>
           <div className="px-6 pb-4">
             <ul className="grid md:grid-cols-2 gap-3 text-sm">
-              <li className="flex gap-2 items-start"><span>✅</span><span><b>Surveys</b> with branching, quotas, and templates</span></li>
-              <li className="flex gap-2 items-start"><span>✅</span><span><b>Built‑in analytics & dashboards</b> (filters, scheduled email reports)</span></li>
-              <li className="flex gap-2 items-start"><span>✅</span><span><b>Advanced builder</b> (reusable blocks, advanced validation)</span></li>
-              <li className="flex gap-2 items-start"><span>✅</span><span>Data retention 7 years · Audit trail</span></li>
-              <li className="flex gap-2 items-start"><span>➕</span><span>SSO available as add‑on</span></li>
+              {shown.features.features.map((f) => (
+                <li key={f.title} className="flex gap-2 items-start"><span>✅</span><span><b>{f.title}</b> {f.detail}</span></li>
+              ))}
+              <li className="flex gap-2 items-start"><span>✅</span><span>Data retention {fences.retention} years · Audit trail</span></li>
+              <li className="flex gap-2 items-start">
+                <span>✅</span>
+                <span>{fences.submissions === "Pooled" ? "Submissions pooled across all forms" : "Submission limits apply per form"}</span>
+              </li>
+              {fences.sso === "Included" ? (
+                <li className="flex gap-2 items-start"><span>✅</span><span><b>SSO included</b> (SAML / OIDC)</span></li>
+              ) : (
+                addons.some((a) => a.key === "sso") && <li className="flex gap-2 items-start"><span>➕</span><span>SSO available as add‑on</span></li>
+              )}
               <li className="flex gap-2 items-start"><span>🛈</span><span>Some features are <b>Early Access</b> (target: Q4)</span></li>
             </ul>
+            {shownPrice != null && (terms.length > 1 || addons.length > 0) && (
+              <div className="mt-5 rounded-xl border border-slate-200 bg-slate-50 p-4 text-sm">
+                {terms.length > 1 && (
+                  <div className="flex items-center gap-3 mb-3">
+                    <span className="text-slate-600">Billing</span>
+                    <div className="inline-flex rounded-lg border border-slate-300 bg-white overflow-hidden">
+                      {terms.map((t) => (
+                        <button
+                          key={t}
+                          onClick={() => setOffer((o) => ({ ...o, term: t }))}
+                          className={`px-3 py-1 ${quote.term === t ? "bg-slate-900 text-white" : "text-slate-700 hover:bg-slate-50"}`}
+                        >
+                          {t === "annual" ? `Annual (save ${Math.round(variant.annualDiscount * 100)}%)` : "Monthly"}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {addons.map((a) => {
+                  const line = quoteOffer(variant, { term: quote.term, addons: [a.key] }).lines[0];
+                  return (
+                    <label key={a.key} className="flex items-center gap-2 py-0.5">
+                      <input type="checkbox" checked={offer.addons.includes(a.key)} onChange={() => toggleAddon(a.key)} />
+                      <span className="flex-1">{a.label}</span>
+                      <span className="text-slate-600">
+                        +{money(line.amount)} / {quote.term === "monthly" ? "month" : "year"}
+                      </span>
+                    </label>
+                  );
+                })}
+                <div className="mt-3 pt-3 border-t border-slate-200 flex items-baseline justify-between">
+                  <span className="font-medium">Total</span>
+                  <span>
+                    <span className="text-lg font-bold">{money(quote.total)}</span>
+                    <span className="text-slate-500"> / {quote.term === "monthly" ? "month" : "year"}</span>
+                    {quote.term === "monthly" && <span className="block text-xs text-slate-500 text-right">{money(quote.contractValue)} per year</span>}
+                  </span>
+                </div>
+              </div>
+            )}
             <div className="mt-5 flex flex-wrap gap-3">
-              <button onClick={() => handleCTA("SelectPlan")} className="rounded-2xl bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-5 py-2.5 shadow">
+              <button
+                onClick={() => handleCTA("SelectPlan")}
+                disabled={shownPrice == null}
+                className="rounded-2xl bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-5 py-2.5 shadow disabled:opacity-40"
+              >
                 Select plan
               </button>
-              <button onClick={() => handleCTA("JoinEarlyAccess")} className="rounded-2xl bg-white hover:bg-slate-50 border border-slate-300 text-slate-900 font-medium px-5 py-2.5">
+              <button
+                onClick={() => handleCTA("JoinEarlyAccess")}
+                disabled={shownPrice == null}
+                className="rounded-2xl bg-white hover:bg-slate-50 border border-slate-300 text-slate-900 font-medium px-5 py-2.5 disabled:opacity-40"
+              >
                 Join Early Access
               </button>
             </div>
@@ -223,31 +617,33 @@ function PlanPage({ price }) {
         </div>
 
         {/* Comparison card */}
-        <div className="mt-6 bg-white rounded-2xl shadow-sm border border-slate-200">
-          <div className="p-4 border-b border-slate-200">
-            <h3 className="font-semibold">Compare to Premium</h3>
-          </div>
-          <div className="p-4 grid md:grid-cols-2 gap-4 text-sm">
-            <div>
-              <div className="font-medium">Premium</div>
-              <div className="text-slate-500">{currency(PREMIUM_PRICE)} / year</div>
-              <ul className="mt-2 space-y-1 list-disc list-inside">
-                <li>Form builder + validations</li>
-                <li>Payments & submissions</li>
-                <li>Basic exports (CSV)</li>
-              </ul>
+        {!embedded && (
+          <div className="mt-6 bg-white rounded-2xl shadow-sm border border-slate-200">
+            <div className="p-4 border-b border-slate-200">
+              <h3 className="font-semibold">Compare to Premium</h3>
             </div>
-            <div>
-              <div className="font-medium">Premium Plus</div>
-              <div className="text-slate-500">{currency(price)} / year</div>
-              <ul className="mt-2 space-y-1 list-disc list-inside">
-                <li>Everything in Premium</li>
-                <li>Surveys + templates</li>
-                <li>Built‑in analytics & scheduled reports</li>
-              </ul>
+            <div className="p-4 grid md:grid-cols-2 gap-4 text-sm">
+              <div>
+                <div className="font-medium">Premium</div>
+                {shown.anchor.showAnchor && <div className="text-slate-500">{money(anchorPrice)} / year</div>}
+                <ul className="mt-2 space-y-1 list-disc list-inside">
+                  <li>Form builder + validations</li>
+                  <li>Payments & submissions</li>
+                  <li>Basic exports (CSV)</li>
+                </ul>
+              </div>
+              <div>
+                <div className="font-medium">Premium Plus</div>
+                <div className="text-slate-500">{shownPrice == null ? "Price by population" : `${money(shownPrice)} / year`}</div>
+                <ul className="mt-2 space-y-1 list-disc list-inside">
+                  <li>Everything in Premium</li>
+                  <li>Surveys + templates</li>
+                  <li>Built‑in analytics & scheduled reports</li>
+                </ul>
+              </div>
             </div>
           </div>
-        </div>
+        )}
       </section>
 
       {/* In-product fake doors & metrics */}
@@ -266,65 +662,91 @@ function PlanPage({ price }) {
           </div>
         </div>
 
-        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-5">
-          <h3 className="font-semibold mb-3">Variant Metrics ({currency(price)})</h3>
-          <div className="grid grid-cols-2 gap-3 text-sm">
-            <Metric label="Viewed" value={variantMetrics.viewed} />
-            <Metric label="CTA clicks" value={variantMetrics.cta} />
-            <Metric label="EA joins" value={variantMetrics.joined} />
-            <Metric label="Qualified Signal Rate" value={`${variantMetrics.qsr.toFixed(1)}%`} />
-            <Metric label="CTA/View" value={`${variantMetrics.ctaRate.toFixed(1)}%`} />
-          </div>
-          <div className="mt-4 flex gap-3">
-            <button onClick={downloadJSON} className="rounded-xl px-4 py-2 bg-slate-900 text-white text-sm">Export JSON</button>
-            <button onClick={resetData} className="rounded-xl px-4 py-2 bg-white border border-slate-300 text-sm">Reset Data</button>
-            <a href="#/dashboard" className="rounded-xl px-4 py-2 bg-indigo-600 text-white text-sm">View Dashboard</a>
+        {!embedded && (
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-5">
+            <h3 className="font-semibold mb-3">Variant Metrics ({currency(price)})</h3>
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <Metric label="Viewed" value={variantMetrics.viewed} />
+              <Metric label="CTA clicks" value={variantMetrics.cta} />
+              <Metric label="EA joins" value={variantMetrics.joined} />
+              <Metric label="Qualified Signal Rate" value={`${variantMetrics.qsr.toFixed(1)}%`} />
+              <Metric label="CTA/View" value={`${variantMetrics.ctaRate.toFixed(1)}%`} />
+            </div>
+            <div className="mt-4 flex gap-3">
+              <button onClick={downloadJSON} className="rounded-xl px-4 py-2 bg-slate-900 text-white text-sm">Export JSON</button>
+              <button onClick={resetData} className="rounded-xl px-4 py-2 bg-white border border-slate-300 text-sm">Reset Data</button>
+              <a href="#/dashboard" className="rounded-xl px-4 py-2 bg-indigo-600 text-white text-sm">View Dashboard</a>
+            </div>
           </div>
-        </div>
+        )}
       </aside>
 
       {/* Early Access modal */}
       {eaOpen && (
-        <div className="fixed inset-0 z-30 bg-black/30 flex items-center justify-center p-4" role="dialog" aria-modal="true">
+        <div
+          className="fixed inset-0 z-30 bg-black/30 flex items-center justify-center p-4"
+          role="dialog"
+          aria-modal="true"
+          onClick={(e) => e.target === e.currentTarget && dismissEA("backdrop")}
+        >
           <div className="w-full max-w-lg bg-white rounded-2xl shadow-xl border border-slate-200">
             <div className="p-5 border-b border-slate-200 flex items-start justify-between">
-              <div>
-                <div className="text-lg font-semibold">Join Early Access</div>
-                <div className="text-xs text-slate-500">Founding‑customer discount and service credits if timelines slip.</div>
-              </div>
-              <button className="text-slate-500 hover:text-slate-700" onClick={() => setEaOpen(false)}>
+              {eaStep === "survey" ? (
+                <div>
+                  <div className="text-lg font-semibold">You're on the list — one more thing?</div>
+                  <div className="text-xs text-slate-500">A short, optional pricing survey helps us set a fair price.</div>
+                </div>
+              ) : (
+                <div>
+                  <div className="text-lg font-semibold">Join Early Access</div>
+                  <div className="text-xs text-slate-500">Founding‑customer discount and service credits if timelines slip.</div>
+                </div>
+              )}
+              <button className="text-slate-500 hover:text-slate-700" onClick={() => dismissEA("close_button")}>
                 ✕
               </button>
             </div>
-            <form onSubmit={submitEA} className="p-5 grid gap-3 text-sm">
-              <label className="grid gap-1">
-                <span className="text-slate-700">Organization</span>
-                <input value={eaForm.org} onChange={(e) => setEaForm({ ...eaForm, org: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2" placeholder="City of Example" required />
-              </label>
-              <label className="grid gap-1">
-                <span className="text-slate-700">Work email</span>
-                <input type="email" value={eaForm.email} onChange={(e) => setEaForm({ ...eaForm, email: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2" placeholder="name@example.gov" required />
-              </label>
-              <div className="grid grid-cols-2 gap-3">
+            {eaStep === "survey" ? (
+              <div className="p-5">
+                <WtpSurvey experiment={experiment} method={wtpMethod(experiment)} context={wtpContext()} onDone={() => setEaOpen(false)} />
+              </div>
+            ) : (
+              <form onSubmit={submitEA} noValidate className="p-5 grid gap-3 text-sm">
                 <label className="grid gap-1">
-                  <span className="text-slate-700">Persona</span>
-                  <select value={eaForm.persona} onChange={(e) => setEaForm({ ...eaForm, persona: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
-                    {personas.map((p) => (
-                      <option key={p}>{p}</option>
-                    ))}
-                  </select>
+                  <span className="text-slate-700">Organization</span>
+                  <input value={eaForm.org} onFocus={() => touchField("org")} onChange={(e) => setEaForm({ ...eaForm, org: e.target.value })} className={inputCls(eaErrors.org)} placeholder="City of Example" required />
+                  {eaErrors.org && <span className="text-xs text-rose-700">{eaErrors.org}</span>}
                 </label>
                 <label className="grid gap-1">
-                  <span className="text-slate-700">Population band</span>
-                  <select value={eaForm.population} onChange={(e) => setEaForm({ ...eaForm, population: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
-                    {populationBands.map((p) => (
-                      <option key={p}>{p}</option>
-                    ))}
-                  </select>
+                  <span className="text-slate-700">Work email</span>
+                  <input type="email" value={eaForm.email} onFocus={() => touchField("email")} onChange={(e) => setEaForm({ ...eaForm, email: e.target.value })} className={inputCls(eaErrors.email)} placeholder="name@example.gov" required />
+                  {eaErrors.email && <span className="text-xs text-rose-700">{eaErrors.email}</span>}
                 </label>
-              </div>
-              <button type="submit" className="mt-2 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-5 py-2.5">Request Access</button>
-            </form>
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="grid gap-1">
+                    <span className="text-slate-700">Persona</span>
+                    <select value={eaForm.persona} onFocus={() => touchField("persona")} onChange={(e) => setEaForm({ ...eaForm, persona: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
+                      {PERSONAS.map((p) => (
+                        <option key={p}>{p}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="grid gap-1">
+                    <span className="text-slate-700">Population band</span>
+                    <select value={eaForm.population} onFocus={() => touchField("population")} onChange={(e) => setEaForm({ ...eaForm, population: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
+                      {POPULATION_BANDS.map((p) => (
+                        <option key={p}>{p}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <label className="flex items-start gap-2 text-xs text-slate-600">
+                  <input type="checkbox" checked={eaForm.consent} onFocus={() => touchField("consent")} onChange={(e) => setEaForm({ ...eaForm, consent: e.target.checked })} className="mt-0.5" />
+                  <span>Keep my name, organization and email so the team can contact me about Early Access. Without this we only record that you asked.</span>
+                </label>
+                <button type="submit" className="mt-2 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-5 py-2.5">Request Access</button>
+              </form>
+            )}
           </div>
         </div>
       )}
@@ -332,59 +754,326 @@ function PlanPage({ price }) {
   );
 }
 
-// ----------------------------- dashboard -----------------------------
-function Dashboard() {
-  const [events, setEvents] = useState(loadEvents());
-  const [testReport, setTestReport] = useState(null);
+// ----------------------------- embedded widget (#/embed) -----------------------------
+// Settings are read once per frame URL (App keys this on the hash); see embed.js for the protocol.
+function EmbeddedPlan({ experiment, hash }) {
+  const [params] = useState(() => parseEmbedParams(hash));
+  const [theme, setTheme] = useState(params.theme);
+  const [bridge, setBridge] = useState(null);
+  const problem = embedProblem(params, experiment);
+  const root = useRef(null);
 
+  // The host's visitor id must be in place before the plan page buckets or logs anything
   useEffect(() => {
-    const id = setInterval(() => setEvents(loadEvents()), 1000);
-    return () => clearInterval(id);
+    if (problem) return undefined;
+    setExternalVisitorId(params.visitorId);
+    const b = openBridge(params.host, { onTheme: setTheme });
+    b.post("ready", { experiment_id: experiment.id, collecting: isCollecting(experiment), visitor_id: getVisitorId(), theme: params.theme });
+    setBridge(b);
+    return () => {
+      b.close();
+      setExternalVisitorId(null);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const totals = useMemo(() => summarize(events), [events]);
+  useEffect(() => {
+    if (!bridge || !root.current || typeof ResizeObserver === "undefined") return undefined;
+    let last = 0;
+    const observer = new ResizeObserver(() => {
+      const height = Math.ceil(root.current.getBoundingClientRect().height);
+      if (height !== last) bridge.post("resize", { height });
+      last = height;
+    });
+    observer.observe(root.current);
+    return () => observer.disconnect();
+  }, [bridge]);
+
+  if (problem) return <div className="p-4 text-sm text-rose-700">Pricing widget unavailable: {problem}</div>;
+  if (!bridge) return null;
+  return (
+    <div ref={root} data-pp-theme={theme} className="bg-slate-50 text-slate-900">
+      {params.price == null ? (
+        <AssignedPlanPage experiment={experiment} route={EMBED_ROUTE} embedded />
+      ) : (
+        <PlanPage experiment={experiment} price={params.price} route={EMBED_ROUTE} embedded />
+      )}
+    </div>
+  );
+}
+
+function inputCls(error) {
+  return `border rounded-lg px-3 py-2 ${error ? "border-rose-400" : "border-slate-300"}`;
+}
+
+// ----------------------------- dashboard -----------------------------
+const COLLECTOR_POLL_MS = 5000;
+
+// Re-renders whenever the local log changes, in this tab or another one.
+function useEventStoreVersion() {
+  return useSyncExternalStore(subscribeToEvents, getStoreVersion);
+}
+
+// Local source follows this browser's log; the collector source polls the configured endpoint;
+// the imported source is a fixed set of events loaded from files (never written to the local log).
+// The headline numbers follow the local log incrementally (useMainTotals); the other panels re-read what this returns.
+function useDashboardEvents(source, endpoint, imported) {
+  const storeVersion = useEventStoreVersion();
+  const localEvents = useMemo(() => (source === "local" ? loadEvents() : null), [source, storeVersion]);
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState(null);
+  const [skipped, setSkipped] = useState(0); // unreadable collector lines
+
+  useEffect(() => {
+    setError(null);
+    setSkipped(0);
+    if (source === "imported") {
+      setEvents(imported ? imported.events : []);
+      return;
+    }
+    if (source === "local") return;
+    let cancelled = false;
+    function pull() {
+      fetchCollectorEvents(endpoint)
+        .then((read) => {
+          if (cancelled) return;
+          setEvents(read.events);
+          setSkipped(read.skipped);
+          setError(null);
+        })
+        .catch((err) => {
+          if (!cancelled) setError(err.message);
+        });
+    }
+    setEvents([]);
+    pull();
+    const id = setInterval(pull, COLLECTOR_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [source, endpoint, imported]);
+
+  return { events: source === "local" ? localEvents : events, error, skipped: source === "collector" ? skipped : 0 };
+}
+
+// The headline numbers and By Price Variant table: the same pipeline as the panels' events (flags, exclusions,
+// date range, currency) then summarize(), one event at a time. For the local log, after one full pass only the
+// events appended since are flagged and counted (eventStore.js appendedSince); a rewrite of the log, an event
+// older than the last one flagged, or a change of experiment / unit / filters starts over. Other sources are
+// summarised in full whenever they are re-read.
+function useMainTotals(source, sourceEvents, experiment, { unit, range, exclusions, currencyFilter }) {
+  const live = useRef(null);
+  return useMemo(() => {
+    const settings = JSON.stringify([source, experiment, unit, range, exclusions, currencyFilter]);
+    let state = live.current;
+    let added = source === "local" && state && state.settings === settings ? appendedSince(state.position) : null;
+    if (added && added.some((evt) => !(Date.parse(evt.timestamp) >= state.flagger.lastTime))) added = null;
+    if (!added) {
+      const all = source === "local" ? loadEvents() : sourceEvents;
+      const flagger = createFlagger();
+      state = { settings, position: getLogPosition(), flagger, flags: flagEvents(all, flagger), summary: createSummary(experiment, { unit }) };
+      added = all;
+    } else {
+      for (const evt of added) {
+        const list = state.flagger.flag(evt);
+        if (list.length) state.flags.set(evt, list);
+      }
+      state.position = getLogPosition();
+    }
+    const bounds = dateRangeBounds(range);
+    for (const evt of added) {
+      if (isExcluded(evt, state.flags, exclusions) || !inDateRange(evt, bounds) || !inCurrency(evt, currencyFilter)) continue;
+      state.summary.add(evt);
+    }
+    live.current = state;
+    return state.summary.result();
+  }, [source, sourceEvents, experiment, unit, range, exclusions, currencyFilter]);
+}
+
+function Dashboard({ experiments, activeId, onSaveExperiments }) {
+  const [source, setSource] = useState("local");
+  const [transportConfig, setTransportConfig] = useState(loadTransportConfig);
+  const [imported, setImported] = useState(null); // { events, label } from ImportPanel's "Analyze without merging"
+  const { events: sourceEvents, error: sourceError, skipped: sourceSkipped } = useDashboardEvents(source, transportConfig.endpoint, imported);
+  const [range, setRange] = useState({ from: "", to: "" });
+  // Flagged events (quality.js) are dropped per metric before any panel sees them
+  const [exclusions, setExclusions] = useState(loadExclusions);
+  const flags = useMemo(() => flagEvents(sourceEvents), [sourceEvents]);
+  const cleanEvents = useMemo(() => excludeFlagged(sourceEvents, flags, exclusions), [sourceEvents, flags, exclusions]);
+  // Amounts in the reporting currency (currency.js); the currency filter narrows every panel but the Currencies breakdown
+  const [fx, setFx] = useState(loadFxSettings);
+  const [currencyFilter, setCurrencyFilter] = useState("all");
+  const allCurrencies = useMemo(() => normalizeEvents(filterByDateRange(cleanEvents, range), fx), [cleanEvents, range, fx]);
+  const events = useMemo(() => filterByCurrency(allCurrencies, currencyFilter), [allCurrencies, currencyFilter]);
+  const [testReport, setTestReport] = useState(null);
+  const [experimentId, setExperimentId] = useState(activeId);
+  const [unit, setUnit] = useState("event");
+  const experiment = findExperiment(experiments, experimentId) || findExperiment(experiments, activeId);
+
+  const totals = useMainTotals(source, sourceEvents, experiment, { unit, range, exclusions, currencyFilter });
+  // What each variant's visitors were shown, in fx.reporting: the price revenue and the demand curve use
+  const shown = useMemo(() => shownPrices(eventsForExperiment(events, experiment), variantPrices(experiment), fx), [events, experiment, fx]);
+  const malformed = useMemo(() => events.filter((e) => e.schema_errors), [events]);
+  const qualityScope = useMemo(() => eventsForExperiment(filterByDateRange(sourceEvents, range), experiment), [sourceEvents, range, experiment]);
+
+  function generateReport() {
+    // What the panels show: this source, range, unit and quality exclusions
+    const excluded = qualityScope.length - eventsForExperiment(allCurrencies, experiment).length;
+    const label = source === "imported" ? `imported (${imported.label})` : source === "collector" ? `collector (${transportConfig.endpoint})` : "this browser's";
+    const shownIn = currencyFilter === "all" ? "" : `, ${currencyFilter} prices only,`;
+    downloadReport(buildReport(events, experiment, { source: `${label}${shownIn}`, unit, range, excluded }));
+  }
 
   function runTests() {
     // Minimal self-tests to validate summarize() and event logging
-    const before = loadEvents();
-    saveEvents([]); // clear
+    // Synthetic data, complete per the event schema, logged to a sandbox: the real log is never touched
+    const sandbox = createSandboxStore();
+    const logSize = loadEvents().length;
+    const log = (name, properties) => logEvent(name, properties, { store: sandbox });
+    const ctx = (price) => ({ experiment_id: DEFAULT_EXPERIMENT.id, plan: DEFAULT_EXPERIMENT.plan, price, route: `#/pp/${price}` });
+    const join = (price, { email, ...extra }) => ({
+      ...ctx(price),
+      persona: "Analyst",
+      population_band: "10k–50k",
+      lead_id: newLeadId(),
+      email_hash: emailHash(email),
+      consent: true,
+      ...extra,
+    });
+    log("PricingPlanViewed", { ...ctx(5400), audience: "Municipal", population_band: "10k–50k" });
+    log("PricingPlanCTA", { ...ctx(5400), cta: "SelectPlan", currency: "USD" });
+    log("EarlyAccessJoin", join(5400, { email: "a@example.gov" }));
+    log("EarlyAccessJoin", join(5400, { email: "A@example.gov " })); // repeat join
+
+    log("PricingPlanViewed", ctx(6000));
+    log("PricingPlanViewed", ctx(6000));
+    log("EarlyAccessJoin", join(6000, { persona: "IT Manager", population_band: "50k–150k", email: "it@example.gov" }));
 
-    // Synthetic data
-    logEvent("PricingPlanViewed", { displayed_price: 5400 });
-    logEvent("PricingPlanCTA", { display_price: 5400 });
-    logEvent("EarlyAccessJoin", { quoted_price: 5400, persona: "Analyst", municipality_size: "10k–50k" });
+    // Tagged with another experiment: must not leak into the default experiment's numbers
+    log("PricingPlanViewed", { ...ctx(5400), experiment_id: "self-test-other" });
 
-    logEvent("PricingPlanViewed", { displayed_price: 6000 });
-    logEvent("PricingPlanViewed", { displayed_price: 6000 });
-    logEvent("EarlyAccessJoin", { quoted_price: 6000, persona: "IT Manager", municipality_size: "50k–150k" });
+    // Data-quality flags: a double click on the CTA, and a join at a price this visitor never viewed
+    log("PricingPlanCTA", { ...ctx(5400), cta: "SelectPlan", currency: "USD" });
+    log("EarlyAccessJoin", join(6900, { email: "noview@example.gov" }));
 
-    const s = summarize(loadEvents());
+    const schemaClean = sandbox.getEvents().every((e) => !e.schema_errors);
+    const rejected = log("SelfTestUnregistered", {}) === null;
+    const flagged = log("PricingPlanViewed", { ...ctx(5400), experiment_id: "self-test-other", price: "5400" }).schema_errors;
+    const migrated = migrateEvent({
+      timestamp: new Date().toISOString(),
+      event: "EarlyAccessJoin",
+      properties: { quoted_price: 5400, persona: "Analyst", municipality_size: "10k–50k", org: "Self-test", email: "v1@example.gov" },
+    });
+
+    const s = summarize(sandbox.getEvents(), DEFAULT_EXPERIMENT);
     const checks = [];
     checks.push({ name: "Variant 5400 viewed=1", pass: s.byPrice[5400].viewed === 1, got: s.byPrice[5400].viewed });
     checks.push({ name: "Variant 5400 joins=1", pass: s.byPrice[5400].joined === 1, got: s.byPrice[5400].joined });
     checks.push({ name: "Variant 6000 viewed=2", pass: s.byPrice[6000].viewed === 2, got: s.byPrice[6000].viewed });
     checks.push({ name: "Variant 6000 joins=1", pass: s.byPrice[6000].joined === 1, got: s.byPrice[6000].joined });
+    checks.push({ name: "Repeat join de-duplicated", pass: s.duplicateJoins === 1, got: s.duplicateJoins });
+
+    // Every synthetic event came from this browser: one visitor per variant
+    const u = summarize(sandbox.getEvents(), DEFAULT_EXPERIMENT, { unit: "visitor" });
+    checks.push({ name: "Variant 6000 unique visitors=1", pass: u.byPrice[6000].viewed === 1, got: u.byPrice[6000].viewed });
+
+    checks.push({ name: "Synthetic events match schema", pass: schemaClean, got: schemaClean });
+    checks.push({ name: "Unregistered event rejected", pass: rejected, got: rejected });
+    checks.push({ name: "String price flagged", pass: !!flagged, got: flagged ? flagged.join("; ") : "not flagged" });
+    checks.push({
+      name: "v1 join migrated (price, population_band, email dropped: no consent)",
+      pass:
+        migrated.properties.price === 5400 &&
+        migrated.properties.population_band === "10k–50k" &&
+        !("email_hash" in migrated.properties) &&
+        !("email" in migrated.properties) &&
+        !migrated.schema_errors,
+      got: JSON.stringify(migrated.properties),
+    });
+    const qualityFlags = flagEvents(sandbox.getEvents());
+    const flagCount = (flag) => Array.from(qualityFlags.values()).filter((list) => list.includes(flag)).length;
+    checks.push({ name: "Repeat CTA click flagged as rapid", pass: flagCount("rapid_cta") === 1, got: flagCount("rapid_cta") });
+    checks.push({ name: "Join at an unviewed price flagged", pass: flagCount("join_without_view") === 1, got: flagCount("join_without_view") });
+    checks.push({ name: "Real event log untouched", pass: loadEvents().length === logSize, got: `${loadEvents().length} events (was ${logSize})` });
+
+    // Known-answer checks kept beside their modules
+    checks.push(...quoteChecks(), ...vanWestendorpChecks(), ...interactionChecks(), ...sampleSizeChecks(), ...touchChecks(), ...currencyChecks());
 
     const passed = checks.every((c) => c.pass);
 
     setTestReport({ passed, checks });
-
-    // restore
-    saveEvents(before);
   }
 
   return (
     <main className="max-w-6xl mx-auto px-4 py-8 space-y-6">
-      <ShareableLinks />
+      <ShareableLinks experiment={findExperiment(experiments, activeId)} />
 
       <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+        <div className="flex flex-wrap items-center gap-4 text-sm mb-4">
+          <label className="flex items-center gap-2">
+            <span className="text-slate-600">Experiment</span>
+            <select value={experiment.id} onChange={(e) => setExperimentId(e.target.value)} className="border border-slate-300 rounded-lg px-3 py-1.5">
+              {experiments.map((x) => (
+                <option key={x.id} value={x.id}>
+                  {x.name}
+                  {x.id === activeId ? " (active)" : ""} · {statusInfo(x).label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-slate-600">Source</span>
+            <select value={source} onChange={(e) => setSource(e.target.value)} className="border border-slate-300 rounded-lg px-3 py-1.5">
+              <option value="local">This browser (IndexedDB)</option>
+              <option value="collector">Collector ({transportConfig.endpoint})</option>
+              {imported && <option value="imported">Imported: {imported.label} ({imported.events.length})</option>}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-slate-600">Count by</span>
+            <select value={unit} onChange={(e) => setUnit(e.target.value)} className="border border-slate-300 rounded-lg px-3 py-1.5">
+              {COUNT_UNITS.map((u) => (
+                <option key={u.key} value={u.key}>
+                  {u.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-slate-600">Currency</span>
+            <select value={currencyFilter} onChange={(e) => setCurrencyFilter(e.target.value)} className="border border-slate-300 rounded-lg px-3 py-1.5">
+              <option value="all">All (amounts in {fx.reporting})</option>
+              {CURRENCIES.map((c) => (
+                <option key={c.code} value={c.code}>
+                  {c.code} prices only
+                </option>
+              ))}
+            </select>
+          </label>
+          <DateRangeFilter range={range} onChange={setRange} />
+          {sourceError && <span className="text-xs text-rose-700">Collector unavailable: {sourceError}</span>}
+          {sourceSkipped > 0 && (
+            <span className="text-xs text-amber-700">
+              {sourceSkipped} unreadable collector line{sourceSkipped === 1 ? "" : "s"} skipped
+            </span>
+          )}
+          {malformed.length > 0 && (
+            <span className="text-xs text-amber-700" title={malformed.slice(0, 5).map((e) => `${e.event}: ${e.schema_errors.join("; ")}`).join("\n")}>
+              {malformed.length} event{malformed.length === 1 ? "" : "s"} flagged by schema validation
+            </span>
+          )}
+        </div>
         <div className="flex items-center justify-between">
           <div>
             <h2 className="text-xl font-semibold">Aggregated Dashboard</h2>
-            <p className="text-sm text-slate-600">Live read of all events across $5,400 / $6,000 / $6,900 pages.</p>
+            <p className="text-sm text-slate-600">
+              Live read of all events across {variantPrices(experiment).map((p) => currency(p)).join(" / ")} pages.
+            </p>
           </div>
           <div className="flex gap-2">
             <button onClick={runTests} className="rounded-xl px-4 py-2 bg-emerald-600 text-white text-sm">Run Tests</button>
+            <button onClick={generateReport} className="rounded-xl px-4 py-2 bg-white border border-slate-300 text-sm">Generate report</button>
             <button onClick={downloadJSON} className="rounded-xl px-4 py-2 bg-slate-900 text-white text-sm">Export JSON</button>
             <button onClick={resetData} className="rounded-xl px-4 py-2 bg-white border border-slate-300 text-sm">Reset Data</button>
           </div>
@@ -404,14 +1093,148 @@ function Dashboard() {
         <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-4">
           <Metric label="Total Views" value={totals.viewed} />
           <Metric label="Total CTA" value={totals.cta} />
-          <Metric label="Total EA Joins" value={totals.joined} />
+          <Metric label={`Total EA Joins${totals.duplicateJoins ? ` (${totals.duplicateJoins} repeat emails removed)` : ""}`} value={totals.joined} />
           <Metric label="Overall QSR" value={`${totals.qsr.toFixed(1)}%`} />
           <Metric label="CTA/View" value={`${totals.ctaRate.toFixed(1)}%`} />
         </div>
       </div>
 
-      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
-        <h3 className="font-semibold mb-3">By Price Variant</h3>
+      <DataQualityPanel
+        events={qualityScope}
+        flags={flags}
+        exclusions={exclusions}
+        onChange={(next) => {
+          saveExclusions(next);
+          setExclusions(next);
+        }}
+      />
+
+      <LifecyclePanel
+        key={experiment.id}
+        events={cleanEvents}
+        experiment={experiment}
+        source={source === "imported" ? `imported: ${imported.label}` : source}
+        onChange={(next) => onSaveExperiments(experiments.map((x) => (x.id === next.id ? next : x)))}
+      />
+
+      <VariantSignificancePanel totals={totals} experiment={experiment} shown={shown} fx={fx} />
+
+      <DemandCurvePanel totals={totals} experiment={experiment} shown={shown} fx={fx} />
+
+      <TimeSeriesPanel events={events} experiment={experiment} unit={unit} />
+
+      <FunnelPanel events={events} experiment={experiment} unit={unit} />
+
+      <PivotPanel events={events} experiment={experiment} unit={unit} />
+
+      <CampaignPanel events={events} experiment={experiment} unit={unit} />
+
+      <FactorialPanel events={events} experiment={experiment} unit={unit} />
+
+      <BandPricingPanel events={events} experiment={experiment} unit={unit} fx={fx} />
+
+      <OfferPanel events={events} experiment={experiment} fx={fx} />
+
+      <CurrencyPanel events={allCurrencies} experiment={experiment} unit={unit} fx={fx} onFxChange={setFx} />
+
+      <WtpPanel events={events} experiment={experiment} />
+
+      <SampleRatioPanel events={events} experiment={experiment} />
+
+      <SimulatorPanel key={`simulator:${experiment.id}`} experiment={experiment} />
+
+      <ImportPanel
+        onAnalyze={(list, label) => {
+          setImported({ events: list, label });
+          setSource("imported");
+        }}
+      />
+
+      <TransportPanel config={transportConfig} onChange={setTransportConfig} />
+
+      <PrivacyPanel />
+    </main>
+  );
+}
+
+// Filters every Dashboard panel; bounds are local calendar days, inclusive.
+function DateRangeFilter({ range, onChange }) {
+  function lastDays(n) {
+    const iso = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+    const to = new Date();
+    const from = new Date();
+    from.setDate(from.getDate() - (n - 1));
+    onChange({ from: iso(from), to: iso(to) });
+  }
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-slate-600">Dates</span>
+      <input type="date" value={range.from} max={range.to || undefined} onChange={(e) => onChange({ ...range, from: e.target.value })} className="border border-slate-300 rounded-lg px-2 py-1" />
+      <span className="text-slate-400">–</span>
+      <input type="date" value={range.to} min={range.from || undefined} onChange={(e) => onChange({ ...range, to: e.target.value })} className="border border-slate-300 rounded-lg px-2 py-1" />
+      <button onClick={() => lastDays(7)} className="text-xs underline">7d</button>
+      <button onClick={() => lastDays(30)} className="text-xs underline">30d</button>
+      {(range.from || range.to) && (
+        <button onClick={() => onChange({ from: "", to: "" })} className="text-xs underline text-slate-500">
+          All time
+        </button>
+      )}
+    </div>
+  );
+}
+
+// By Price Variant, with 95% Wilson intervals and tests against a chosen baseline variant.
+const SIGNIFICANCE_ALPHA = 0.05;
+const TEST_METRICS = [
+  { key: "joined", label: "QSR (EA Joins / View)" },
+  { key: "cta", label: "CTA / View" },
+];
+
+// `shown`: each variant's mean list price shown, in fx.reporting (currency.js shownPrices)
+function VariantSignificancePanel({ totals, experiment, shown, fx }) {
+  const prices = variantPrices(experiment);
+  const [baseline, setBaseline] = useState(prices[0]);
+  const [metricKey, setMetricKey] = useState(TEST_METRICS[0].key);
+  const baselinePrice = prices.includes(baseline) ? baseline : prices[0];
+
+  const results = useMemo(() => {
+    // Raw event counts can exceed views (repeat clicks); cap so every arm is a valid proportion.
+    const arms = prices.map((p) => {
+      const row = totals.byPrice[p];
+      return { k: Math.min(row[metricKey], row.viewed), n: row.viewed };
+    });
+    return compareProportions(arms, prices.indexOf(baselinePrice));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [totals, metricKey, baselinePrice]);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="font-semibold">By Price Variant</h3>
+        <div className="flex gap-3 text-sm">
+          <label className="flex items-center gap-2">
+            <span className="text-slate-600">Test metric</span>
+            <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+              {TEST_METRICS.map((m) => (
+                <option key={m.key} value={m.key}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-slate-600">Baseline</span>
+            <select value={baselinePrice} onChange={(e) => setBaseline(Number(e.target.value))} className="border border-slate-300 rounded-lg px-2 py-1">
+              {prices.map((p) => (
+                <option key={p} value={p}>
+                  {currency(p)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
         <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
           <thead className="bg-slate-50">
             <tr>
@@ -419,125 +1242,133 @@ function Dashboard() {
               <Th>Viewed</Th>
               <Th>CTA</Th>
               <Th>EA Joins</Th>
-              <Th>QSR</Th>
+              <Th>QSR (95% CI)</Th>
+              <Th>CTA/View (95% CI)</Th>
+              <Th>Δ vs baseline</Th>
+              <Th>p-value</Th>
+              <Th>P(best)</Th>
+              <Th>Revenue / view ({fx.reporting})</Th>
+              <Th>Call</Th>
             </tr>
           </thead>
           <tbody>
-            {PRICE_VARIANTS.map((p) => (
-              <tr key={p} className="border-t border-slate-200">
-                <Td>{currency(p)}</Td>
-                <Td>{totals.byPrice[p].viewed}</Td>
-                <Td>{totals.byPrice[p].cta}</Td>
-                <Td>{totals.byPrice[p].joined}</Td>
-                <Td>{totals.byPrice[p].qsr.toFixed(1)}%</Td>
-              </tr>
-            ))}
+            {prices.map((p, i) => {
+              const row = totals.byPrice[p];
+              const r = results[i];
+              return (
+                <tr key={p} className="border-t border-slate-200">
+                  <Td>{currency(p)}</Td>
+                  <Td>{row.viewed}</Td>
+                  <Td>{row.cta}</Td>
+                  <Td>{row.joined}</Td>
+                  <Td>{rateWithInterval(row.joined, row.viewed)}</Td>
+                  <Td>{rateWithInterval(row.cta, row.viewed)}</Td>
+                  <Td>{r.diff == null ? "—" : `${r.diff >= 0 ? "+" : ""}${(r.diff * 100).toFixed(1)} pts`}</Td>
+                  <Td>{formatP(r.p)}</Td>
+                  <Td>{row.viewed ? `${(r.pBest * 100).toFixed(0)}%` : "—"}</Td>
+                  <Td>
+                    {row.viewed ? (
+                      <>
+                        {currency(Math.round((shown[p] * Math.min(row.joined, row.viewed)) / row.viewed), fx.reporting)}
+                        <div className="text-xs text-slate-500">at {currency(Math.round(shown[p]), fx.reporting)}</div>
+                      </>
+                    ) : (
+                      "—"
+                    )}
+                  </Td>
+                  <Td>
+                    <CallBadge result={r} isBaseline={p === baselinePrice} />
+                  </Td>
+                </tr>
+              );
+            })}
           </tbody>
         </table>
       </div>
-
-      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
-        <h3 className="font-semibold mb-3">Segment Cuts (from EarlyAccessJoin)</h3>
-        <div className="grid md:grid-cols-2 gap-4">
-          <SegmentTable title="By Population Band" rows={totals.byPopulation} keyLabel="population_band" />
-          <SegmentTable title="By Persona" rows={totals.byPersona} keyLabel="persona" />
-        </div>
-      </div>
-    </main>
+      <p className="text-xs text-slate-500 mt-2">
+        Intervals are 95% Wilson score intervals. p-values are two-sided, pooled two-proportion z-tests against the baseline on the selected metric
+        (α = {SIGNIFICANCE_ALPHA}, no multiple-comparison correction). P(best) is the posterior probability of having the highest rate under a
+        uniform Beta prior. Arms with fewer than 30 views or fewer than 5 successes/failures are too small to call. Revenue per view is QSR × the
+        variant's mean list price shown, converted to {fx.reporting}.
+      </p>
+    </div>
   );
 }
-
-// ----------------------------- summarization helpers -----------------------------
-function summarize(events) {
-  const viewed = events.filter((e) => e.event === "PricingPlanViewed");
-  const cta = events.filter((e) => e.event === "PricingPlanCTA");
-  const joined = events.filter((e) => e.event === "EarlyAccessJoin");
-
-  const byPrice = PRICE_VARIANTS.reduce((acc, p) => {
-    const v = viewed.filter((e) => e.properties.displayed_price === p).length;
-    const c = cta.filter((e) => e.properties.display_price === p).length;
-    const j = joined.filter((e) => e.properties.quoted_price === p).length;
-    acc[p] = { viewed: v, cta: c, joined: j, qsr: v ? (j / v) * 100 : 0 };
-    return acc;
-  }, {});
-
-  // Segment cuts based on EA joins (the strongest signal)
-  const byPopulation = aggregateBy(joined, (e) => e.properties.municipality_size || e.properties.population_band || "(unknown)");
-  const byPersona = aggregateBy(joined, (e) => e.properties.persona || "(unknown)");
-
-  const totals = { viewed: viewed.length, cta: cta.length, joined: joined.length };
-  return {
-    ...totals,
-    qsr: totals.viewed ? (totals.joined / totals.viewed) * 100 : 0,
-    ctaRate: totals.viewed ? (totals.cta / totals.viewed) * 100 : 0,
-    byPrice,
-    byPopulation,
-    byPersona,
-  };
+function rateWithInterval(k, n) {
+  if (!n) return "—";
+  const kk = Math.min(k, n);
+  const { lo, hi } = wilsonInterval(kk, n);
+  return `${((kk / n) * 100).toFixed(1)}% [${(lo * 100).toFixed(1)}–${(hi * 100).toFixed(1)}]`;
 }
-function aggregateBy(list, keyFn) {
-  const map = new Map();
-  for (const e of list) {
-    const k = keyFn(e);
-    const cur = map.get(k) || { key: k, count: 0 };
-    cur.count += 1;
-    map.set(k, cur);
-  }
-  return Array.from(map.values()).sort((a, b) => b.count - a.count);
+function formatP(p) {
+  if (p == null) return "—";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+function CallBadge({ result, isBaseline }) {
+  const [text, cls] = isBaseline
+    ? ["Baseline", "bg-slate-100 text-slate-700"]
+    : result.tooSmall
+    ? ["Too small to call", "bg-amber-100 text-amber-800"]
+    : result.p != null && result.p < SIGNIFICANCE_ALPHA
+    ? [result.diff > 0 ? "Significantly higher" : "Significantly lower", result.diff > 0 ? "bg-emerald-100 text-emerald-800" : "bg-rose-100 text-rose-800"]
+    : ["No clear difference", "bg-slate-100 text-slate-700"];
+  return <span className={`text-xs font-medium px-2 py-1 rounded-full whitespace-nowrap ${cls}`}>{text}</span>;
 }
 
-function SegmentTable({ title, rows, keyLabel }) {
+// Sample-ratio mismatch: does the observed #/pp split match the configured weights?
+const SRM_ALPHA = 0.001;
+
+function SampleRatioPanel({ events, experiment }) {
+  const assigned = eventsForExperiment(events, experiment).filter((e) => e.event === "VariantAssigned");
+  const prices = variantPrices(experiment);
+  const shares = trafficShares(experiment);
+  const observed = prices.map((p) => assigned.filter((e) => e.properties.assigned_price === p).length);
+  const { chi2, df, p } = chiSquareGoodnessOfFit(observed, shares);
+  const mismatch = p != null && p < SRM_ALPHA;
+
   return (
-    <div>
-      <div className="font-medium mb-2">{title}</div>
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold">Randomized Assignment (#/pp)</h3>
+        {p != null && (
+          <span className={`text-xs font-medium px-2 py-1 rounded-full ${mismatch ? "bg-rose-100 text-rose-800" : "bg-emerald-100 text-emerald-800"}`}>
+            {mismatch ? "Sample-ratio mismatch" : "Split matches weights"} · χ²={chi2.toFixed(2)}, df={df}, p={p.toPrecision(2)}
+          </span>
+        )}
+      </div>
       <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
         <thead className="bg-slate-50">
           <tr>
-            <Th>{keyLabel}</Th>
-            <Th>EA Joins</Th>
+            <Th>Price</Th>
+            <Th>Configured share</Th>
+            <Th>Assigned</Th>
+            <Th>Observed share</Th>
           </tr>
         </thead>
         <tbody>
-          {rows.length === 0 ? (
-            <tr className="border-t border-slate-200">
-              <Td colSpan={2}>(no data yet)</Td>
+          {prices.map((price, i) => (
+            <tr key={price} className="border-t border-slate-200">
+              <Td>{currency(price)}</Td>
+              <Td>{(shares[i] * 100).toFixed(1)}%</Td>
+              <Td>{observed[i]}</Td>
+              <Td>{assigned.length ? ((observed[i] / assigned.length) * 100).toFixed(1) : "0.0"}%</Td>
             </tr>
-          ) : (
-            rows.map((r) => (
-              <tr key={r.key} className="border-t border-slate-200">
-                <Td>{r.key}</Td>
-                <Td>{r.count}</Td>
-              </tr>
-            ))
-          )}
+          ))}
         </tbody>
       </table>
+      {mismatch && (
+        <p className="text-xs text-rose-700 mt-2">
+          The observed split is very unlikely under the configured weights (p &lt; {SRM_ALPHA}). Check for broken links, caching or bot traffic before
+          trusting the variant comparison.
+        </p>
+      )}
     </div>
   );
 }
 
-// ----------------------------- shared UI -----------------------------
-function Metric({ label, value }) {
-  return (
-    <div className="rounded-xl border border-slate-200 p-3">
-      <div className="text-xs text-slate-500">{label}</div>
-      <div className="text-lg font-semibold">{value}</div>
-    </div>
-  );
-}
-function Th({ children }) {
-  return <th className="text-left text-xs font-semibold text-slate-600 px-3 py-2">{children}</th>;
-}
-function Td({ children, colSpan }) {
-  return (
-    <td colSpan={colSpan} className="px-3 py-2 text-slate-800 text-sm">
-      {children}
-    </td>
-  );
-}
-
+// Analytics only: leads never leave through this export, and email hashes follow the privacy setting
 function downloadJSON() {
-  const data = JSON.stringify(loadEvents(), null, 2);
+  const data = JSON.stringify(exportableEvents(loadEvents()), null, 2);
   const blob = new Blob([data], { type: "application/json" });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
@@ -549,8 +1380,7 @@ function downloadJSON() {
   URL.revokeObjectURL(url);
 }
 function resetData() {
-  saveEvents([]);
-  window.location.reload();
+  saveEvents([]).then(() => window.location.reload());
 }
 
 function Footer() {
@@ -558,19 +1388,21 @@ function Footer() {
     <footer className="max-w-6xl mx-auto px-4 py-10 text-xs text-slate-500">
       <p>
         Use the nav to open each variant page, then view aggregated results on the Dashboard. Events:
-        <code> PricingPlanViewed</code>, <code>PricingPlanCTA</code>, <code>EarlyAccessJoin</code>, <code>UpsellTileClicked</code>. Data persists in <code>localStorage</code>.
+        <code> PricingPlanViewed</code>, <code>PricingPlanCTA</code>, <code>EarlyAccessJoin</code>, <code>UpsellTileClicked</code>. Data persists in this browser's <code>IndexedDB</code> and can be shipped to an HTTP collector.
       </p>
     </footer>
   );
 }
 
-function ShareableLinks() {
+function ShareableLinks({ experiment }) {
   const base = `${window.location.origin}${window.location.pathname}`;
   const routes = [
     { label: "Dashboard", hash: "#/dashboard" },
-    { label: "$5,400", hash: "#/pp/5400" },
-    { label: "$6,000", hash: "#/pp/6000" },
-    { label: "$6,900", hash: "#/pp/6900" },
+    { label: "Randomized entry", hash: ASSIGNED_ROUTE },
+    ...variantPrices(experiment).map((p) => ({ label: currency(p), hash: `#/pp/${p}` })),
+    ...offeredCurrencies(experiment)
+      .filter((code) => code !== BASE_CURRENCY)
+      .map((code) => ({ label: `Randomized entry (${code})`, hash: `${ASSIGNED_ROUTE}?currency=${code}` })),
   ];
   function copy(text) {
     try {
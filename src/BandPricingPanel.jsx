@@ -0,0 +1,85 @@
+import React, { useMemo, useState } from "react";
+import { BASE_CURRENCY, convertAmount } from "./currency.js";
+import { displayPrice, isBanded, variantPrices } from "./experiments.js";
+import { PIVOT_UNITS, buildPivot } from "./pivot.js";
+import { POPULATION_BANDS } from "./segment.js";
+import { MIN_VIEWS_TO_CALL } from "./stats.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- band pricing (price × population band) -----------------------------
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+export default function BandPricingPanel({ events, experiment, unit, fx }) {
+  const [bandUnit, setBandUnit] = useState(unit === "visitor" ? "visitor" : "session");
+  const pivot = useMemo(
+    () => buildPivot(events, experiment, { rows: ["population_band"], col: "price", unit: bandUnit }),
+    [events, experiment, bandUnit]
+  );
+  if (!isBanded(experiment)) return null;
+  const prices = variantPrices(experiment);
+  const rowFor = (band) => pivot.rows.find((r) => r.values[0] === band);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-1">
+        <h3 className="font-semibold">Band Pricing: Price × Population Band</h3>
+        <select value={bandUnit} onChange={(e) => setBandUnit(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1 text-sm">
+          {PIVOT_UNITS.map((u) => (
+            <option key={u.key} value={u.key}>
+              {u.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        Each cell: the band's price in that variant, QSR with its 95% interval (joins / views) and expected revenue per view (band price × QSR). The
+        best variant per band by revenue per view is highlighted; cells under {MIN_VIEWS_TO_CALL} views are greyed out. Band prices are the{" "}
+        {BASE_CURRENCY} ones; revenue is converted to {fx.reporting}.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+          <thead className="bg-slate-50">
+            <tr>
+              <Th>Population band</Th>
+              {prices.map((p) => (
+                <Th key={p}>Variant {currency(p)}</Th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {POPULATION_BANDS.map((band) => {
+              const row = rowFor(band);
+              const cells = experiment.variants.map((v) => {
+                const stats = row && row.cells[v.price];
+                const bandPrice = displayPrice(experiment, v, band);
+                const revenue = stats && stats.n ? convertAmount(bandPrice * stats.qsr, BASE_CURRENCY, fx.reporting, fx) : null;
+                return { price: v.price, bandPrice, stats, revenue };
+              });
+              const best = cells.reduce((acc, c) => (c.revenue != null && (!acc || c.revenue > acc.revenue) ? c : acc), null);
+              return (
+                <tr key={band} className="border-t border-slate-200">
+                  <Td>{band}</Td>
+                  {cells.map((c) => (
+                    <Td key={c.price}>
+                      <div className={`${c.stats && c.stats.n < MIN_VIEWS_TO_CALL ? "text-slate-400" : ""} ${best === c ? "font-semibold text-emerald-700" : ""}`}>
+                        <div>{c.bandPrice ? currency(c.bandPrice) : "—"}</div>
+                        {c.stats && c.stats.n ? (
+                          <div className="text-xs">
+                            QSR {pct(c.stats.qsr)} [{pct(c.stats.qsrCi.lo)}–{pct(c.stats.qsrCi.hi)}] · {c.stats.joined}/{c.stats.n}
+                            <div>{currency(Math.round(c.revenue), fx.reporting)} / view</div>
+                          </div>
+                        ) : (
+                          <div className="text-xs text-slate-400">no views</div>
+                        )}
+                      </div>
+                    </Td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useMemo, useState } from "react";
+import { ATTRIBUTION_MODELS, TOUCH_FIELDS } from "./attribution.js";
+import { PIVOT_UNITS, buildPivot, touchDimension } from "./pivot.js";
+import { MIN_VIEWS_TO_CALL } from "./stats.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- campaigns × variant (UTM / referrer attribution) -----------------------------
+const CAMPAIGN_METRICS = [
+  { key: "qsr", label: "QSR (EA Joins / View)", count: "joined", ci: "qsrCi" },
+  { key: "ctaRate", label: "CTA / View", count: "cta", ci: "ctaCi" },
+];
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+function Cell({ stats, metric }) {
+  if (!stats || !stats.n) return <span className="text-slate-300">—</span>;
+  const ci = stats[metric.ci];
+  return (
+    <div className={stats.n < MIN_VIEWS_TO_CALL ? "text-slate-400" : ""}>
+      <div className="font-medium">{pct(stats[metric.key])}</div>
+      <div className="text-xs text-slate-500">
+        [{pct(ci.lo)}–{pct(ci.hi)}] · {stats[metric.count]}/{stats.n}
+      </div>
+    </div>
+  );
+}
+
+export default function CampaignPanel({ events, experiment, unit }) {
+  const [model, setModel] = useState("last");
+  const [field, setField] = useState("campaign");
+  const [metricKey, setMetricKey] = useState("qsr");
+  const [campaignUnit, setCampaignUnit] = useState(unit === "visitor" ? "visitor" : "session");
+  const dim = touchDimension(model, field);
+  const pivot = useMemo(() => buildPivot(events, experiment, { rows: [dim], col: "price", unit: campaignUnit }), [events, experiment, dim, campaignUnit]);
+  const metric = CAMPAIGN_METRICS.find((m) => m.key === metricKey);
+  const select = "border border-slate-300 rounded-lg px-2 py-1";
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-1">
+        <h3 className="font-semibold">Campaigns × Variant</h3>
+        <div className="flex flex-wrap gap-3 text-sm">
+          <select value={model} onChange={(e) => setModel(e.target.value)} className={select}>
+            {ATTRIBUTION_MODELS.map((m) => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          <select value={field} onChange={(e) => setField(e.target.value)} className={select}>
+            {TOUCH_FIELDS.map((f) => (
+              <option key={f.key} value={f.key}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} className={select}>
+            {CAMPAIGN_METRICS.map((m) => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          <select value={campaignUnit} onChange={(e) => setCampaignUnit(e.target.value)} className={select}>
+            {PIVOT_UNITS.map((u) => (
+              <option key={u.key} value={u.key}>
+                {u.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        Each unit is credited to the touch on its first event: UTM parameters from the link (before or inside the hash) or the referring site.
+        "(none)" means events logged before attribution was recorded. Cells under {MIN_VIEWS_TO_CALL} views are greyed out.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+          <thead className="bg-slate-50">
+            <tr>
+              <Th>{TOUCH_FIELDS.find((f) => f.key === field).label}</Th>
+              {pivot.colValues.map((p) => (
+                <Th key={p}>{currency(p)}</Th>
+              ))}
+              <Th>All variants</Th>
+            </tr>
+          </thead>
+          <tbody>
+            {pivot.rows.map((r) => (
+              <tr key={r.values[0]} className="border-t border-slate-200">
+                <Td>{r.values[0]}</Td>
+                {pivot.colValues.map((p) => (
+                  <Td key={p}>
+                    <Cell stats={r.cells[p]} metric={metric} />
+                  </Td>
+                ))}
+                <Td>
+                  <Cell stats={r.total} metric={metric} />
+                </Td>
+              </tr>
+            ))}
+            {pivot.rows.length === 0 && (
+              <tr>
+                <Td colSpan={pivot.colValues.length + 2}>
+                  <span className="text-slate-400">No plan views yet.</span>
+                </Td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from "react";
+import { BASE_CURRENCY, CURRENCIES, eventCurrency, localizeVariant, offeredCurrencies, saveFxSettings, validateFx } from "./currency.js";
+import { eventsForExperiment, variantPrices } from "./experiments.js";
+import { summarize } from "./metrics.js";
+import { summarizeOffers } from "./offers.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- currencies (local prices & reporting rates) -----------------------------
+const pct = (v) => `${v.toFixed(1)}%`;
+
+// Rates are edited as strings until saved
+const toDraft = (fx) => ({ reporting: fx.reporting, rates: Object.fromEntries(CURRENCIES.map((c) => [c.code, String(fx.rates[c.code])])) });
+
+/** `events`: the Dashboard's events in every currency, amounts already in fx.reporting (normalizeEvents). */
+export default function CurrencyPanel({ events, experiment, unit, fx, onFxChange }) {
+  const [draft, setDraft] = useState(() => toDraft(fx));
+  const [errors, setErrors] = useState([]);
+  const prices = variantPrices(experiment);
+
+  const rows = useMemo(() => {
+    const scoped = eventsForExperiment(events, experiment);
+    const seen = new Set(scoped.map(eventCurrency).filter(Boolean));
+    const codes = CURRENCIES.map((c) => c.code).filter((code) => seen.has(code) || offeredCurrencies(experiment).includes(code));
+    return codes.map((code) => {
+      const own = scoped.filter((e) => eventCurrency(e) === code);
+      const totals = summarize(own, experiment, { unit });
+      const offers = summarizeOffers(own, experiment);
+      return { code, totals, offers };
+    });
+  }, [events, experiment, unit]);
+
+  function save() {
+    const next = { reporting: draft.reporting, rates: Object.fromEntries(Object.entries(draft.rates).map(([k, v]) => [k, Number(v)])) };
+    next.rates[BASE_CURRENCY] = 1;
+    const problems = validateFx(next);
+    setErrors(problems);
+    if (problems.length) return;
+    saveFxSettings(next);
+    onFxChange(next);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h3 className="font-semibold mb-1">Currencies</h3>
+      <p className="text-xs text-slate-500 mb-4">
+        Results by the currency visitors were shown. Variants keep their {BASE_CURRENCY} label; list prices are each market's own. Contract values
+        here and in the other panels are converted to the reporting currency at the rates below (units per 1 {BASE_CURRENCY}); events from before
+        local pricing count as {BASE_CURRENCY}.
+      </p>
+      <div className="flex flex-wrap items-end gap-3 text-sm mb-4">
+        <label className="grid gap-1">
+          <span className="text-slate-700">Reporting currency</span>
+          <select value={draft.reporting} onChange={(e) => setDraft({ ...draft, reporting: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
+            {CURRENCIES.map((c) => (
+              <option key={c.code} value={c.code}>
+                {c.code} · {c.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {CURRENCIES.filter((c) => c.code !== BASE_CURRENCY).map((c) => (
+          <label key={c.code} className="grid gap-1">
+            <span className="text-slate-700">
+              {c.code} per {BASE_CURRENCY}
+            </span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.rates[c.code]}
+              onChange={(e) => setDraft({ ...draft, rates: { ...draft.rates, [c.code]: e.target.value } })}
+              className="border border-slate-300 rounded-lg px-3 py-2 w-28"
+            />
+          </label>
+        ))}
+        <button onClick={save} className="rounded-xl px-4 py-2 bg-slate-900 text-white">Save</button>
+      </div>
+      {errors.length > 0 && (
+        <ul className="mb-3 text-xs text-rose-700 list-disc list-inside">
+          {errors.map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+        </ul>
+      )}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+          <thead className="bg-slate-50">
+            <tr>
+              <Th>Currency</Th>
+              <Th>Variant</Th>
+              <Th>List price</Th>
+              <Th>Views</Th>
+              <Th>EA Joins</Th>
+              <Th>QSR</Th>
+              <Th>Mean ACV of joins ({fx.reporting})</Th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) =>
+              prices.map((p, i) => {
+                const stats = r.totals.byPrice[p];
+                const offer = r.offers.find((o) => o.price === p);
+                const variant = experiment.variants.find((v) => v.price === p);
+                const local = localizeVariant(variant, r.code);
+                return (
+                  <tr key={`${r.code}:${p}`} className={`border-t border-slate-200 ${i === 0 ? "border-slate-300" : ""}`}>
+                    <Td>{i === 0 ? <span className="font-medium">{r.code}</span> : ""}</Td>
+                    <Td>{currency(p)}</Td>
+                    <Td>{r.code === BASE_CURRENCY || local !== variant ? currency(local.price, r.code) : <span className="text-slate-400">not offered</span>}</Td>
+                    <Td>{stats.viewed}</Td>
+                    <Td>{stats.joined}</Td>
+                    <Td>{stats.viewed ? pct(stats.qsr) : "—"}</Td>
+                    <Td>{offer.joined.acv == null ? "—" : currency(Math.round(offer.joined.acv), fx.reporting)}</Td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useMemo, useSyncExternalStore } from "react";
+import { QUALITY_METRICS, isQaMode, qualitySummary, setQaMode, subscribeQaMode } from "./quality.js";
+import { Td, Th } from "./ui.jsx";
+
+// ----------------------------- data quality (internal traffic & suspicious patterns) -----------------------------
+export default function DataQualityPanel({ events, flags, exclusions, onChange }) {
+  const qa = useSyncExternalStore(subscribeQaMode, isQaMode);
+  const summary = useMemo(() => qualitySummary(events, flags, exclusions), [events, flags, exclusions]);
+
+  function toggle(flag, metric) {
+    onChange({ ...exclusions, [flag]: { ...exclusions[flag], [metric]: !exclusions[flag][metric] } });
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-1">
+        <h3 className="font-semibold">Data Quality</h3>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={qa} onChange={(e) => setQaMode(e.target.checked)} />
+          <span>QA mode in this browser</span>
+        </label>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        {summary.flagged} of {summary.total} events in this experiment and date range are flagged; {summary.excluded} are left out of every panel below.
+        Tick a box to exclude a flag from that metric. QA mode (or <code>?qa=1</code> on any link, <code>?qa=0</code> to stop) tags this browser's
+        events as internal.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+          <thead className="bg-slate-50">
+            <tr>
+              <Th>Flag</Th>
+              {QUALITY_METRICS.map((m) => (
+                <Th key={m.key}>{m.label}</Th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {summary.rows.map((r) => (
+              <tr key={r.key} className="border-t border-slate-200">
+                <Td>{r.label}</Td>
+                {QUALITY_METRICS.map((m) => {
+                  const cell = r.byMetric[m.key];
+                  if (!cell) return <Td key={m.key}><span className="text-slate-300">—</span></Td>;
+                  return (
+                    <Td key={m.key}>
+                      <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={!!exclusions[r.key][m.key]} onChange={() => toggle(r.key, m.key)} />
+                        <span className={cell.flagged ? "" : "text-slate-400"}>
+                          {cell.flagged} flagged{cell.excluded ? `, ${cell.excluded} excluded` : ""}
+                        </span>
+                      </label>
+                    </Td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
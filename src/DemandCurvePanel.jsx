@@ -0,0 +1,119 @@
+import React, { useMemo } from "react";
+import { CHART_COLORS, LineChart } from "./charts.jsx";
+import { BASE_CURRENCY, convertAmount } from "./currency.js";
+import { analyzeDemand } from "./elasticity.js";
+import { variantPrices } from "./experiments.js";
+import { Metric, Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- demand curve (price elasticity & revenue) -----------------------------
+// Prices are what each variant's visitors were shown, in fx.reporting (`shown`, currency.js shownPrices)
+export default function DemandCurvePanel({ totals, experiment, shown, fx }) {
+  const analysis = useMemo(() => {
+    const arms = variantPrices(experiment).map((p) => ({ price: shown[p], k: totals.byPrice[p].joined, n: totals.byPrice[p].viewed }));
+    return analyzeDemand(arms, convertAmount(experiment.anchorPrice, BASE_CURRENCY, fx.reporting, fx));
+  }, [totals, experiment, shown, fx]);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h3 className="font-semibold mb-1">Demand Curve &amp; Revenue-Optimal Price</h3>
+      <p className="text-xs text-slate-500 mb-4">
+        Linear demand fitted to QSR (EA Joins / View) per variant, weighted by views. Expected revenue per visitor = price × QSR. Prices are each
+        variant's mean list price shown, in {fx.reporting}; local prices and the anchor are converted at the reporting rates. Shaded bands are 90%
+        Bayesian bootstrap intervals.
+      </p>
+      {!analysis ? (
+        <div className="text-sm text-slate-500">Needs views on at least two price variants to fit a curve.</div>
+      ) : (
+        <DemandCurveBody analysis={analysis} code={fx.reporting} />
+      )}
+    </div>
+  );
+}
+
+function DemandCurveBody({ analysis, code }) {
+  const { curve, observed, optimum, elasticity, anchor, range } = analysis;
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  const dollars = (v) => currency(Math.round(v), code);
+  const convMax = Math.max(0.01, ...curve.map((c) => c.convHi ?? c.conv), ...observed.map((o) => o.rate)) * 1.1;
+  const revMax = Math.max(1, ...curve.map((c) => c.revenueHi ?? c.revenue), ...observed.map((o) => o.revenue)) * 1.1;
+  const xDomain = [range.lo, range.hi];
+  const optimumMarker = { x: optimum.price, label: `optimum ${dollars(optimum.price)}`, color: CHART_COLORS[1] };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Metric
+          label={`Elasticity @ ${dollars(elasticity.price)}`}
+          value={elasticity.value == null ? "—" : `${elasticity.value.toFixed(2)} [${fmt(elasticity.lo)}, ${fmt(elasticity.hi)}]`}
+        />
+        <Metric label="Revenue-maximizing price" value={`${dollars(optimum.price)} [${dollars(optimum.lo ?? optimum.price)}–${dollars(optimum.hi ?? optimum.price)}]`} />
+        <Metric label="Expected revenue / visitor" value={dollars(optimum.revenue)} />
+        <Metric
+          label={`Uplift vs ${dollars(anchor.price)} anchor${anchor.extrapolated ? " (extrapolated)" : ""}`}
+          value={anchor.uplift == null ? "—" : `${signedPct(anchor.uplift)} [${signedPct(anchor.upliftBand.lo)}, ${signedPct(anchor.upliftBand.hi)}]`}
+        />
+      </div>
+      {!optimum.interior && (
+        <div className="rounded-xl border border-amber-300 bg-amber-50 p-3 text-xs text-amber-800">
+          The fitted revenue curve peaks at the edge of the tested range ({dollars(range.lo)}–{dollars(range.hi)}). The true optimum may lie outside
+          it; test a price past {dollars(optimum.price)} before acting on this estimate.
+        </div>
+      )}
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <div className="text-sm font-medium mb-1">Conversion (QSR) by price</div>
+          <LineChart
+            xDomain={xDomain}
+            yDomain={[0, convMax]}
+            xFormat={dollars}
+            yFormat={pct}
+            bands={[{ color: CHART_COLORS[0], points: curve.map((c) => ({ x: c.price, lo: c.convLo, hi: c.convHi })) }]}
+            series={[{ label: "Fitted demand", color: CHART_COLORS[0], points: curve.map((c) => ({ x: c.price, y: c.conv })) }]}
+            dots={observed.map((o) => ({ x: o.price, y: o.rate, label: `${dollars(o.price)}: ${pct(o.rate)}` }))}
+          />
+        </div>
+        <div>
+          <div className="text-sm font-medium mb-1">Expected revenue per visitor</div>
+          <LineChart
+            xDomain={xDomain}
+            yDomain={[0, revMax]}
+            xFormat={dollars}
+            yFormat={dollars}
+            bands={[{ color: CHART_COLORS[1], points: curve.map((c) => ({ x: c.price, lo: c.revenueLo, hi: c.revenueHi })) }]}
+            series={[{ label: "Price × fitted QSR", color: CHART_COLORS[1], points: curve.map((c) => ({ x: c.price, y: c.revenue })) }]}
+            dots={observed.map((o) => ({ x: o.price, y: o.revenue, label: `${dollars(o.price)}: ${dollars(o.revenue)} / visitor` }))}
+            markers={[optimumMarker]}
+          />
+        </div>
+      </div>
+      <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+        <thead className="bg-slate-50">
+          <tr>
+            <Th>Price</Th>
+            <Th>Observed QSR</Th>
+            <Th>Revenue / visitor</Th>
+            <Th>Point elasticity</Th>
+          </tr>
+        </thead>
+        <tbody>
+          {observed.map((o) => (
+            <tr key={o.price} className="border-t border-slate-200">
+              <Td>{dollars(o.price)}</Td>
+              <Td>{pct(o.rate)}</Td>
+              <Td>{dollars(o.revenue)}</Td>
+              <Td>{o.elasticity == null ? "—" : o.elasticity.toFixed(2)}</Td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function fmt(v) {
+  return v == null ? "—" : v.toFixed(2);
+}
+function signedPct(v) {
+  if (v == null) return "—";
+  return `${v >= 0 ? "+" : ""}${(v * 100).toFixed(0)}%`;
+}
@@ -0,0 +1,382 @@
+import React, { useState } from "react";
+import { BASE_CURRENCY, CURRENCIES, suggestLocalPrice } from "./currency.js";
+import { ADDONS, isBanded, trafficShares, validateExperiment, variantWeight } from "./experiments.js";
+import { FACTORS } from "./factors.js";
+import { STOPPING_METHODS, experimentStatus, powerSettings, samplePlan, stoppingSettings, validateLifecycle } from "./lifecycle.js";
+import { StatusBadge } from "./LifecyclePanel.jsx";
+import { POPULATION_BANDS } from "./segment.js";
+import { WTP_METHODS, wtpMethod } from "./wtp.js";
+import { currency } from "./ui.jsx";
+
+// ----------------------------- experiment editor (#/experiments) -----------------------------
+const BLANK_EXPERIMENT = { id: "", name: "", plan: "PremiumPlus", anchorPrice: 4000, status: "draft", variants: [{ price: 5000, weight: 1 }] };
+const ALPHAS = [0.01, 0.05, 0.1];
+const POWERS = [0.8, 0.9, 0.95];
+const LOCAL_CURRENCIES = CURRENCIES.filter((c) => c.code !== BASE_CURRENCY);
+
+// Fractional settings (rates, effects, drops) are edited as percentages
+function percentValue(v) {
+  return v == null ? "" : +(v * 100).toFixed(2);
+}
+
+export default function ExperimentEditor({ experiments, activeId, onSave, onActivate }) {
+  const [selectedId, setSelectedId] = useState(activeId);
+  const [draft, setDraft] = useState(() => experiments.find((x) => x.id === activeId) || BLANK_EXPERIMENT);
+  const [isNew, setIsNew] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  function select(exp) {
+    setSelectedId(exp.id);
+    setDraft(exp);
+    setIsNew(false);
+    setErrors([]);
+  }
+  function startNew() {
+    setSelectedId(null);
+    setDraft(BLANK_EXPERIMENT);
+    setIsNew(true);
+    setErrors([]);
+  }
+  function setVariant(i, patch) {
+    setDraft({ ...draft, variants: draft.variants.map((v, j) => (j === i ? { ...v, ...patch } : v)) });
+  }
+  function setBandPrice(i, band, value) {
+    setVariant(i, { bandPrices: { ...(draft.variants[i].bandPrices || {}), [band]: value === "" ? undefined : Number(value) } });
+  }
+  function setLocalPrice(i, code, value) {
+    const prices = { ...(draft.variants[i].prices || {}) };
+    if (value === "") delete prices[code];
+    else prices[code] = Number(value);
+    setVariant(i, { prices });
+  }
+  function suggestLocalPrices(i) {
+    const v = draft.variants[i];
+    const suggested = Object.fromEntries(LOCAL_CURRENCIES.map((c) => [c.code, suggestLocalPrice(v.price, c.code)]));
+    setVariant(i, { prices: { ...suggested, ...(v.prices || {}) } });
+  }
+  function setAddonPrice(i, key, value) {
+    const addons = { ...(draft.variants[i].addons || {}) };
+    if (value === "") delete addons[key];
+    else addons[key] = Number(value);
+    setVariant(i, { addons });
+  }
+  function toggleLevel(factorKey, levelKey) {
+    const current = (draft.factors || []).find((f) => f.key === factorKey);
+    const levels = current ? current.levels : [];
+    const nextLevels = levels.includes(levelKey)
+      ? levels.filter((l) => l !== levelKey)
+      : FACTORS.find((f) => f.key === factorKey).levels.map((l) => l.key).filter((l) => l === levelKey || levels.includes(l));
+    const others = (draft.factors || []).filter((f) => f.key !== factorKey);
+    const factors = nextLevels.length ? [...others, { key: factorKey, levels: nextLevels }] : others;
+    setDraft({ ...draft, factors: FACTORS.map((f) => factors.find((x) => x.key === f.key)).filter(Boolean) });
+  }
+  function setPower(patch) {
+    setDraft({ ...draft, power: { ...powerSettings(draft), ...patch } });
+  }
+  function setStopping(patch) {
+    setDraft({ ...draft, stopping: { ...stoppingSettings(draft), ...patch } });
+  }
+  function addVariant() {
+    const last = draft.variants[draft.variants.length - 1];
+    const offer = last ? { annualDiscount: last.annualDiscount, addons: last.addons } : {};
+    setDraft({ ...draft, variants: [...draft.variants, { ...offer, price: last ? last.price + 500 : 5000, weight: 1 }] });
+  }
+  function removeVariant(i) {
+    setDraft({ ...draft, variants: draft.variants.filter((_, j) => j !== i) });
+  }
+
+  function save() {
+    const others = experiments.filter((x) => x.id !== selectedId);
+    const problems = [...validateExperiment(draft, others), ...validateLifecycle(draft)];
+    setErrors(problems);
+    if (problems.length) return;
+    const next = isNew ? [...experiments, draft] : experiments.map((x) => (x.id === selectedId ? draft : x));
+    onSave(next);
+    setSelectedId(draft.id);
+    setIsNew(false);
+  }
+  function remove() {
+    if (!window.confirm(`Delete experiment "${draft.name}"? Its events are kept.`)) return;
+    const next = experiments.filter((x) => x.id !== selectedId);
+    onSave(next);
+    select(next.find((x) => x.id === activeId) || next[0]);
+  }
+
+  const shares = trafficShares(draft);
+  const power = powerSettings(draft);
+  const stopping = stoppingSettings(draft);
+  const sample = samplePlan(draft);
+  const concluded = experimentStatus(draft) === "concluded";
+  const canDelete = !isNew && selectedId !== activeId && experiments.length > 1;
+
+  return (
+    <main className="max-w-6xl mx-auto px-4 py-8 grid md:grid-cols-3 gap-6">
+      <aside className="bg-white rounded-2xl shadow-sm border border-slate-200 p-5 space-y-2">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="font-semibold">Experiments</h2>
+          <button onClick={startNew} className="rounded-xl px-3 py-1.5 bg-indigo-600 text-white text-xs">New</button>
+        </div>
+        {experiments.map((x) => (
+          <button
+            key={x.id}
+            onClick={() => select(x)}
+            className={`w-full text-left rounded-xl border px-3 py-2 text-sm ${x.id === selectedId ? "border-indigo-500 bg-indigo-50" : "border-slate-200 hover:bg-slate-50"}`}
+          >
+            <div className="font-medium flex items-center gap-2">
+              {x.name}
+              {x.id === activeId && <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-emerald-100 text-emerald-800">Active</span>}
+              <StatusBadge experiment={x} />
+            </div>
+            <div className="text-xs text-slate-500">
+              {x.id} · {x.variants.map((v) => currency(v.price)).join(" / ")}
+            </div>
+          </button>
+        ))}
+      </aside>
+
+      <section className="md:col-span-2 bg-white rounded-2xl shadow-sm border border-slate-200 p-6 space-y-4 text-sm">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          {isNew ? "New experiment" : "Edit experiment"} <StatusBadge experiment={draft} />
+        </h2>
+        <div className="grid md:grid-cols-2 gap-3">
+          <label className="grid gap-1">
+            <span className="text-slate-700">Id</span>
+            <input value={draft.id} disabled={!isNew} onChange={(e) => setDraft({ ...draft, id: e.target.value.trim() })} className="border border-slate-300 rounded-lg px-3 py-2 disabled:bg-slate-100" placeholder="pp-q3-test" />
+          </label>
+          <label className="grid gap-1">
+            <span className="text-slate-700">Name</span>
+            <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2" />
+          </label>
+          <label className="grid gap-1">
+            <span className="text-slate-700">Plan</span>
+            <input value={draft.plan} onChange={(e) => setDraft({ ...draft, plan: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2" />
+          </label>
+          <label className="grid gap-1">
+            <span className="text-slate-700">Anchor price (Premium)</span>
+            <input type="number" min="1" value={draft.anchorPrice} onChange={(e) => setDraft({ ...draft, anchorPrice: Number(e.target.value) })} className="border border-slate-300 rounded-lg px-3 py-2" />
+          </label>
+          <label className="grid gap-1">
+            <span className="text-slate-700">Pricing mode</span>
+            <select value={draft.pricingMode || "flat"} onChange={(e) => setDraft({ ...draft, pricingMode: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
+              <option value="flat">One price per variant</option>
+              <option value="banded">Price per population band</option>
+            </select>
+          </label>
+          <label className="grid gap-1">
+            <span className="text-slate-700">Pricing survey after the Early Access form</span>
+            <select value={wtpMethod(draft)} onChange={(e) => setDraft({ ...draft, wtpMethod: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
+              {WTP_METHODS.map((m) => (
+                <option key={m.key} value={m.key}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div>
+          <div className="text-slate-700 mb-1">Variant prices and traffic weights</div>
+          <div className="text-xs text-slate-500 mb-2">
+            Prices are annual; with band pricing, the variant price is its label and visitors see their band's price. A discount offers monthly
+            billing at the price that makes annual that much cheaper; leave an add-on blank to not offer it. Local prices are in each market's
+            currency; a currency is offered once every variant has one, and its add-on and band prices follow at local price points.
+          </div>
+          <div className="grid gap-3">
+            {draft.variants.map((v, i) => (
+              <div key={i} className="grid gap-1">
+                <div className="flex items-center gap-2">
+                  <input type="number" min="1" value={v.price} onChange={(e) => setVariant(i, { price: Number(e.target.value) })} className="border border-slate-300 rounded-lg px-3 py-2 w-32" />
+                  <span className="text-slate-500 w-20">{v.price > 0 ? currency(v.price) : ""}</span>
+                  <span className="text-slate-500">weight</span>
+                  <input type="number" min="0" step="any" value={variantWeight(v)} onChange={(e) => setVariant(i, { weight: Number(e.target.value) })} className="border border-slate-300 rounded-lg px-3 py-2 w-20" />
+                  <span className="text-slate-500">{(shares[i] * 100).toFixed(0)}% of #/pp</span>
+                  <button onClick={() => removeVariant(i)} className="ml-auto text-xs underline text-slate-500">Remove</button>
+                </div>
+                {isBanded(draft) && (
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500 pl-1">
+                    <span>band prices</span>
+                    {POPULATION_BANDS.map((b) => (
+                      <label key={b} className="flex items-center gap-1">
+                        <span>{b}</span>
+                        <input
+                          type="number"
+                          min="1"
+                          value={(v.bandPrices || {})[b] ?? ""}
+                          onChange={(e) => setBandPrice(i, b, e.target.value)}
+                          className="border border-slate-300 rounded-lg px-2 py-1 w-20"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500 pl-1">
+                  <span>local prices</span>
+                  {LOCAL_CURRENCIES.map((c) => (
+                    <label key={c.code} className="flex items-center gap-1">
+                      <span>{c.code}</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={(v.prices || {})[c.code] ?? ""}
+                        onChange={(e) => setLocalPrice(i, c.code, e.target.value)}
+                        placeholder="not offered"
+                        className="border border-slate-300 rounded-lg px-2 py-1 w-24"
+                      />
+                    </label>
+                  ))}
+                  {v.price > 0 && (
+                    <button onClick={() => suggestLocalPrices(i)} className="underline">
+                      Suggest from exchange rates
+                    </button>
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500 pl-1">
+                  <span>annual discount</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="89"
+                    value={v.annualDiscount == null ? "" : Math.round(v.annualDiscount * 100)}
+                    onChange={(e) => setVariant(i, { annualDiscount: e.target.value === "" ? undefined : Number(e.target.value) / 100 })}
+                    placeholder="none"
+                    className="border border-slate-300 rounded-lg px-2 py-1 w-16"
+                  />
+                  <span>%</span>
+                  {ADDONS.map((a) => (
+                    <label key={a.key} className="flex items-center gap-1 ml-2">
+                      <span>{a.label}</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={(v.addons || {})[a.key] ?? ""}
+                        onChange={(e) => setAddonPrice(i, a.key, e.target.value)}
+                        placeholder="not offered"
+                        className="border border-slate-300 rounded-lg px-2 py-1 w-24"
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+          <button onClick={addVariant} className="mt-2 text-xs underline">+ Add variant</button>
+        </div>
+
+        <div>
+          <div className="text-slate-700 mb-1">Messaging and fence factors</div>
+          <div className="text-xs text-slate-500 mb-2">
+            Tick two or more levels to test a factor alongside price. Each visitor gets one level per factor, independently (full factorial); the
+            first ticked level in list order is the baseline. Untested factors show their first level.
+          </div>
+          <div className="grid md:grid-cols-2 gap-3">
+            {FACTORS.map((f) => {
+              const chosen = ((draft.factors || []).find((x) => x.key === f.key) || { levels: [] }).levels;
+              return (
+                <div key={f.key} className="rounded-xl border border-slate-200 p-3">
+                  <div className="font-medium mb-1">
+                    {f.label}
+                    {chosen.length >= 2 && <span className="ml-2 text-xs text-indigo-700">{chosen.length} levels</span>}
+                  </div>
+                  {f.levels.map((l) => (
+                    <label key={l.key} className="flex items-center gap-2 text-xs text-slate-600">
+                      <input type="checkbox" checked={chosen.includes(l.key)} onChange={() => toggleLevel(f.key, l.key)} />
+                      {l.label}
+                    </label>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div>
+          <div className="text-slate-700 mb-1">Schedule, sample size and stopping rules</div>
+          <div className="text-xs text-slate-500 mb-2">
+            Start, pause and conclude from the Dashboard. The target sample is per variant, for a two-sided test of each variant against the first
+            one; the MDE is relative (20% means 5% → 6% QSR).
+          </div>
+          <div className="grid md:grid-cols-4 gap-3">
+            <label className="grid gap-1">
+              <span className="text-slate-700">Start date</span>
+              <input type="date" value={draft.startDate || ""} disabled={concluded} onChange={(e) => setDraft({ ...draft, startDate: e.target.value || undefined })} className="border border-slate-300 rounded-lg px-3 py-2 disabled:bg-slate-100" />
+            </label>
+            <label className="grid gap-1">
+              <span className="text-slate-700">{concluded ? "Ended" : "Planned end"}</span>
+              <input type="date" value={draft.endDate || ""} disabled={concluded} onChange={(e) => setDraft({ ...draft, endDate: e.target.value || undefined })} className="border border-slate-300 rounded-lg px-3 py-2 disabled:bg-slate-100" />
+            </label>
+            <label className="grid gap-1">
+              <span className="text-slate-700">Baseline QSR %</span>
+              <input type="number" min="0" step="0.1" value={percentValue(power.baselineQsr)} onChange={(e) => setPower({ baselineQsr: Number(e.target.value) / 100 })} className="border border-slate-300 rounded-lg px-3 py-2" />
+            </label>
+            <label className="grid gap-1">
+              <span className="text-slate-700">Minimum detectable effect %</span>
+              <input type="number" min="0" step="1" value={percentValue(power.mde)} onChange={(e) => setPower({ mde: Number(e.target.value) / 100 })} className="border border-slate-300 rounded-lg px-3 py-2" />
+            </label>
+            <label className="grid gap-1">
+              <span className="text-slate-700">Significance (α)</span>
+              <select value={power.alpha} onChange={(e) => setPower({ alpha: Number(e.target.value) })} className="border border-slate-300 rounded-lg px-3 py-2">
+                {ALPHAS.map((a) => (
+                  <option key={a} value={a}>
+                    {a}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="grid gap-1">
+              <span className="text-slate-700">Power</span>
+              <select value={power.power} onChange={(e) => setPower({ power: Number(e.target.value) })} className="border border-slate-300 rounded-lg px-3 py-2">
+                {POWERS.map((p) => (
+                  <option key={p} value={p}>
+                    {(p * 100).toFixed(0)}%
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="grid gap-1">
+              <span className="text-slate-700">Stopping</span>
+              <select value={stopping.method} onChange={(e) => setStopping({ method: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
+                {STOPPING_METHODS.map((m) => (
+                  <option key={m.key} value={m.key}>
+                    {m.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="grid gap-1">
+              <span className="text-slate-700">CTA guardrail: max drop %</span>
+              <input type="number" min="1" max="99" value={percentValue(stopping.guardrailDrop)} onChange={(e) => setStopping({ guardrailDrop: Number(e.target.value) / 100 })} className="border border-slate-300 rounded-lg px-3 py-2" />
+            </label>
+          </div>
+          <div className="mt-2 text-xs text-slate-600">
+            {sample.perArm == null
+              ? "Enter a baseline QSR and a positive MDE to size the test."
+              : `Target: ${sample.perArm.toLocaleString()} unique visitors per variant (${sample.total.toLocaleString()} in total) to detect ${(sample.baselineQsr * 100).toFixed(1)}% → ${(
+                  sample.targetQsr * 100
+                ).toFixed(1)}% QSR${sample.comparisons > 1 ? `, with α split across ${sample.comparisons} comparisons` : ""}.`}
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <ul className="rounded-xl border border-rose-300 bg-rose-50 p-3 list-disc list-inside text-rose-700">
+            {errors.map((e) => (
+              <li key={e}>{e}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          <button onClick={save} className="rounded-xl px-4 py-2 bg-slate-900 text-white">Save</button>
+          {!isNew && selectedId !== activeId && (
+            <button onClick={() => onActivate(selectedId)} className="rounded-xl px-4 py-2 bg-emerald-600 text-white">Make active</button>
+          )}
+          {canDelete && (
+            <button onClick={remove} className="rounded-xl px-4 py-2 bg-white border border-rose-300 text-rose-700">Delete</button>
+          )}
+        </div>
+        <p className="text-xs text-slate-500">
+          The active experiment drives the variant pages, nav and shareable links. Past experiments stay selectable on the Dashboard.
+        </p>
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from "react";
+import { FACTORIAL_METRICS, analyzeFactorial } from "./factorial.js";
+import { experimentFactors } from "./factors.js";
+import { PIVOT_UNITS } from "./pivot.js";
+import { MIN_VIEWS_TO_CALL } from "./stats.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- factorial (main effects & interactions) -----------------------------
+const pct = (v) => (v == null ? "—" : `${(v * 100).toFixed(1)}%`);
+const pts = (v) => (v == null ? "—" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)} pts`);
+const pValue = (p) => (p == null ? "—" : p < 0.001 ? "<0.001" : p.toFixed(3));
+
+function levelLabel(factorKey, level) {
+  return factorKey === "price" ? currency(level.key) : level.label;
+}
+
+export default function FactorialPanel({ events, experiment, unit }) {
+  const [metric, setMetric] = useState("joined");
+  const [factorialUnit, setFactorialUnit] = useState(unit === "visitor" ? "visitor" : "session");
+  const [pairIndex, setPairIndex] = useState(0);
+  const tested = experimentFactors(experiment);
+  const analysis = useMemo(
+    () => (tested.length ? analyzeFactorial(events, experiment, { unit: factorialUnit, metric }) : null),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [events, experiment, factorialUnit, metric]
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="font-semibold">Messaging &amp; Fence Factors</h3>
+        {analysis && (
+          <div className="flex flex-wrap gap-3 text-sm">
+            <select value={metric} onChange={(e) => setMetric(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+              {FACTORIAL_METRICS.map((m) => (
+                <option key={m.key} value={m.key}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            <select value={factorialUnit} onChange={(e) => setFactorialUnit(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+              {PIVOT_UNITS.map((u) => (
+                <option key={u.key} value={u.key}>
+                  {u.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+      {!analysis ? (
+        <div className="text-sm text-slate-500">This experiment only varies price. Add copy, feature-list, fence or anchor factors in the experiment editor.</div>
+      ) : (
+        <FactorialBody analysis={analysis} pairIndex={Math.min(pairIndex, analysis.interactions.length - 1)} onPair={setPairIndex} />
+      )}
+    </div>
+  );
+}
+
+function FactorialBody({ analysis, pairIndex, onPair }) {
+  const pair = analysis.interactions[pairIndex];
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-slate-500">
+        {analysis.units} viewing units with every factor assigned
+        {analysis.untagged ? ` (${analysis.untagged} older units without factor levels left out)` : ""}. Effects are against each factor's first level,
+        pooled over the other factors; rows under {MIN_VIEWS_TO_CALL} views are greyed out.
+      </p>
+      <div className="grid md:grid-cols-2 gap-4">
+        {analysis.factors.map((f) => (
+          <div key={f.key}>
+            <div className="text-xs font-semibold text-slate-600 mb-1">{f.label}</div>
+            <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+              <thead className="bg-slate-50">
+                <tr>
+                  <Th>Level</Th>
+                  <Th>Rate [95% CI]</Th>
+                  <Th>Effect</Th>
+                  <Th>p</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {f.levels.map((l, i) => (
+                  <tr key={l.key} className={`border-t border-slate-200 ${l.tooSmall ? "text-slate-400" : ""}`}>
+                    <Td>{levelLabel(f.key, l)}</Td>
+                    <Td>
+                      {l.n ? `${pct(l.rate)} [${pct(l.ci.lo)}–${pct(l.ci.hi)}]` : "—"} <span className="text-xs text-slate-400">{l.k}/{l.n}</span>
+                    </Td>
+                    <Td>{i === 0 ? <span className="text-slate-400">baseline</span> : pts(l.diff)}</Td>
+                    <Td>{i === 0 ? "" : pValue(l.p)}</Td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+          <span className="text-slate-600">Interaction</span>
+          <select value={pairIndex} onChange={(e) => onPair(Number(e.target.value))} className="border border-slate-300 rounded-lg px-2 py-1">
+            {analysis.interactions.map((x, i) => (
+              <option key={`${x.a.key}×${x.b.key}`} value={i}>
+                {x.a.label} × {x.b.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid md:grid-cols-2 gap-4">
+          <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+            <thead className="bg-slate-50">
+              <tr>
+                <Th>
+                  {pair.a.label} \ {pair.b.label}
+                </Th>
+                {pair.b.levels.map((b) => (
+                  <Th key={b.key}>{levelLabel(pair.b.key, b)}</Th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {pair.a.levels.map((a) => (
+                <tr key={a.key} className="border-t border-slate-200">
+                  <Td>{levelLabel(pair.a.key, a)}</Td>
+                  {pair.b.levels.map((b) => {
+                    const c = pair.cells[`${a.key}|${b.key}`];
+                    return (
+                      <Td key={b.key}>
+                        <span className={c.n < MIN_VIEWS_TO_CALL ? "text-slate-400" : ""}>
+                          {c.n ? pct(c.k / c.n) : "—"} <span className="text-xs text-slate-400">{c.k}/{c.n}</span>
+                        </span>
+                      </Td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+            <thead className="bg-slate-50">
+              <tr>
+                <Th>Levels</Th>
+                <Th>Interaction [95% CI]</Th>
+                <Th>p</Th>
+              </tr>
+            </thead>
+            <tbody>
+              {pair.contrasts.map((c) => (
+                <tr key={`${c.aLevel}|${c.bLevel}`} className="border-t border-slate-200">
+                  <Td>
+                    {levelLabel(pair.a.key, pair.a.levels.find((l) => l.key === c.aLevel))} × {levelLabel(pair.b.key, pair.b.levels.find((l) => l.key === c.bLevel))}
+                  </Td>
+                  <Td>{c.diff == null ? "—" : `${pts(c.diff)} [${pts(c.lo)}, ${pts(c.hi)}]`}</Td>
+                  <Td>{pValue(c.p)}</Td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-slate-500 mt-2">
+          Interaction = how much {pair.b.label.toLowerCase()}'s effect changes at that {pair.a.label.toLowerCase()} level versus the first one (difference
+          in differences). Near zero: the two factors' effects add up independently.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useMemo } from "react";
+import { FUNNEL_STEPS, buildFunnel } from "./funnel.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- funnel (drop-off per variant) -----------------------------
+export default function FunnelPanel({ events, experiment, unit }) {
+  const funnel = useMemo(() => buildFunnel(events, experiment, { unit }), [events, experiment, unit]);
+  const pct = (v) => (v == null ? "—" : `${(v * 100).toFixed(1)}%`);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h3 className="font-semibold mb-1">Funnel by Price Variant</h3>
+      <p className="text-xs text-slate-500 mb-4">
+        {FUNNEL_STEPS.map((s) => s.label).join(" → ")}. Bars are relative to views; the percentage under each step is conversion from the previous
+        step.
+      </p>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        {funnel.map((v) => (
+          <div key={v.price} className="rounded-xl border border-slate-200 p-4">
+            <div className="font-medium mb-2">{currency(v.price)}</div>
+            <div className="space-y-2">
+              {v.steps.map((s) => (
+                <div key={s.key}>
+                  <div className="flex justify-between text-xs text-slate-600">
+                    <span>{s.label}</span>
+                    <span>
+                      {s.count}
+                      {s.stepRate != null && <span className="text-slate-400"> · {pct(s.stepRate)}</span>}
+                    </span>
+                  </div>
+                  <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+                    <div className="h-2 bg-indigo-500" style={{ width: `${Math.min(100, (s.overallRate ?? 0) * 100)}%` }} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto mt-4">
+        <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+          <thead className="bg-slate-50">
+            <tr>
+              <Th>Price</Th>
+              {FUNNEL_STEPS.slice(1).map((s, i) => (
+                <Th key={s.key}>
+                  {FUNNEL_STEPS[i].label} → {s.label} drop-off
+                </Th>
+              ))}
+              <Th>Modal dismissed</Th>
+              <Th>Dismissed untouched</Th>
+              <Th>Validation failures</Th>
+              <Th>Median time open</Th>
+            </tr>
+          </thead>
+          <tbody>
+            {funnel.map((v) => (
+              <tr key={v.price} className="border-t border-slate-200">
+                <Td>{currency(v.price)}</Td>
+                {v.steps.slice(1).map((s) => (
+                  <Td key={s.key}>{pct(s.dropOff)}</Td>
+                ))}
+                <Td>
+                  {v.modal.dismissed}
+                  {v.modal.opened ? <span className="text-slate-400"> ({pct(v.modal.dismissed / v.modal.opened)})</span> : null}
+                </Td>
+                <Td>{v.modal.abandonedUntouched}</Td>
+                <Td>{v.modal.validationFailed}</Td>
+                <Td>{v.modal.medianMsOpen == null ? "—" : `${(v.modal.medianMsOpen / 1000).toFixed(1)}s`}</Td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
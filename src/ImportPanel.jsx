@@ -0,0 +1,140 @@
+import React, { useMemo, useState } from "react";
+import { loadEvents } from "./events.js";
+import { eventExperimentId } from "./experiments.js";
+import { mergeIntoLocalStore, parseEventFile, planMerge } from "./importer.js";
+import { eventPrice } from "./metrics.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- import & merge exports -----------------------------
+const PREVIEW_ROWS = 8;
+
+export default function ImportPanel({ onAnalyze }) {
+  const [files, setFiles] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  async function pick(e) {
+    const list = Array.from(e.target.files || []);
+    e.target.value = "";
+    const parsed = await Promise.all(
+      list.map(async (file) => {
+        try {
+          return { name: file.name, ...parseEventFile(await file.text(), file.name) };
+        } catch (err) {
+          return { name: file.name, format: "?", events: [], leads: [], invalid: [], error: err.message };
+        }
+      })
+    );
+    setFiles(parsed);
+    setMessage(null);
+  }
+
+  const incoming = useMemo(() => files.flatMap((f) => f.events), [files]);
+  const plan = useMemo(() => planMerge(loadEvents(), incoming), [incoming]);
+  const byType = useMemo(() => {
+    const counts = {};
+    for (const e of plan.toAdd) counts[e.event] = (counts[e.event] || 0) + 1;
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  }, [plan]);
+
+  function merge() {
+    const leads = files.flatMap((f) => f.leads);
+    const added = mergeIntoLocalStore(incoming, leads);
+    setMessage(
+      `Added ${added} event${added === 1 ? "" : "s"} to this browser's store` +
+        (leads.length ? `; contact details from ${leads.length} older join${leads.length === 1 ? "" : "s"} moved to the lead store.` : ".")
+    );
+    setFiles([]);
+  }
+  function analyze() {
+    const { toAdd } = planMerge([], incoming); // de-duplicated across the selected files only
+    onAnalyze(toAdd, files.map((f) => f.name).join(", "));
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h3 className="font-semibold mb-1">Import Events</h3>
+      <p className="text-xs text-slate-500 mb-3">
+        Load JSON, NDJSON or CSV exports from other browsers or the collector. Events already in this browser (same <code>event_id</code>, or same
+        timestamp, name and properties) are skipped.
+      </p>
+      <input type="file" multiple accept=".json,.ndjson,.jsonl,.csv,application/json,text/csv" onChange={pick} className="text-sm" />
+      {message && <div className="mt-3 text-sm text-emerald-700">{message}</div>}
+
+      {files.length > 0 && (
+        <div className="mt-4 space-y-4">
+          <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+            <thead className="bg-slate-50">
+              <tr>
+                <Th>File</Th>
+                <Th>Format</Th>
+                <Th>Events</Th>
+                <Th>Rejected</Th>
+              </tr>
+            </thead>
+            <tbody>
+              {files.map((f) => (
+                <tr key={f.name} className="border-t border-slate-200">
+                  <Td>{f.name}</Td>
+                  <Td>{f.format.toUpperCase()}</Td>
+                  <Td>{f.error ? <span className="text-rose-700">{f.error}</span> : f.events.length}</Td>
+                  <Td>
+                    {f.invalid.length ? (
+                      <span title={f.invalid.slice(0, 5).map((x) => `row ${x.row}: ${x.message}`).join("\n")}>{f.invalid.length}</span>
+                    ) : (
+                      0
+                    )}
+                  </Td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="text-sm">
+            <b>{plan.toAdd.length}</b> new · {plan.duplicates} duplicate{plan.duplicates === 1 ? "" : "s"} skipped
+            {byType.length > 0 && <span className="text-slate-500"> · {byType.map(([name, n]) => `${name} ${n}`).join(", ")}</span>}
+          </div>
+
+          {plan.toAdd.length > 0 && (
+            <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+              <thead className="bg-slate-50">
+                <tr>
+                  <Th>Timestamp</Th>
+                  <Th>Event</Th>
+                  <Th>Experiment</Th>
+                  <Th>Price</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.toAdd.slice(0, PREVIEW_ROWS).map((e, i) => (
+                  <tr key={i} className="border-t border-slate-200">
+                    <Td>{new Date(e.timestamp).toLocaleString()}</Td>
+                    <Td>{e.event}</Td>
+                    <Td>{eventExperimentId(e)}</Td>
+                    <Td>{typeof eventPrice(e) === "number" ? currency(eventPrice(e)) : "—"}</Td>
+                  </tr>
+                ))}
+                {plan.toAdd.length > PREVIEW_ROWS && (
+                  <tr className="border-t border-slate-200">
+                    <Td colSpan={4}>… and {plan.toAdd.length - PREVIEW_ROWS} more</Td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <button onClick={merge} disabled={!plan.toAdd.length} className="rounded-xl px-4 py-2 bg-slate-900 text-white text-sm disabled:opacity-40">
+              Merge {plan.toAdd.length} into this browser
+            </button>
+            <button onClick={analyze} disabled={!incoming.length} className="rounded-xl px-4 py-2 bg-white border border-slate-300 text-sm disabled:opacity-40">
+              Analyze without merging
+            </button>
+            <button onClick={() => setFiles([])} className="rounded-xl px-4 py-2 text-sm underline text-slate-500">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
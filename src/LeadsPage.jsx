@@ -0,0 +1,171 @@
+import React, { useMemo, useState } from "react";
+import { loadEvents } from "./events.js";
+import { bandScore, buildLeadRows, leadsToCsv, mergeDuplicateRows, scoreTier } from "./leadList.js";
+import { deleteLead, loadLeads } from "./leads.js";
+import { Td, currency } from "./ui.jsx";
+
+// ----------------------------- Early Access leads (#/leads) -----------------------------
+const COLUMNS = [
+  { key: "timestamp", label: "Joined", sort: (r) => Date.parse(r.timestamp) },
+  { key: "org", label: "Organization", sort: (r) => (r.org || "").toLowerCase() },
+  { key: "email", label: "Email", sort: (r) => (r.email || "").toLowerCase() },
+  { key: "persona", label: "Persona", sort: (r) => r.persona || "" },
+  { key: "population_band", label: "Population band", sort: (r) => bandScore(r.population_band) },
+  { key: "price", label: "Quoted price", sort: (r) => r.price },
+  { key: "score", label: "Score", sort: (r) => r.score },
+];
+
+function matches(row, query) {
+  if (!query) return true;
+  const haystack = [row.org, row.email, ...(row.otherEmails || []), row.persona, row.population_band, row.experiment_id].join(" ").toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => haystack.includes(term));
+}
+
+function downloadCsv(rows) {
+  const blob = new Blob([leadsToCsv(rows)], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `pp_early_access_leads_${new Date().toISOString().slice(0, 10)}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export default function LeadsPage() {
+  const [version, setVersion] = useState(0); // bumped after a delete to re-read the stores
+  const rows = useMemo(() => buildLeadRows(loadEvents(), loadLeads()), [version]);
+  const [query, setQuery] = useState("");
+  const [merge, setMerge] = useState(true);
+  const [nonGovOnly, setNonGovOnly] = useState(false);
+  const [sort, setSort] = useState({ key: "timestamp", dir: -1 });
+
+  const visible = useMemo(() => {
+    const list = (merge ? mergeDuplicateRows(rows) : rows).filter((r) => matches(r, query) && (!nonGovOnly || r.nonGov));
+    const get = COLUMNS.find((c) => c.key === sort.key).sort;
+    return list.sort((a, b) => {
+      const x = get(a);
+      const y = get(b);
+      return (x < y ? -1 : x > y ? 1 : 0) * sort.dir;
+    });
+  }, [rows, merge, query, nonGovOnly, sort]);
+  const contactable = visible.filter((r) => r.email).length;
+
+  function toggleSort(key) {
+    setSort((s) => (s.key === key ? { key, dir: -s.dir } : { key, dir: key === "timestamp" || key === "score" ? -1 : 1 }));
+  }
+  function remove(row) {
+    if (!window.confirm(`Delete ${row.email} and unlink their join events? This can't be undone.`)) return;
+    deleteLead(row.leadId);
+    setVersion((v) => v + 1);
+  }
+
+  return (
+    <main className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div>
+            <h2 className="text-lg font-semibold">Early Access Leads</h2>
+            <p className="text-xs text-slate-500">
+              Every EarlyAccessJoin in this browser. Contact details appear only for visitors who consented; scores weigh persona (up to 40) and
+              municipality size (up to 60).
+            </p>
+          </div>
+          <button
+            onClick={() => downloadCsv(visible)}
+            disabled={!contactable}
+            className="rounded-xl px-4 py-2 bg-slate-900 text-white text-sm disabled:opacity-40"
+          >
+            Export CRM CSV ({contactable})
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-4 text-sm mb-4">
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search org, email, persona, band…"
+            className="flex-1 min-w-[16rem] border border-slate-300 rounded-lg px-3 py-1.5"
+          />
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={merge} onChange={(e) => setMerge(e.target.checked)} />
+            Merge duplicates (same email or org)
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={nonGovOnly} onChange={(e) => setNonGovOnly(e.target.checked)} />
+            Non-government domains only
+          </label>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+            <thead className="bg-slate-50">
+              <tr>
+                {COLUMNS.map((c) => (
+                  <th key={c.key} className="text-left text-xs font-semibold text-slate-600 px-3 py-2">
+                    <button onClick={() => toggleSort(c.key)} className="hover:text-slate-900">
+                      {c.label}
+                      {sort.key === c.key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+                    </button>
+                  </th>
+                ))}
+                {merge && <th className="text-left text-xs font-semibold text-slate-600 px-3 py-2">Joins</th>}
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.length === 0 ? (
+                <tr className="border-t border-slate-200">
+                  <Td colSpan={COLUMNS.length + 2}>{rows.length ? "(no leads match)" : "(no Early Access joins yet)"}</Td>
+                </tr>
+              ) : (
+                visible.map((r) => {
+                  const tier = scoreTier(r.score);
+                  return (
+                    <tr key={r.id} className="border-t border-slate-200">
+                      <Td>{new Date(r.timestamp).toLocaleString()}</Td>
+                      <Td>{r.org || <span className="text-slate-400">—</span>}</Td>
+                      <Td>
+                        {r.email ? (
+                          <>
+                            {r.email}
+                            {r.nonGov && (
+                              <span className="ml-2 inline-block text-xs font-medium px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">non-gov</span>
+                            )}
+                            {r.otherEmails && r.otherEmails.length > 0 && <div className="text-xs text-slate-500">also {r.otherEmails.join(", ")}</div>}
+                          </>
+                        ) : (
+                          <span className="text-slate-400">no consent</span>
+                        )}
+                      </Td>
+                      <Td>{r.persona}</Td>
+                      <Td>{r.population_band}</Td>
+                      <Td>{(r.prices || [r.price]).map((p) => currency(p)).join(" / ")}</Td>
+                      <Td>
+                        <span className={`inline-block text-xs font-medium px-2 py-0.5 rounded-full ${tier.className}`}>
+                          {r.score} · {tier.label}
+                        </span>
+                      </Td>
+                      {merge && <Td>{r.joins}</Td>}
+                      <Td>
+                        {r.leadId && (
+                          <button onClick={() => remove(r)} className="text-rose-700 underline text-xs">
+                            Delete
+                          </button>
+                        )}
+                      </Td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </main>
+  );
+}
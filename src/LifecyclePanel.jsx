@@ -0,0 +1,210 @@
+import React, { useMemo, useState } from "react";
+import { availableTransitions, concludeExperiment, evaluateExperiment, experimentStatus, statusInfo, transition } from "./lifecycle.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- lifecycle, progress & stopping rules -----------------------------
+const pct = (v, digits = 1) => `${(v * 100).toFixed(digits)}%`;
+
+export function StatusBadge({ experiment }) {
+  const s = statusInfo(experiment);
+  return <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${s.cls}`}>{s.label}</span>;
+}
+
+function ProgressBar({ value }) {
+  return (
+    <div className="h-2 w-32 rounded-full bg-slate-100 overflow-hidden">
+      <div className={`h-full ${value >= 1 ? "bg-emerald-500" : "bg-indigo-500"}`} style={{ width: `${Math.min(1, value) * 100}%` }} />
+    </div>
+  );
+}
+
+export default function LifecyclePanel({ events, experiment, source, onChange }) {
+  const status = experimentStatus(experiment);
+  const evaluation = useMemo(() => (status === "draft" || status === "concluded" ? null : evaluateExperiment(events, experiment)), [events, experiment, status]);
+  const [decision, setDecision] = useState("");
+  const [note, setNote] = useState("");
+
+  function move(to) {
+    onChange(transition(experiment, to));
+  }
+  function conclude() {
+    const picked = decision === "" ? evaluation.recommendation : decision === "none" ? null : Number(decision);
+    const label = picked == null ? "no decision" : `ship ${currency(picked)}`;
+    if (!window.confirm(`Conclude "${experiment.name}" (${label})? Its results are frozen and it can't be restarted.`)) return;
+    onChange(concludeExperiment(experiment, evaluation, { decision: picked, note, source }));
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-1">
+        <h3 className="font-semibold flex items-center gap-2">
+          Lifecycle & Stopping Rules <StatusBadge experiment={experiment} />
+          {evaluation && evaluation.ready && <span className="text-xs font-medium px-2 py-1 rounded-full bg-emerald-100 text-emerald-800">Ready to conclude</span>}
+        </h3>
+        <div className="flex gap-2 text-sm">
+          {availableTransitions(experiment).map((t) => (
+            <button key={t.to} onClick={() => move(t.to)} className="rounded-xl px-3 py-1.5 bg-white border border-slate-300">
+              {t.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        {experiment.startDate ? `Started ${experiment.startDate}` : status === "draft" ? "Not started" : "No start date (every event counts)"}
+        {experiment.endDate ? ` · ${status === "concluded" ? "ended" : "planned end"} ${experiment.endDate}` : ""}.{" "}
+        {status === "draft" && "Plan pages are previews until the experiment starts; set the sample-size plan in the Experiments editor."}
+        {status === "paused" && "Plan pages are previews while paused: nothing is recorded."}
+        {(status === "running" || status === "paused") &&
+          " Counts unique visitors since the start date, from the selected source (the Dashboard's date range doesn't apply)."}
+      </p>
+
+      {evaluation && <Progress evaluation={evaluation} />}
+      {evaluation && (
+        <div className="mt-4 flex flex-wrap items-end gap-3 text-sm border-t border-slate-200 pt-4">
+          <label className="grid gap-1">
+            <span className="text-slate-600 text-xs">Decision</span>
+            <select value={decision} onChange={(e) => setDecision(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+              <option value="">Recommended: ship {currency(evaluation.recommendation)}</option>
+              {experiment.variants.map((v) => (
+                <option key={v.price} value={v.price}>
+                  Ship {currency(v.price)}
+                </option>
+              ))}
+              <option value="none">No decision</option>
+            </select>
+          </label>
+          <label className="grid gap-1 flex-1 min-w-[12rem]">
+            <span className="text-slate-600 text-xs">Note</span>
+            <input value={note} onChange={(e) => setNote(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1" placeholder="Why we're stopping" />
+          </label>
+          <button onClick={conclude} className={`rounded-xl px-4 py-2 text-white ${evaluation.ready ? "bg-emerald-600" : "bg-slate-500"}`}>
+            Conclude & archive results
+          </button>
+        </div>
+      )}
+      {status === "concluded" && experiment.conclusion && <Snapshot conclusion={experiment.conclusion} />}
+    </div>
+  );
+}
+
+function Progress({ evaluation }) {
+  const { plan, arms, rules, srm } = evaluation;
+  return (
+    <div className="grid md:grid-cols-2 gap-6">
+      <div>
+        <div className="text-sm font-medium mb-1">Progress toward the target sample</div>
+        <p className="text-xs text-slate-500 mb-2">
+          {plan.perArm == null
+            ? "Set a baseline QSR and minimum detectable effect to get a target."
+            : `${plan.perArm.toLocaleString()} visitors per variant to detect ${pct(plan.baselineQsr)} → ${pct(plan.targetQsr)} QSR (α = ${plan.alpha}${
+                plan.comparisons > 1 ? `, ${plan.alphaPerTest.toFixed(3)} per comparison` : ""
+              }, power ${pct(plan.power, 0)}).`}
+          {evaluation.daysRemaining != null &&
+            ` At the current pace: about ${Number.isFinite(evaluation.daysRemaining) ? Math.ceil(evaluation.daysRemaining) : "∞"} more day${Math.ceil(evaluation.daysRemaining) === 1 ? "" : "s"}.`}
+        </p>
+        <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+          <thead className="bg-slate-50">
+            <tr>
+              <Th>Price</Th>
+              <Th>Visitors</Th>
+              <Th>Progress</Th>
+              <Th>QSR</Th>
+            </tr>
+          </thead>
+          <tbody>
+            {arms.map((a, i) => (
+              <tr key={a.price} className="border-t border-slate-200">
+                <Td>
+                  {currency(a.price)}
+                  {i === 0 && <span className="ml-1 text-xs text-slate-400">control</span>}
+                </Td>
+                <Td>{a.viewed}</Td>
+                <Td>
+                  <div className="flex items-center gap-2">
+                    <ProgressBar value={a.progress} />
+                    <span className="text-xs text-slate-500">{pct(a.progress, 0)}</span>
+                  </div>
+                </Td>
+                <Td>{a.viewed ? pct(a.rate) : "—"}</Td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div>
+        <div className="text-sm font-medium mb-1">Stopping rules</div>
+        <p className="text-xs text-slate-500 mb-2">Any rule that fires marks the experiment ready to conclude.</p>
+        <ul className="space-y-2 text-sm">
+          {rules.map((r) => (
+            <li key={r.key} className="flex items-start gap-2">
+              <span className={`mt-0.5 text-xs font-medium px-2 py-0.5 rounded-full whitespace-nowrap ${r.fired ? "bg-emerald-100 text-emerald-800" : "bg-slate-100 text-slate-600"}`}>
+                {r.fired ? "Fired" : "Waiting"}
+              </span>
+              <div>
+                <div>{r.label}</div>
+                <div className="text-xs text-slate-500">{r.detail}</div>
+              </div>
+            </li>
+          ))}
+        </ul>
+        {srm.mismatch && (
+          <p className="text-xs text-rose-700 mt-3">
+            Sample-ratio mismatch in #/pp assignment (p = {srm.p.toPrecision(2)}): check the traffic before trusting any stopping rule.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Frozen at conclusion: never recomputed from the live log
+function Snapshot({ conclusion }) {
+  const { snapshot } = conclusion;
+  return (
+    <div className="space-y-3">
+      <div className="text-sm">
+        Concluded {new Date(conclusion.concluded_at).toLocaleString()} ·{" "}
+        <span className="font-medium">{conclusion.decision == null ? "No decision" : `Shipped ${currency(conclusion.decision)}`}</span>
+        {conclusion.note && <span className="text-slate-600"> — {conclusion.note}</span>}
+      </div>
+      <p className="text-xs text-slate-500">
+        Archived results ({snapshot.visitors} unique visitors, {snapshot.window.from || "all time"} – {snapshot.window.to}, source: {conclusion.source}
+        {snapshot.plan.perArm ? `; ${pct(snapshot.fraction, 0)} of the ${snapshot.plan.perArm.toLocaleString()}-per-variant target` : ""}). These
+        numbers are frozen; the panels below still read the live log.
+      </p>
+      <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+        <thead className="bg-slate-50">
+          <tr>
+            <Th>Price</Th>
+            <Th>Visitors</Th>
+            <Th>EA Joins</Th>
+            <Th>QSR (95% CI)</Th>
+            <Th>Δ vs control</Th>
+            <Th>p-value</Th>
+            <Th>P(best)</Th>
+          </tr>
+        </thead>
+        <tbody>
+          {snapshot.arms.map((a) => (
+            <tr key={a.price} className="border-t border-slate-200">
+              <Td>{currency(a.price)}</Td>
+              <Td>{a.viewed}</Td>
+              <Td>{a.joined}</Td>
+              <Td>{a.viewed ? `${pct(a.qsr)} [${pct(a.ci.lo)}–${pct(a.ci.hi)}]` : "—"}</Td>
+              <Td>{a.diff == null ? "—" : `${a.diff >= 0 ? "+" : ""}${(a.diff * 100).toFixed(1)} pts`}</Td>
+              <Td>{a.p == null ? "—" : a.p < 0.001 ? "<0.001" : a.p.toFixed(3)}</Td>
+              <Td>{a.viewed ? pct(a.pBest, 0) : "—"}</Td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ul className="text-xs text-slate-500 list-disc list-inside">
+        {snapshot.rules.map((r) => (
+          <li key={r.key}>
+            {r.label}: {r.fired ? "fired" : "not fired"} ({r.detail})
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useMemo, useState } from "react";
+import { BASE_CURRENCY, convertAmount } from "./currency.js";
+import { ADDONS, findVariant, offeredAddons } from "./experiments.js";
+import { summarizeOffers } from "./offers.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- offer configurator (billing term & add-ons) -----------------------------
+const BASES = [
+  { key: "joined", label: "EA Joins" },
+  { key: "cta", label: "CTA clicks" },
+];
+
+function Rate({ r }) {
+  if (r.rate == null) return <span className="text-slate-300">—</span>;
+  return (
+    <div>
+      {(r.rate * 100).toFixed(1)}%
+      <div className="text-xs text-slate-400">
+        {(r.ci.lo * 100).toFixed(0)}–{(r.ci.hi * 100).toFixed(0)}% · {r.k}
+      </div>
+    </div>
+  );
+}
+
+// `fx`: contract values arrive in fx.reporting (normalizeEvents)
+export default function OfferPanel({ events, experiment, fx }) {
+  const [basis, setBasis] = useState("joined");
+  const rows = useMemo(() => summarizeOffers(events, experiment), [events, experiment]);
+  const withoutOffer = rows.reduce((acc, r) => acc + r.withoutOffer, 0);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <div>
+          <h3 className="font-semibold mb-1">Offer: Billing Term & Add-ons</h3>
+          <p className="text-xs text-slate-500">
+            What visitors had configured when they acted. Attach rate = share selecting the add-on (95% interval · count); ACV = mean annualised
+            contract value, in {fx.reporting} and compared with the variant's list price at the Currencies panel's rates. "not offered" means the variant doesn't price that add-on.
+            {withoutOffer > 0 && ` ${withoutOffer} older event${withoutOffer === 1 ? "" : "s"} without an offer are left out.`}
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <span className="text-slate-600">Based on</span>
+          <select value={basis} onChange={(e) => setBasis(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+            {BASES.map((b) => (
+              <option key={b.key} value={b.key}>
+                {b.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+          <thead className="bg-slate-50">
+            <tr>
+              <Th>Price</Th>
+              <Th>{BASES.find((b) => b.key === basis).label}</Th>
+              <Th>Annual billing</Th>
+              {ADDONS.map((a) => (
+                <Th key={a.key}>{a.label} attach</Th>
+              ))}
+              <Th>Avg contract value</Th>
+              <Th>vs list price</Th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => {
+              const stats = row[basis];
+              const offered = offeredAddons(findVariant(experiment, row.price)).map((a) => a.key);
+              const list = convertAmount(row.price, BASE_CURRENCY, fx.reporting, fx);
+              return (
+                <tr key={row.price} className="border-t border-slate-200">
+                  <Td>{currency(row.price)}</Td>
+                  <Td>{stats.n}</Td>
+                  <Td>
+                    <Rate r={stats.annual} />
+                  </Td>
+                  {ADDONS.map((a) => (
+                    <Td key={a.key}>{offered.includes(a.key) ? <Rate r={stats.attach[a.key]} /> : <span className="text-slate-400">not offered</span>}</Td>
+                  ))}
+                  <Td>{stats.acv == null ? "—" : currency(Math.round(stats.acv), fx.reporting)}</Td>
+                  <Td>{stats.acv == null ? "—" : `${stats.acv >= list ? "+" : ""}${(((stats.acv - list) / list) * 100).toFixed(1)}%`}</Td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
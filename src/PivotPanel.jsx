@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from "react";
+import { PIVOT_DIMENSIONS, PIVOT_UNITS, buildPivot } from "./pivot.js";
+import { MIN_VIEWS_TO_CALL } from "./stats.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- pivot / cross-tab segments -----------------------------
+const PIVOT_METRICS = [
+  { key: "qsr", label: "QSR (EA Joins / View)", count: "joined", ci: "qsrCi" },
+  { key: "ctaRate", label: "CTA / View", count: "cta", ci: "ctaCi" },
+];
+
+function dimLabel(key) {
+  return PIVOT_DIMENSIONS.find((d) => d.key === key).label;
+}
+function formatValue(dim, value) {
+  return dim === "price" ? currency(value) : value;
+}
+
+function DimSelect({ label, value, onChange, optional }) {
+  return (
+    <label className="flex items-center gap-2">
+      <span className="text-slate-600">{label}</span>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+        {optional && <option value="">—</option>}
+        {PIVOT_DIMENSIONS.map((d) => (
+          <option key={d.key} value={d.key}>
+            {d.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+function PivotCell({ stats, metric }) {
+  if (!stats.n) return <span className="text-slate-300">—</span>;
+  const rate = stats[metric.key];
+  const ci = stats[metric.ci];
+  return (
+    <div className={stats.n < MIN_VIEWS_TO_CALL ? "text-slate-400" : ""}>
+      <div className="font-medium">{(rate * 100).toFixed(1)}%</div>
+      <div className="text-xs text-slate-500">
+        [{(ci.lo * 100).toFixed(1)}–{(ci.hi * 100).toFixed(1)}] · {stats[metric.count]}/{stats.n}
+      </div>
+    </div>
+  );
+}
+
+export default function PivotPanel({ events, experiment, unit }) {
+  const [row, setRow] = useState("population_band");
+  const [row2, setRow2] = useState("");
+  const [col, setCol] = useState("price");
+  const [metricKey, setMetricKey] = useState("qsr");
+  const [pivotUnit, setPivotUnit] = useState(unit === "visitor" ? "visitor" : "session");
+  const rows = row2 && row2 !== row ? [row, row2] : [row];
+  const colDim = col && !rows.includes(col) ? col : null;
+  const pivot = useMemo(
+    () => buildPivot(events, experiment, { rows, col: colDim, unit: pivotUnit }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [events, experiment, row, row2, colDim, pivotUnit]
+  );
+  const metric = PIVOT_METRICS.find((m) => m.key === metricKey);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="font-semibold">Segment Pivot</h3>
+        <div className="flex flex-wrap gap-3 text-sm">
+          <DimSelect label="Rows" value={row} onChange={setRow} />
+          <DimSelect label="then" value={row2} onChange={setRow2} optional />
+          <DimSelect label="Columns" value={col} onChange={setCol} optional />
+          <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+            {PIVOT_METRICS.map((m) => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          <select value={pivotUnit} onChange={(e) => setPivotUnit(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+            {PIVOT_UNITS.map((u) => (
+              <option key={u.key} value={u.key}>
+                {u.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        Each cell: rate, 95% Wilson interval and outcomes / viewing units. A unit is one {pivotUnit === "visitor" ? "visitor" : "session"} at one price and
+        takes its CTA, tile and segment from all of its events. Cells under {MIN_VIEWS_TO_CALL} views are greyed out.
+      </p>
+
+      {!pivot.rows.length ? (
+        <div className="text-sm text-slate-500">(no views in range)</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+            <thead className="bg-slate-50">
+              <tr>
+                {rows.map((dim) => (
+                  <Th key={dim}>{dimLabel(dim)}</Th>
+                ))}
+                {pivot.colValues.map((v) => (
+                  <Th key={v}>{formatValue(colDim, v)}</Th>
+                ))}
+                <Th>All</Th>
+              </tr>
+            </thead>
+            <tbody>
+              {pivot.rows.map((r) => (
+                <tr key={JSON.stringify(r.values)} className="border-t border-slate-200">
+                  {r.values.map((v, i) => (
+                    <Td key={rows[i]}>{formatValue(rows[i], v)}</Td>
+                  ))}
+                  {pivot.colValues.map((v) => (
+                    <Td key={v}>
+                      <PivotCell stats={r.cells[v]} metric={metric} />
+                    </Td>
+                  ))}
+                  <Td>
+                    <PivotCell stats={r.total} metric={metric} />
+                  </Td>
+                </tr>
+              ))}
+              <tr className="border-t border-slate-300 bg-slate-50">
+                <Td colSpan={rows.length}>All</Td>
+                {pivot.colValues.map((v) => (
+                  <Td key={v}>
+                    <PivotCell stats={pivot.colTotals[v]} metric={metric} />
+                  </Td>
+                ))}
+                <Td>
+                  <PivotCell stats={pivot.total} metric={metric} />
+                </Td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+      {(pivot.inferred > 0 || pivot.joinsWithoutView > 0) && (
+        <p className="text-xs text-slate-500 mt-2">
+          {pivot.inferred > 0 && `${pivot.inferred} unit${pivot.inferred === 1 ? "" : "s"} took band or persona from the same visitor's other events. `}
+          {pivot.joinsWithoutView > 0 && `${pivot.joinsWithoutView} join${pivot.joinsWithoutView === 1 ? "" : "s"} without a view in the same unit are not counted.`}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import {
+  EXPORT_EMAIL_MODES,
+  deleteLead,
+  leadExpiresAt,
+  loadLeads,
+  loadPrivacySettings,
+  purgeExpiredLeads,
+  savePrivacySettings,
+} from "./leads.js";
+import { Td, Th } from "./ui.jsx";
+
+// ----------------------------- lead PII & retention -----------------------------
+export default function PrivacyPanel() {
+  const [settings, setSettings] = useState(loadPrivacySettings);
+  const [draft, setDraft] = useState(settings);
+  const [leads, setLeads] = useState(loadLeads);
+  const [message, setMessage] = useState(null);
+
+  function save() {
+    const next = { ...draft, retentionDays: Math.max(1, Math.round(Number(draft.retentionDays) || settings.retentionDays)) };
+    savePrivacySettings(next);
+    setSettings(next);
+    setDraft(next);
+    purge(next);
+  }
+  function purge(current = settings) {
+    const purged = purgeExpiredLeads(Date.now(), current);
+    setLeads(loadLeads());
+    setMessage(purged ? `Purged ${purged} lead${purged === 1 ? "" : "s"} past ${current.retentionDays} days.` : "No leads past the retention period.");
+  }
+  function remove(lead) {
+    if (!window.confirm(`Delete ${lead.email} and unlink their join events? This can't be undone.`)) return;
+    deleteLead(lead.lead_id);
+    setLeads(loadLeads());
+    setMessage(`Deleted ${lead.email}.`);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h3 className="font-semibold mb-1">Leads & Privacy</h3>
+      <p className="text-xs text-slate-500 mb-4">
+        Early Access contact details are kept apart from analytics events, in this browser only, and only when the visitor ticked the consent box.
+        Join events carry a lead id, and an email hash only with consent. Deleting or purging a lead strips the hash from its events here, and
+        joins older than the retention period lose theirs. "Redacted" also keeps the hash out of events sent to a collector or an embedding page.
+      </p>
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="grid gap-1">
+          <span className="text-slate-700">Retention (days)</span>
+          <input
+            type="number"
+            min={1}
+            value={draft.retentionDays}
+            onChange={(e) => setDraft({ ...draft, retentionDays: e.target.value })}
+            className="w-28 border border-slate-300 rounded-lg px-3 py-2"
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-slate-700">Email hash leaving this browser</span>
+          <select value={draft.exportEmail} onChange={(e) => setDraft({ ...draft, exportEmail: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
+            {EXPORT_EMAIL_MODES.map((m) => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={save} className="rounded-xl px-4 py-2 bg-slate-900 text-white">Save</button>
+        <button onClick={() => purge()} className="rounded-xl px-4 py-2 bg-white border border-slate-300">Purge expired now</button>
+      </div>
+      {message && <div className="mt-3 text-sm text-emerald-700">{message}</div>}
+
+      <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden mt-4">
+        <thead className="bg-slate-50">
+          <tr>
+            <Th>Organization</Th>
+            <Th>Email</Th>
+            <Th>Consent</Th>
+            <Th>First joined</Th>
+            <Th>Purged on</Th>
+            <Th></Th>
+          </tr>
+        </thead>
+        <tbody>
+          {leads.length === 0 ? (
+            <tr className="border-t border-slate-200">
+              <Td colSpan={6}>(no leads stored)</Td>
+            </tr>
+          ) : (
+            leads.map((lead) => (
+              <tr key={lead.lead_id} className="border-t border-slate-200">
+                <Td>{lead.org || "—"}</Td>
+                <Td>{lead.email}</Td>
+                <Td>{lead.consent ? "Yes" : "Not recorded"}</Td>
+                <Td>{new Date(lead.created_at).toLocaleDateString()}</Td>
+                <Td>{new Date(leadExpiresAt(lead, settings)).toLocaleDateString()}</Td>
+                <Td>
+                  <button onClick={() => remove(lead)} className="text-rose-700 underline">
+                    Delete this lead
+                  </button>
+                </Td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useRef, useState } from "react";
+import { parseReportFile, reportHtml } from "./report.js";
+
+// ----------------------------- read-only report viewer (#/report) -----------------------------
+export default function ReportPage() {
+  const [report, setReport] = useState(null);
+  const [html, setHtml] = useState("");
+  const [file, setFile] = useState(null); // { name } or { name, error }
+  const frame = useRef(null);
+
+  async function pick(e) {
+    const picked = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!picked) return;
+    try {
+      const parsed = parseReportFile(await picked.text());
+      setHtml(reportHtml(parsed)); // rendered here so a report that doesn't render is reported like one that doesn't parse
+      setReport(parsed);
+      setFile({ name: picked.name });
+    } catch (err) {
+      setReport(null);
+      setHtml("");
+      setFile({ name: picked.name, error: err.message });
+    }
+  }
+
+  return (
+    <main className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-1">
+          <h2 className="text-lg font-semibold">Results Report</h2>
+          {report && (
+            <button onClick={() => frame.current.contentWindow.print()} className="rounded-xl px-4 py-2 bg-slate-900 text-white text-sm">
+              Print / Save as PDF
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-slate-500 mb-3">
+          Open a report made with "Generate report" on the Dashboard (the .html file, or its data as .json). It is shown read-only, from the data
+          embedded in the file; nothing is added to this browser's events.
+        </p>
+        <input type="file" accept=".html,.htm,.json,text/html,application/json" onChange={pick} className="text-sm" />
+        {file && file.error && (
+          <p className="mt-2 text-sm text-rose-700">
+            {file.name}: {file.error}
+          </p>
+        )}
+        {report && (
+          <p className="mt-2 text-xs text-slate-500">
+            {file.name} · {report.experiment.name} · generated {new Date(report.generated_at).toLocaleString()}
+          </p>
+        )}
+      </div>
+      {report && (
+        // No scripts: the page is rebuilt from the data, and same-origin only lets the button above print it
+        <iframe
+          ref={frame}
+          title="Results report"
+          srcDoc={html}
+          sandbox="allow-same-origin allow-modals"
+          className="w-full h-[80vh] bg-white rounded-2xl shadow-sm border border-slate-200"
+        />
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,197 @@
+import React, { useState } from "react";
+import { SIM_ALPHA, defaultSimConfig, runSimulation, validateSimConfig } from "./simulator.js";
+import { PERSONAS, POPULATION_BANDS } from "./segment.js";
+import { Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- synthetic traffic simulator (sandboxed) -----------------------------
+const pct = (v, digits = 1) => `${(v * 100).toFixed(digits)}%`;
+const percentField = (v) => String(Math.round(v * 1000) / 10);
+
+// Form values are strings (percentages for rates) until the run
+function toForm(config) {
+  return {
+    ...config,
+    rates: Object.fromEntries(Object.entries(config.rates).map(([p, r]) => [p, percentField(r)])),
+    ctaRate: percentField(config.ctaRate),
+    botRate: percentField(config.botRate),
+    noiseRate: percentField(config.noiseRate),
+    visitors: String(config.visitors),
+    runs: String(config.runs),
+    seed: String(config.seed),
+    personaMix: Object.fromEntries(Object.entries(config.personaMix).map(([k, w]) => [k, String(w)])),
+    bandMix: Object.fromEntries(Object.entries(config.bandMix).map(([k, w]) => [k, String(w)])),
+  };
+}
+function toConfig(form) {
+  const fraction = (s) => (s === "" ? NaN : Number(s) / 100);
+  const weights = (mix) => Object.fromEntries(Object.entries(mix).map(([k, w]) => [k, w === "" ? 0 : Number(w)]));
+  return {
+    rates: Object.fromEntries(Object.entries(form.rates).map(([p, r]) => [p, fraction(r)])),
+    ctaRate: fraction(form.ctaRate),
+    botRate: fraction(form.botRate),
+    noiseRate: fraction(form.noiseRate),
+    visitors: Number(form.visitors),
+    runs: Number(form.runs),
+    seed: Number(form.seed) || 1,
+    personaMix: weights(form.personaMix),
+    bandMix: weights(form.bandMix),
+  };
+}
+
+function Field({ label, value, onChange, suffix, width = "w-20" }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-slate-600 text-xs">{label}</span>
+      <span className="flex items-center gap-1">
+        <input type="number" min="0" value={value} onChange={(e) => onChange(e.target.value)} className={`border border-slate-300 rounded-lg px-2 py-1 ${width}`} />
+        {suffix && <span className="text-slate-500">{suffix}</span>}
+      </span>
+    </label>
+  );
+}
+
+export default function SimulatorPanel({ experiment }) {
+  const [form, setForm] = useState(() => toForm(defaultSimConfig(experiment)));
+  const [errors, setErrors] = useState([]);
+  const [progress, setProgress] = useState(null); // { done, total } while running
+  const [report, setReport] = useState(null);
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+  const setIn = (group, key, value) => setForm((f) => ({ ...f, [group]: { ...f[group], [key]: value } }));
+
+  async function run() {
+    const config = toConfig(form);
+    const problems = validateSimConfig(config, experiment);
+    setErrors(problems);
+    if (problems.length) return;
+    setReport(null);
+    setProgress({ done: 0, total: config.runs });
+    const result = await runSimulation(experiment, config, { onProgress: (done, total) => setProgress({ done, total }) });
+    setReport({ ...result, config });
+    setProgress(null);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-1">
+        <h3 className="font-semibold">Traffic Simulator</h3>
+        <button onClick={run} disabled={!!progress} className="rounded-xl px-4 py-2 bg-emerald-600 text-white text-sm disabled:opacity-50">
+          {progress ? `Running… ${progress.done}/${progress.total}` : "Run simulation"}
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        Generates synthetic visitors for "{experiment.name}" with the true rates below, logs them to a sandbox (never this browser's log or the
+        collector) and checks that the Dashboard's math — quality flags, unique-visitor counts, Wilson intervals, the z-test and the funnel —
+        gets the truth back. Noise (refreshes, repeat joins, stray and malformed events) should change nothing; bots view and burst-click,
+        and only their clicks are flagged, so a bot share shows up as diluted QSR.
+      </p>
+
+      <div className="grid md:grid-cols-3 gap-4 text-sm">
+        <div className="space-y-3">
+          <div className="text-xs font-medium text-slate-700">True rates</div>
+          <div className="flex flex-wrap gap-3">
+            {experiment.variants.map((v) => (
+              <Field key={v.price} label={`QSR at ${currency(v.price)}`} value={form.rates[v.price]} onChange={(x) => setIn("rates", v.price, x)} suffix="%" />
+            ))}
+            <Field label="CTA / tile per view" value={form.ctaRate} onChange={(x) => set({ ctaRate: x })} suffix="%" />
+          </div>
+        </div>
+        <div className="space-y-3">
+          <div className="text-xs font-medium text-slate-700">Traffic</div>
+          <div className="flex flex-wrap gap-3">
+            <Field label="Visitors per run" value={form.visitors} onChange={(x) => set({ visitors: x })} width="w-24" />
+            <Field label="Runs" value={form.runs} onChange={(x) => set({ runs: x })} />
+            <Field label="Seed" value={form.seed} onChange={(x) => set({ seed: x })} />
+            <Field label="Bots" value={form.botRate} onChange={(x) => set({ botRate: x })} suffix="%" />
+            <Field label="Noise" value={form.noiseRate} onChange={(x) => set({ noiseRate: x })} suffix="%" />
+          </div>
+        </div>
+        <div className="space-y-3">
+          <div className="text-xs font-medium text-slate-700">Mix of joiners (relative weights)</div>
+          <div className="flex flex-wrap gap-2">
+            {PERSONAS.map((p) => (
+              <Field key={p} label={p} value={form.personaMix[p]} onChange={(x) => setIn("personaMix", p, x)} width="w-14" />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {POPULATION_BANDS.map((b) => (
+              <Field key={b} label={b} value={form.bandMix[b]} onChange={(x) => setIn("bandMix", b, x)} width="w-14" />
+            ))}
+          </div>
+        </div>
+      </div>
+      {errors.length > 0 && (
+        <ul className="mt-3 text-xs text-rose-700 list-disc list-inside">
+          {errors.map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+        </ul>
+      )}
+
+      {report && <SimulationReport report={report} />}
+    </div>
+  );
+}
+
+function SimulationReport({ report }) {
+  const { first, coverage, rejections, checks, passed, config } = report;
+  const gating = checks.filter((c) => !c.info);
+  const failed = gating.filter((c) => !c.pass).length;
+  return (
+    <div className="mt-5 space-y-4">
+      <p className="text-xs text-slate-500">
+        Run 1 of {config.runs}: {first.truth.humans.toLocaleString()} human visitors, {first.truth.bots.toLocaleString()} bots, {first.events.toLocaleString()}{" "}
+        events. Coverage and rejections are over all runs; the z-test is two-sided at α = {SIM_ALPHA} against {currency(first.arms[0].price)}.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+          <thead className="bg-slate-50">
+            <tr>
+              <Th>Price</Th>
+              <Th>True QSR</Th>
+              <Th>Visitors</Th>
+              <Th>EA Joins</Th>
+              <Th>Estimated QSR (95% CI)</Th>
+              <Th>p-value</Th>
+              <Th>P(best)</Th>
+              <Th>CI coverage</Th>
+              <Th>Rejections (expected)</Th>
+            </tr>
+          </thead>
+          <tbody>
+            {first.arms.map((a, i) => {
+              const rejection = i === 0 ? null : rejections[i - 1];
+              return (
+                <tr key={a.price} className="border-t border-slate-200">
+                  <Td>{currency(a.price)}</Td>
+                  <Td>{pct(a.truth)}</Td>
+                  <Td>{a.n}</Td>
+                  <Td>{a.k}</Td>
+                  <Td>
+                    <span className={a.covered ? "" : "text-rose-700"}>
+                      {pct(a.rate)} [{pct(a.ci.lo)}–{pct(a.ci.hi)}]
+                    </span>
+                  </Td>
+                  <Td>{a.p == null ? "—" : a.p < 0.001 ? "<0.001" : a.p.toFixed(3)}</Td>
+                  <Td>{pct(a.pBest, 0)}</Td>
+                  <Td>{pct(coverage[i].qsr, 0)}</Td>
+                  <Td>{rejection ? `${pct(rejection.observed, 0)} (${pct(rejection.expected, 0)})` : "control"}</Td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className={`rounded-xl border p-3 text-sm ${passed ? "border-emerald-300 bg-emerald-50" : "border-rose-300 bg-rose-50"}`}>
+        <div className="font-medium mb-1">{passed ? `All ${gating.length} checks passed` : `${failed} of ${gating.length} checks failed`}</div>
+        <ul className="list-disc list-inside">
+          {checks.map((c) => (
+            <li key={c.name} className={c.info ? "text-slate-600" : c.pass ? "text-emerald-700" : "text-rose-700"}>
+              {c.name} — got {c.got}
+              {c.info && ` (run 1, information only${c.pass ? "" : ": a 95% interval misses 1 time in 20"})`}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
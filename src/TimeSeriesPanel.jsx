@@ -0,0 +1,94 @@
+import React, { useMemo, useState } from "react";
+import { CHART_COLORS, LineChart } from "./charts.jsx";
+import { variantPrices } from "./experiments.js";
+import { GRANULARITIES, buildTimeSeries } from "./timeseries.js";
+import { currency } from "./ui.jsx";
+
+// ----------------------------- time series (per variant) -----------------------------
+const SERIES_METRICS = [
+  { key: "viewed", label: "Views" },
+  { key: "cta", label: "CTAs" },
+  { key: "joined", label: "EA Joins" },
+];
+
+export default function TimeSeriesPanel({ events, experiment, unit }) {
+  const [granularity, setGranularity] = useState("day");
+  const [metric, setMetric] = useState("viewed");
+  const series = useMemo(() => buildTimeSeries(events, experiment, { granularity, unit }), [events, experiment, granularity, unit]);
+  const prices = variantPrices(experiment);
+
+  const { buckets } = series;
+  const fmtTime = (t) => {
+    const d = new Date(t);
+    return granularity === "hour"
+      ? d.toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric" })
+      : d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  };
+  const xDomain = buckets.length > 1 ? [buckets[0], buckets[buckets.length - 1]] : [buckets[0] - 1, buckets[0] + 1];
+  // round up to a multiple of 4 so the five axis ticks land on whole numbers
+  const countMax = Math.ceil(Math.max(1, ...prices.flatMap((p) => series.byPrice[p].map((r) => r[metric]))) / 4) * 4;
+  const qsrMax = Math.max(0.01, ...prices.flatMap((p) => series.byPrice[p].map((r) => r.cumQsr ?? 0))) * 1.1;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="font-semibold">Over Time</h3>
+        <div className="flex gap-3 text-sm">
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+            {SERIES_METRICS.map((m) => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          <select value={granularity} onChange={(e) => setGranularity(e.target.value)} className="border border-slate-300 rounded-lg px-2 py-1">
+            {GRANULARITIES.map((g) => (
+              <option key={g.key} value={g.key}>
+                {g.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {!buckets.length ? (
+        <div className="text-sm text-slate-500">(no data in range)</div>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <div className="text-sm font-medium mb-1">
+              {SERIES_METRICS.find((m) => m.key === metric).label} per {granularity}
+            </div>
+            <LineChart
+              xDomain={xDomain}
+              yDomain={[0, countMax]}
+              xFormat={fmtTime}
+              yFormat={(v) => Math.round(v).toString()}
+              series={prices.map((p, i) => ({
+                label: currency(p),
+                color: CHART_COLORS[i % CHART_COLORS.length],
+                points: series.byPrice[p].map((r) => ({ x: r.t, y: r[metric] })),
+              }))}
+            />
+          </div>
+          <div>
+            <div className="text-sm font-medium mb-1">Cumulative QSR</div>
+            <LineChart
+              xDomain={xDomain}
+              yDomain={[0, qsrMax]}
+              xFormat={fmtTime}
+              yFormat={(v) => `${(v * 100).toFixed(1)}%`}
+              series={prices.map((p, i) => ({
+                label: currency(p),
+                color: CHART_COLORS[i % CHART_COLORS.length],
+                points: series.byPrice[p].filter((r) => r.cumQsr != null).map((r) => ({ x: r.t, y: r.cumQsr })),
+              }))}
+            />
+          </div>
+        </div>
+      )}
+      {series.truncated && (
+        <p className="text-xs text-amber-700 mt-2">Too many hourly buckets for this range; showing the earliest ones. Narrow the date range or switch to daily.</p>
+      )}
+    </div>
+  );
+}
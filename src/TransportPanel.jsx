@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from "react";
+import { getTransport, saveTransportConfig } from "./transport.js";
+import { Metric } from "./ui.jsx";
+
+// ----------------------------- event transport settings -----------------------------
+export default function TransportPanel({ config, onChange }) {
+  const [draft, setDraft] = useState(config);
+  const [status, setStatus] = useState(() => getTransport().status());
+
+  useEffect(() => {
+    const id = setInterval(() => setStatus(getTransport().status()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  function save() {
+    const next = { ...draft, endpoint: draft.endpoint.trim() };
+    setStatus(saveTransportConfig(next).status());
+    onChange(next);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h3 className="font-semibold mb-1">Event Transport</h3>
+      <p className="text-xs text-slate-500 mb-4">
+        Where this browser sends new events. Local keeps them in localStorage only; HTTP also batches them to a collector (run{" "}
+        <code>npm run collector</code> for the reference server).
+      </p>
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="grid gap-1">
+          <span className="text-slate-700">Mode</span>
+          <select value={draft.mode} onChange={(e) => setDraft({ ...draft, mode: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2">
+            <option value="local">Local only</option>
+            <option value="http">HTTP collector</option>
+          </select>
+        </label>
+        <label className="grid gap-1 flex-1 min-w-[16rem]">
+          <span className="text-slate-700">Collector endpoint</span>
+          <input value={draft.endpoint} onChange={(e) => setDraft({ ...draft, endpoint: e.target.value })} className="border border-slate-300 rounded-lg px-3 py-2" />
+        </label>
+        <button onClick={save} className="rounded-xl px-4 py-2 bg-slate-900 text-white">Save</button>
+        {status.mode === "http" && (
+          <button onClick={() => getTransport().flush()} className="rounded-xl px-4 py-2 bg-white border border-slate-300">Flush now</button>
+        )}
+      </div>
+      {status.mode === "http" && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+          <Metric label="Queued (outbox)" value={status.queued} />
+          <Metric label="Network" value={status.online ? "Online" : "Offline"} />
+          <Metric label="Last delivered" value={status.lastSentAt ? new Date(status.lastSentAt).toLocaleTimeString() : "—"} />
+          <Metric label="Retry" value={status.lastError ? `#${status.attempt}: ${status.lastError}` : "—"} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import WtpSurvey from "./WtpSurvey.jsx";
+import { isCollecting, statusInfo } from "./lifecycle.js";
+import { PERSONAS, POPULATION_BANDS, loadSegment, saveSegment } from "./segment.js";
+
+// ----------------------------- standalone pricing survey (#/wtp) -----------------------------
+export default function WtpPage({ experiment, method }) {
+  const [segment, setSegment] = useState(loadSegment);
+  const [done, setDone] = useState(null);
+
+  function choose(patch) {
+    setSegment(saveSegment(patch));
+  }
+
+  return (
+    <main className="max-w-2xl mx-auto px-4 py-8 space-y-4">
+      {!isCollecting(experiment) && (
+        <div className="rounded-xl border border-amber-300 bg-amber-50 px-4 py-2 text-sm text-amber-800">
+          Preview — this experiment is {statusInfo(experiment).label.toLowerCase()}, so answers here are not recorded.
+        </div>
+      )}
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+        <h2 className="text-lg font-semibold">Premium Plus pricing survey</h2>
+        <p className="text-xs text-slate-500 mb-4">Everything in Premium plus Surveys and Built‑in Reporting. Your answers are anonymous.</p>
+        {done ? (
+          <p className="text-sm text-slate-700">{done === "completed" ? "Thanks for your answers!" : "No problem — thanks for stopping by."}</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-3 text-sm mb-4">
+              <label className="grid gap-1">
+                <span className="text-slate-700">Your role</span>
+                <select value={segment.persona || ""} onChange={(e) => choose({ persona: e.target.value || undefined })} className="border border-slate-300 rounded-lg px-3 py-2">
+                  <option value="">Choose…</option>
+                  {PERSONAS.map((p) => (
+                    <option key={p}>{p}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="grid gap-1">
+                <span className="text-slate-700">Municipality population</span>
+                <select
+                  value={segment.population_band || ""}
+                  onChange={(e) => choose({ population_band: e.target.value || undefined })}
+                  className="border border-slate-300 rounded-lg px-3 py-2"
+                >
+                  <option value="">Choose…</option>
+                  {POPULATION_BANDS.map((p) => (
+                    <option key={p}>{p}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <WtpSurvey experiment={experiment} method={method} context={{ route: `#/wtp/${method}`, trigger: "route" }} onDone={setDone} />
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
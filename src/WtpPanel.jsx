@@ -0,0 +1,202 @@
+import React, { useMemo, useState } from "react";
+import { CHART_COLORS, LineChart } from "./charts.jsx";
+import { variantPrices } from "./experiments.js";
+import { MIN_WTP_RESPONSES, analyzeWtp } from "./wtp.js";
+import { Metric, Td, Th, currency } from "./ui.jsx";
+
+// ----------------------------- willingness-to-pay survey results -----------------------------
+const dollars = (v) => (v == null ? "—" : currency(Math.round(v)));
+const pct = (v) => `${Math.round(v * 100)}%`;
+
+export default function WtpPanel({ events, experiment }) {
+  const analysis = useMemo(() => analyzeWtp(events, experiment), [events, experiment]);
+  const { vw, gg } = analysis;
+  const [method, setMethod] = useState(null);
+  const shown = method || (gg.n > vw.n ? "gabor-granger" : "van-westendorp");
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <div>
+          <h3 className="font-semibold mb-1">Willingness to Pay (survey)</h3>
+          <p className="text-xs text-slate-500">
+            Stated prices from the optional survey after the Early Access form and on #/wtp. {vw.n} Van Westendorp and {gg.n} Gabor-Granger responses
+            {vw.excluded ? `, ${vw.excluded} inconsistent answer set${vw.excluded === 1 ? "" : "s"} excluded` : ""}
+            {analysis.skipped ? `, ${analysis.skipped} skipped` : ""}.
+          </p>
+        </div>
+        <div className="flex text-sm rounded-lg border border-slate-300 overflow-hidden">
+          {[
+            ["van-westendorp", "Van Westendorp"],
+            ["gabor-granger", "Gabor-Granger"],
+          ].map(([key, label]) => (
+            <button key={key} onClick={() => setMethod(key)} className={`px-3 py-1 ${shown === key ? "bg-slate-900 text-white" : "bg-white text-slate-700"}`}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {shown === "van-westendorp" ? <VanWestendorp vw={vw} experiment={experiment} /> : <GaborGranger gg={gg} experiment={experiment} />}
+      <Breakdowns analysis={analysis} method={shown} />
+    </div>
+  );
+}
+
+function VanWestendorp({ vw, experiment }) {
+  if (!vw.n) return <div className="text-sm text-slate-500">No Van Westendorp responses yet.</div>;
+  const series = [
+    { key: "tooCheap", label: "Too cheap", color: CHART_COLORS[1], dashed: true },
+    { key: "notCheap", label: "Not a bargain", color: CHART_COLORS[1] },
+    { key: "notExpensive", label: "Not expensive", color: CHART_COLORS[3] },
+    { key: "tooExpensive", label: "Too expensive", color: CHART_COLORS[3], dashed: true },
+  ].map((s) => ({ ...s, points: vw.points.map((p) => ({ x: p.price, y: p[s.key] })) }));
+  const markers = [
+    { x: vw.pmc, label: "PMC" },
+    { x: vw.opp, label: "OPP", color: CHART_COLORS[0] },
+    { x: vw.ipp, label: "IPP" },
+    { x: vw.pme, label: "PME" },
+  ].filter((m) => m.x != null);
+  const prices = vw.points.map((p) => p.price);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Metric label="Acceptable range (PMC–PME)" value={`${dollars(vw.pmc)} – ${dollars(vw.pme)}`} />
+        <Metric label="Optimal price point (OPP)" value={dollars(vw.opp)} />
+        <Metric label="Indifference price point (IPP)" value={dollars(vw.ipp)} />
+        <Metric label="Responses" value={vw.n} />
+      </div>
+      {vw.n < MIN_WTP_RESPONSES && (
+        <div className="rounded-xl border border-amber-300 bg-amber-50 p-3 text-xs text-amber-800">
+          Fewer than {MIN_WTP_RESPONSES} responses — the curves and price points will move a lot as answers come in.
+        </div>
+      )}
+      <LineChart
+        xDomain={[Math.min(...prices), Math.max(...prices)]}
+        yDomain={[0, 1]}
+        xFormat={(v) => currency(Math.round(v))}
+        yFormat={pct}
+        series={series}
+        markers={markers}
+      />
+      <VariantFit
+        experiment={experiment}
+        verdict={(p) => (vw.pmc != null && vw.pme != null ? (p < vw.pmc ? "below the acceptable range" : p > vw.pme ? "above the acceptable range" : "inside the acceptable range") : "—")}
+      />
+    </div>
+  );
+}
+
+function GaborGranger({ gg, experiment }) {
+  if (!gg.n) return <div className="text-sm text-slate-500">No Gabor-Granger responses yet.</div>;
+  const prices = gg.points.map((p) => p.price);
+  const revMax = Math.max(...gg.points.map((p) => p.revenue), 1);
+  const acceptanceAt = (price) => {
+    const below = gg.points.filter((p) => p.price <= price);
+    return below.length ? below[below.length - 1].acceptance : 1;
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        <Metric label="Revenue-maximizing ladder price" value={gg.optimum ? dollars(gg.optimum.price) : "—"} />
+        <Metric label="Acceptance there" value={gg.optimum ? pct(gg.optimum.acceptance) : "—"} />
+        <Metric label="Responses" value={gg.n} />
+      </div>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <div className="text-xs text-slate-600 mb-1">Would buy at price</div>
+          <LineChart
+            xDomain={[Math.min(...prices), Math.max(...prices)]}
+            yDomain={[0, 1]}
+            xFormat={(v) => currency(Math.round(v))}
+            yFormat={pct}
+            series={[{ points: gg.points.map((p) => ({ x: p.price, y: p.acceptance })), color: CHART_COLORS[0] }]}
+            dots={gg.points.map((p) => ({ x: p.price, y: p.acceptance, color: CHART_COLORS[0] }))}
+          />
+        </div>
+        <div>
+          <div className="text-xs text-slate-600 mb-1">Revenue index (price × acceptance)</div>
+          <LineChart
+            xDomain={[Math.min(...prices), Math.max(...prices)]}
+            yDomain={[0, revMax * 1.1]}
+            xFormat={(v) => currency(Math.round(v))}
+            yFormat={(v) => currency(Math.round(v))}
+            series={[{ points: gg.points.map((p) => ({ x: p.price, y: p.revenue })), color: CHART_COLORS[1] }]}
+            markers={gg.optimum ? [{ x: gg.optimum.price, label: "max", color: CHART_COLORS[1] }] : []}
+          />
+        </div>
+      </div>
+      <VariantFit experiment={experiment} verdict={(p) => `${pct(acceptanceAt(p))} would buy`} />
+    </div>
+  );
+}
+
+function VariantFit({ experiment, verdict }) {
+  return (
+    <div className="text-xs text-slate-600">
+      Tested variants:{" "}
+      {variantPrices(experiment)
+        .map((p) => `${currency(p)} ${verdict(p)}`)
+        .join(" · ")}
+    </div>
+  );
+}
+
+function Breakdowns({ analysis, method }) {
+  const vwMode = method === "van-westendorp";
+  return (
+    <div className="grid md:grid-cols-2 gap-4 mt-4">
+      {analysis.breakdowns.map((d) => (
+        <div key={d.key}>
+          <div className="text-xs font-semibold text-slate-600 mb-1">By {d.label.toLowerCase()}</div>
+          <table className="w-full text-sm border border-slate-200 rounded-lg overflow-hidden">
+            <thead className="bg-slate-50">
+              <tr>
+                <Th>{d.label}</Th>
+                <Th>n</Th>
+                {vwMode ? (
+                  <>
+                    <Th>Acceptable range</Th>
+                    <Th>OPP</Th>
+                  </>
+                ) : (
+                  <Th>Revenue-max price</Th>
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {d.groups.filter((g) => (vwMode ? g.vw.n : g.gg.n)).length === 0 ? (
+                <tr className="border-t border-slate-200">
+                  <Td colSpan={vwMode ? 4 : 3}>(no responses)</Td>
+                </tr>
+              ) : (
+                d.groups
+                  .filter((g) => (vwMode ? g.vw.n : g.gg.n))
+                  .map((g) => {
+                    const n = vwMode ? g.vw.n : g.gg.n;
+                    return (
+                      <tr key={g.value} className={`border-t border-slate-200 ${n < MIN_WTP_RESPONSES ? "text-slate-400" : ""}`}>
+                        <Td>{g.value}</Td>
+                        <Td>{n}</Td>
+                        {vwMode ? (
+                          <>
+                            <Td>
+                              {dollars(g.vw.pmc)} – {dollars(g.vw.pme)}
+                            </Td>
+                            <Td>{dollars(g.vw.opp)}</Td>
+                          </>
+                        ) : (
+                          <Td>{g.gg.optimum ? dollars(g.gg.optimum.price) : "—"}</Td>
+                        )}
+                      </tr>
+                    );
+                  })
+              )}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { logEvent } from "./events.js";
+import { isCollecting } from "./lifecycle.js";
+import { segmentProps } from "./segment.js";
+import { VW_QUESTIONS, answerLadder, ladderQuestion, priceLadder, startLadder, vwProblem } from "./wtp.js";
+import { currency } from "./ui.jsx";
+
+// ----------------------------- willingness-to-pay survey -----------------------------
+// `context` = { route, trigger, plan?, price? }; calls onDone() after logging completion or a skip.
+// Nothing is logged while the experiment isn't running (a preview).
+export default function WtpSurvey({ experiment, method, context, onDone }) {
+  const base = () => ({ experiment_id: experiment.id, method, ...context, ...segmentProps() });
+  const log = (name, properties) => (isCollecting(experiment) ? logEvent(name, properties) : null);
+
+  function complete(answers) {
+    log("WtpSurveyCompleted", { ...base(), ...answers });
+    onDone("completed");
+  }
+  function skip() {
+    log("WtpSurveySkipped", base());
+    onDone("skipped");
+  }
+
+  return (
+    <div className="grid gap-3 text-sm">
+      {method === "gabor-granger" ? (
+        <PriceLadder ladder={priceLadder(experiment)} onComplete={complete} />
+      ) : (
+        <PriceSensitivity onComplete={complete} />
+      )}
+      <button type="button" onClick={skip} className="text-xs text-slate-500 underline justify-self-start">
+        Skip the survey
+      </button>
+    </div>
+  );
+}
+
+function PriceSensitivity({ onComplete }) {
+  const [answers, setAnswers] = useState({});
+  const [problem, setProblem] = useState(null);
+
+  function submit(e) {
+    e.preventDefault();
+    const values = Object.fromEntries(VW_QUESTIONS.map((q) => [q.key, Number(answers[q.key])]));
+    const message = vwProblem(values);
+    setProblem(message);
+    if (!message) onComplete(values);
+  }
+
+  return (
+    <form onSubmit={submit} noValidate className="grid gap-3">
+      <p className="text-slate-600">Four quick questions about price, per year for your organization. There are no wrong answers.</p>
+      {VW_QUESTIONS.map((q) => (
+        <label key={q.key} className="grid gap-1">
+          <span className="text-slate-700">{q.label}</span>
+          <span className="flex items-center gap-2">
+            <span className="text-slate-500">$</span>
+            <input
+              type="number"
+              min="0"
+              step="100"
+              value={answers[q.key] ?? ""}
+              onChange={(e) => setAnswers({ ...answers, [q.key]: e.target.value })}
+              className="border border-slate-300 rounded-lg px-3 py-2 w-40"
+            />
+            <span className="text-slate-500">/ year</span>
+          </span>
+        </label>
+      ))}
+      {problem && <span className="text-xs text-rose-700">{problem}</span>}
+      <button type="submit" className="rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-5 py-2.5">
+        Submit answers
+      </button>
+    </form>
+  );
+}
+
+function PriceLadder({ ladder, onComplete }) {
+  const [state, setState] = useState(() => startLadder(ladder));
+  const price = ladderQuestion(state);
+
+  function answer(accepted) {
+    const next = answerLadder(state, accepted);
+    setState(next);
+    if (ladderQuestion(next) == null) onComplete({ ladder_answers: next.answers, max_accepted: next.maxAccepted });
+  }
+
+  if (price == null) return <p className="text-slate-600">Thanks — that's all.</p>;
+  return (
+    <div className="grid gap-3">
+      <p className="text-slate-600">
+        Question {state.answers.length + 1}: if Premium Plus cost <b>{currency(price)} per year</b>, would your organization buy it?
+      </p>
+      <div className="flex gap-3">
+        <button type="button" onClick={() => answer(true)} className="rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-5 py-2">
+          Yes, likely
+        </button>
+        <button type="button" onClick={() => answer(false)} className="rounded-xl bg-white hover:bg-slate-50 border border-slate-300 font-medium px-5 py-2">
+          No, probably not
+        </button>
+      </div>
+    </div>
+  );
+}
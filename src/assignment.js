@@ -0,0 +1,96 @@
+/**
+ * Randomized, sticky variant assignment (#/pp)
+ * ----------------------------------------------------
+ * A visitor is bucketed by hashing `<visitor id>:<experiment id>` onto the
+ * experiment's cumulative traffic weights, so the pick is both random across
+ * visitors and reproducible for one visitor. The first pick is also stored per
+ * experiment: later weight edits only affect new visitors. Inside the widget
+ * (embed.js) the visitor is the host's user, so its picks are stored per
+ * experiment and host user id: several users sharing one browser each keep
+ * their own bucket.
+ *
+ * Messaging / fence factors (factors.js) are bucketed the same way, each with
+ * its own hash salt so levels are independent of the price and of each other,
+ * and are stored per experiment on first sight — on every plan route, so
+ * direct #/pp/<price> links are factorial too. Previews (experiments that
+ * aren't running) store neither.
+ */
+
+import { experimentFactors } from "./factors.js";
+import { variantPrices, variantWeight } from "./experiments.js";
+import { getExternalVisitorId } from "./visitor.js";
+
+const ASSIGNMENTS_KEY = "pp_assignments";
+const FACTOR_ASSIGNMENTS_KEY = "pp_factor_assignments";
+
+export const ASSIGNED_ROUTE = "#/pp";
+
+function loadAssignments(key = ASSIGNMENTS_KEY) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+// FNV-1a, mapped onto [0, 1)
+function hashToUnit(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) / 2 ** 32;
+}
+
+export function bucketPrice(experiment, visitorId) {
+  const total = experiment.variants.reduce((acc, v) => acc + variantWeight(v), 0);
+  let point = hashToUnit(`${visitorId}:${experiment.id}`) * total;
+  for (const v of experiment.variants) {
+    point -= variantWeight(v);
+    if (point < 0) return v.price;
+  }
+  return experiment.variants[experiment.variants.length - 1].price;
+}
+
+// This browser's own visitor is stored under the experiment id; a host user id under both ("|" is never in one)
+function assignmentKey(experiment) {
+  const external = getExternalVisitorId();
+  return external ? `${experiment.id}|${external}` : experiment.id;
+}
+
+/** The current visitor's stored price if it is still a variant, otherwise null. */
+export function storedAssignment(experiment) {
+  const price = loadAssignments()[assignmentKey(experiment)];
+  return variantPrices(experiment).includes(price) ? price : null;
+}
+
+export function saveAssignment(experiment, price) {
+  const all = loadAssignments();
+  all[assignmentKey(experiment)] = price;
+  localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify(all));
+}
+
+// ----------------------------- factors -----------------------------
+export function bucketLevel(experiment, factor, visitorId) {
+  const levels = factor.levels;
+  const index = Math.floor(hashToUnit(`${visitorId}:${experiment.id}:${factor.key}`) * levels.length);
+  return levels[Math.min(index, levels.length - 1)].key;
+}
+
+/** { <factor>: <level> } for every factor the experiment tests; sticky once seen, unless `save` is false. */
+export function factorAssignment(experiment, visitorId, { save = true } = {}) {
+  const all = loadAssignments(FACTOR_ASSIGNMENTS_KEY);
+  const key = assignmentKey(experiment);
+  const stored = all[key] || {};
+  const assignment = {};
+  for (const factor of experimentFactors(experiment)) {
+    const kept = factor.levels.some((l) => l.key === stored[factor.key]);
+    assignment[factor.key] = kept ? stored[factor.key] : bucketLevel(experiment, factor, visitorId);
+  }
+  if (save && JSON.stringify(assignment) !== JSON.stringify(stored)) {
+    all[key] = assignment;
+    localStorage.setItem(FACTOR_ASSIGNMENTS_KEY, JSON.stringify(all));
+  }
+  return assignment;
+}
@@ -0,0 +1,120 @@
+/**
+ * Campaign attribution (UTM parameters & referrer)
+ * ----------------------------------------------------
+ * Newsletter links and conference QR codes carry utm_source / utm_medium /
+ * utm_campaign / utm_content, either before the hash
+ * (`/?utm_source=newsletter#/pp/6000`) or inside it (`#/pp/6000?utm_source=qr`).
+ * Each landing with parameters, or from another site, is a touch:
+ *
+ *   { source, medium, campaign, content, referrer, landing, at }
+ *
+ * A referral without parameters is { source: <referrer host>, medium: "referral" };
+ * the first visit with neither is direct ({ source: "(direct)", medium: "(none)" }).
+ * Later direct visits don't replace the last touch.
+ *
+ * This browser keeps its first and last touch in localStorage (one browser is
+ * one visitor, as in visitor.js) and logEvent stamps them on every event as
+ * `attribution: { first, last }`, next to `visitor_id`.
+ */
+
+const ATTRIBUTION_KEY = "pp_attribution";
+
+export const UTM_PARAMS = { utm_source: "source", utm_medium: "medium", utm_campaign: "campaign", utm_content: "content" };
+
+export const ATTRIBUTION_MODELS = [
+  { key: "last", label: "Last touch" },
+  { key: "first", label: "First touch" },
+];
+export const TOUCH_FIELDS = [
+  { key: "source", label: "Source" },
+  { key: "medium", label: "Medium" },
+  { key: "campaign", label: "Campaign" },
+  { key: "content", label: "Content" },
+  { key: "referrer", label: "Referrer" },
+];
+
+export function loadAttribution() {
+  try {
+    return JSON.parse(localStorage.getItem(ATTRIBUTION_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function urlParams(location) {
+  const hash = location.hash || "";
+  const params = new URLSearchParams(location.search);
+  // Parameters inside the hash route win over ones before it
+  if (hash.includes("?")) new URLSearchParams(hash.slice(hash.indexOf("?") + 1)).forEach((v, k) => params.set(k, v));
+  return params;
+}
+
+function referrerHost(referrer, location) {
+  if (!referrer) return null;
+  try {
+    const host = new URL(referrer).hostname;
+    return host && host !== location.hostname ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+/** The touch described by this landing URL and referrer, or null for a direct (or in-app) visit. */
+export function touchFromUrl(location = window.location, referrer = "") {
+  const params = urlParams(location);
+  const host = referrerHost(referrer, location);
+  const touch = {};
+  for (const [param, field] of Object.entries(UTM_PARAMS)) {
+    const value = (params.get(param) || "").trim();
+    if (value) touch[field] = value;
+  }
+  const tagged = Object.keys(touch).length > 0;
+  if (!tagged && !host) return null;
+  if (host) touch.referrer = host;
+  if (!tagged) return { ...touch, source: host, medium: "referral" };
+  return { source: "(not set)", medium: "(not set)", ...touch };
+}
+
+/** Known-answer checks for touchFromUrl(), for the Dashboard's self-test: [{ name, pass, got }]. */
+export function touchChecks() {
+  // Fake landing URLs (no real navigation)
+  const landing = (search, hash) => ({ hostname: "pricing.example.org", search, hash });
+  const before = touchFromUrl(landing("?utm_source=newsletter&utm_medium=email", "#/pp/6000"));
+  const inside = touchFromUrl(landing("?utm_source=newsletter", "#/pp/6000?utm_source=qr&utm_campaign=expo"), "https://pricing.example.org/");
+  const referral = touchFromUrl(landing("", "#/pp"), "https://www.gfoa.org/news");
+  return [
+    {
+      name: "UTM before the hash, inside it (hash wins), referral-only landing",
+      pass:
+        before.source === "newsletter" &&
+        before.medium === "email" &&
+        inside.source === "qr" &&
+        inside.campaign === "expo" &&
+        inside.medium === "(not set)" &&
+        !inside.referrer &&
+        referral.source === "www.gfoa.org" &&
+        referral.medium === "referral" &&
+        referral.referrer === "www.gfoa.org",
+      got: JSON.stringify({ before, inside, referral }),
+    },
+  ];
+}
+
+function sameTouch(a, b) {
+  return !!a && !!b && ["source", "medium", "campaign", "content", "referrer"].every((k) => a[k] === b[k]);
+}
+
+/** Records the current landing as a touch; call on page load (with document.referrer) and on in-app navigation. */
+export function captureAttribution(location = window.location, referrer = "", now = new Date()) {
+  const stored = loadAttribution() || {};
+  const found = touchFromUrl(location, referrer);
+  const landing = (location.hash || "#/dashboard").split("?")[0];
+  if (!found && stored.first) return stored;
+  const touch = { ...(found || { source: "(direct)", medium: "(none)" }), landing, at: now.toISOString() };
+  const next = {
+    first: stored.first || touch,
+    last: sameTouch(stored.last, touch) ? stored.last : touch,
+  };
+  localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(next));
+  return next;
+}
@@ -0,0 +1,86 @@
+import React from "react";
+
+// ----------------------------- charts (plain SVG) -----------------------------
+// Minimal line chart used by the Dashboard panels. Everything is in data units;
+// the chart maps them onto a fixed viewBox and scales with its container.
+const W = 640;
+const H = 240;
+const PAD = { top: 12, right: 16, bottom: 28, left: 56 };
+
+export const CHART_COLORS = ["#4f46e5", "#059669", "#d97706", "#e11d48", "#0891b2", "#7c3aed", "#65a30d"];
+
+function ticks(lo, hi, count = 5) {
+  if (hi === lo) return [lo];
+  return Array.from({ length: count }, (_, i) => lo + ((hi - lo) * i) / (count - 1));
+}
+
+export function LineChart({ xDomain, yDomain, xFormat = String, yFormat = String, series = [], bands = [], dots = [], markers = [], height = H }) {
+  const [x0, x1] = xDomain;
+  const [y0, y1] = yDomain;
+  const sx = (x) => PAD.left + ((x - x0) / (x1 - x0 || 1)) * (W - PAD.left - PAD.right);
+  const sy = (y) => height - PAD.bottom - ((y - y0) / (y1 - y0 || 1)) * (height - PAD.top - PAD.bottom);
+  const path = (pts) => pts.map((p, i) => `${i ? "L" : "M"}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join("");
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${height}`} className="w-full h-auto" role="img">
+        {ticks(y0, y1).map((t) => (
+          <g key={`y${t}`}>
+            <line x1={PAD.left} x2={W - PAD.right} y1={sy(t)} y2={sy(t)} stroke="#e2e8f0" />
+            <text x={PAD.left - 6} y={sy(t) + 4} textAnchor="end" fontSize="10" fill="#64748b">
+              {yFormat(t)}
+            </text>
+          </g>
+        ))}
+        {ticks(x0, x1).map((t) => (
+          <text key={`x${t}`} x={sx(t)} y={height - 8} textAnchor="middle" fontSize="10" fill="#64748b">
+            {xFormat(t)}
+          </text>
+        ))}
+        {bands.map((b, i) => {
+          const pts = b.points.filter((p) => p.lo != null && p.hi != null);
+          if (pts.length < 2) return null;
+          const d =
+            pts.map((p, j) => `${j ? "L" : "M"}${sx(p.x).toFixed(1)},${sy(p.hi).toFixed(1)}`).join("") +
+            pts
+              .slice()
+              .reverse()
+              .map((p) => `L${sx(p.x).toFixed(1)},${sy(p.lo).toFixed(1)}`)
+              .join("") +
+            "Z";
+          return <path key={`b${i}`} d={d} fill={b.color} fillOpacity="0.15" stroke="none" />;
+        })}
+        {markers.map((m, i) => (
+          <g key={`m${i}`}>
+            <line x1={sx(m.x)} x2={sx(m.x)} y1={PAD.top} y2={height - PAD.bottom} stroke={m.color || "#94a3b8"} strokeDasharray="4 3" />
+            <text x={sx(m.x) + 4} y={PAD.top + 10 + i * 12} fontSize="10" fill={m.color || "#475569"}>
+              {m.label}
+            </text>
+          </g>
+        ))}
+        {series.map((s, i) =>
+          s.points.length ? (
+            <path key={`s${i}`} d={path(s.points)} fill="none" stroke={s.color} strokeWidth="2" strokeDasharray={s.dashed ? "5 4" : undefined} />
+          ) : null
+        )}
+        {dots.map((d, i) => (
+          <circle key={`d${i}`} cx={sx(d.x)} cy={sy(d.y)} r="4" fill={d.color || "#0f172a"}>
+            {d.label && <title>{d.label}</title>}
+          </circle>
+        ))}
+      </svg>
+      {series.some((s) => s.label) && (
+        <div className="flex flex-wrap gap-3 text-xs text-slate-600 mt-1">
+          {series
+            .filter((s) => s.label)
+            .map((s) => (
+              <span key={s.label} className="flex items-center gap-1">
+                <span className="inline-block w-3 h-0.5" style={{ background: s.color }} />
+                {s.label}
+              </span>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+/**
+ * Currencies, local prices and reporting exchange rates
+ * ----------------------------------------------------
+ * A variant is identified by its `price` in the base currency (USD): routes,
+ * nav, `properties.price` on events and the Dashboard's tables keep using it.
+ * Variants can also list their price in other currencies,
+ *
+ *   { price: 6000, prices: { CAD: 7999, GBP: 4499 }, ... }
+ *
+ * set at each market's own price points (£4,499, not a converted £4,740). A
+ * currency is offered once every variant has a price in it. The rest of the
+ * offer (add-ons, band prices, the anchor) follows the variant's local / base
+ * ratio and is rounded to the currency's price points (roundLocalPrice).
+ *
+ * The plan page picks the visitor's currency (pickCurrency): a `currency` URL
+ * parameter, after the hash route or in the query string (remembered for later
+ * pages), else an earlier choice, else the region of the browser's languages
+ * (en-GB → GBP, fr-CA → CAD), else the base currency; a currency the experiment
+ * doesn't offer falls back to the base. Plan events log `currency` and
+ * `local_price` (the list price shown); their band_price, offer_total and
+ * contract_value are in that currency. Events from before currencies existed
+ * have none and are in the base currency. The willingness-to-pay survey always
+ * asks in the base currency.
+ *
+ * The Dashboard converts amounts to a reporting currency with exchange rates
+ * kept in localStorage (units of each currency per 1 USD; normalizeEvents),
+ * and can narrow every panel to the events shown in one currency. Revenue and
+ * the demand curve price each variant at what its visitors were shown, in the
+ * reporting currency (shownPrices).
+ */
+
+const CURRENCY_KEY = "pp_currency";
+const FX_KEY = "pp_fx";
+
+export const BASE_CURRENCY = "USD";
+
+// step: price-point spacing for amounts of 4 steps and up (a fifth of it below); charm: taken off the rounded amount
+export const CURRENCIES = [
+  { code: "USD", label: "US dollar", regions: ["US"], step: 100, charm: 0 },
+  { code: "CAD", label: "Canadian dollar", regions: ["CA"], step: 100, charm: 1 },
+  { code: "GBP", label: "Pound sterling", regions: ["GB"], step: 500, charm: 1 },
+];
+
+export const DEFAULT_FX = { reporting: BASE_CURRENCY, rates: { USD: 1, CAD: 1.37, GBP: 0.79 } };
+
+// Logged without a price on screen: they belong to no currency
+const UNPRICED_EVENTS = ["VariantAssigned", "WtpSurveyCompleted", "WtpSurveySkipped"];
+// Amounts on plan events that are in the event's currency
+const MONEY_KEYS = ["local_price", "band_price", "offer_total", "contract_value"];
+
+export function currencyInfo(code) {
+  return CURRENCIES.find((c) => c.code === code) || null;
+}
+
+/** `amount` at the currency's price points: £4,740 → £4,499, C$1,644 → C$1,599, £948 → £899. */
+export function roundLocalPrice(amount, code) {
+  const c = currencyInfo(code);
+  const step = amount >= c.step * 4 ? c.step : c.step / 5;
+  return Math.max(step, Math.round(amount / step) * step) - c.charm;
+}
+
+// ----------------------------- local prices -----------------------------
+/** Currency codes the experiment can be shown in, base first. */
+export function offeredCurrencies(experiment) {
+  return CURRENCIES.map((c) => c.code).filter(
+    (code) => code === BASE_CURRENCY || (experiment.variants.length > 0 && experiment.variants.every((v) => (v.prices || {})[code] > 0))
+  );
+}
+
+/** The variant priced in `code`: its local list price, with add-ons and band prices scaled by the same ratio. */
+export function localizeVariant(variant, code) {
+  const local = (variant.prices || {})[code];
+  if (code === BASE_CURRENCY || !local) return variant;
+  const scale = (amounts) => amounts && Object.fromEntries(Object.entries(amounts).map(([k, v]) => [k, v > 0 ? localAmount(v, variant, code) : v]));
+  return { ...variant, price: local, addons: scale(variant.addons), bandPrices: scale(variant.bandPrices) };
+}
+
+/** A base-currency amount (e.g. the anchor price) next to a variant shown in `code`. */
+export function localAmount(amount, variant, code) {
+  const local = (variant.prices || {})[code];
+  if (code === BASE_CURRENCY || !local) return amount;
+  return roundLocalPrice((amount * local) / variant.price, code);
+}
+
+/** A starting local price for the editor: the base price converted at the reporting rates, at local price points. */
+export function suggestLocalPrice(price, code, fx = loadFxSettings()) {
+  return roundLocalPrice(convertAmount(price, BASE_CURRENCY, code, fx), code);
+}
+
+export function validateLocalPrices(experiment) {
+  const errors = [];
+  for (const v of experiment.variants) {
+    for (const [code, p] of Object.entries(v.prices || {})) {
+      if (!currencyInfo(code) || code === BASE_CURRENCY) errors.push(`${code} is not a supported local currency.`);
+      else if (p != null && (!Number.isInteger(p) || p <= 0)) errors.push(`Local prices must be positive whole numbers (${code} for ${v.price}).`);
+    }
+  }
+  return Array.from(new Set(errors));
+}
+
+// ----------------------------- visitor currency -----------------------------
+/** The currency the browser's languages suggest (the first with a known region), else the base currency. */
+export function localeCurrency(languages = navigator.languages || [navigator.language]) {
+  for (const tag of languages || []) {
+    const region = (String(tag).split("-")[1] || "").toUpperCase();
+    const match = CURRENCIES.find((c) => c.regions.includes(region));
+    if (match) return match.code;
+  }
+  return BASE_CURRENCY;
+}
+
+/** The currency to show `experiment` in for this visitor; a valid `currency` URL parameter is remembered. */
+export function pickCurrency(experiment, { location = window.location, languages } = {}) {
+  const hash = location.hash || "";
+  const hashQuery = hash.includes("?") ? hash.slice(hash.indexOf("?") + 1) : "";
+  const param = (new URLSearchParams(hashQuery).get("currency") ?? new URLSearchParams(location.search).get("currency") ?? "").toUpperCase();
+  if (currencyInfo(param)) localStorage.setItem(CURRENCY_KEY, param);
+  const wanted = currencyInfo(param) ? param : localStorage.getItem(CURRENCY_KEY) || localeCurrency(languages);
+  return offeredCurrencies(experiment).includes(wanted) ? wanted : BASE_CURRENCY;
+}
+
+// ----------------------------- reporting -----------------------------
+export function loadFxSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FX_KEY) || "{}");
+    return { ...DEFAULT_FX, ...saved, rates: { ...DEFAULT_FX.rates, ...(saved.rates || {}), [BASE_CURRENCY]: 1 } };
+  } catch {
+    return DEFAULT_FX;
+  }
+}
+export function saveFxSettings(fx) {
+  localStorage.setItem(FX_KEY, JSON.stringify(fx));
+}
+
+export function validateFx(fx) {
+  const errors = [];
+  if (!currencyInfo(fx.reporting)) errors.push(`${fx.reporting} is not a supported reporting currency.`);
+  for (const c of CURRENCIES) {
+    if (!(fx.rates[c.code] > 0)) errors.push(`The ${c.code} rate must be a positive number.`);
+  }
+  return errors;
+}
+
+export function convertAmount(amount, from, to, fx) {
+  return from === to ? amount : (amount / fx.rates[from]) * fx.rates[to];
+}
+
+/** The currency an event's amounts are in: null for events logged without a price on screen. */
+export function eventCurrency(evt) {
+  if (UNPRICED_EVENTS.includes(evt.event)) return null;
+  return (evt.properties && evt.properties.currency) || BASE_CURRENCY;
+}
+
+/** Keeps unpriced events and those shown in `code`; "all" keeps everything. */
+export function filterByCurrency(events, code) {
+  if (code === "all") return events;
+  return events.filter((e) => inCurrency(e, code));
+}
+
+/** filterByCurrency() for one event: events without a currency are kept under every filter. */
+export function inCurrency(evt, code) {
+  const c = eventCurrency(evt);
+  return code === "all" || c == null || c === code;
+}
+
+/**
+ * Events with their amounts (local_price, band_price, offer_total,
+ * contract_value) converted to `fx.reporting`. `currency` still names the
+ * currency the visitor saw, for per-currency breakdowns.
+ */
+export function normalizeEvents(events, fx) {
+  return events.map((e) => {
+    const from = eventCurrency(e);
+    if (from == null || from === fx.reporting || !MONEY_KEYS.some((k) => typeof e.properties[k] === "number")) return e;
+    const properties = { ...e.properties };
+    for (const key of MONEY_KEYS) {
+      if (typeof properties[key] === "number") properties[key] = convertAmount(properties[key], from, fx.reporting, fx);
+    }
+    return { ...e, properties };
+  });
+}
+
+/**
+ * The mean list price each variant was shown at, in fx.reporting, over one
+ * experiment's normalized events: a plan view's `local_price`, else (views
+ * from before local pricing) its base-currency `price` converted. Variants
+ * without views get their base price converted.
+ */
+export function shownPrices(events, prices, fx) {
+  const sums = Object.fromEntries(prices.map((p) => [p, { total: 0, n: 0 }]));
+  const converted = (price) => convertAmount(price, BASE_CURRENCY, fx.reporting, fx);
+  for (const e of events) {
+    const sum = e.event === "PricingPlanViewed" && typeof e.properties.price === "number" && sums[e.properties.price];
+    if (!sum) continue;
+    sum.total += typeof e.properties.local_price === "number" ? e.properties.local_price : converted(e.properties.price);
+    sum.n += 1;
+  }
+  return Object.fromEntries(prices.map((p) => [p, sums[p].n ? sums[p].total / sums[p].n : converted(p)]));
+}
+
+/** Known-answer checks for local prices and reporting conversion, for the Dashboard's self-test: [{ name, pass, got }]. */
+export function currencyChecks() {
+  const gbp = localizeVariant({ price: 6000, prices: { GBP: 4499 }, addons: { sso: 1200 } }, "GBP");
+  const [normalized] = normalizeEvents(
+    [{ event: "EarlyAccessJoin", properties: { currency: "GBP", price: 6000, local_price: 4499, contract_value: 790 } }],
+    { reporting: "USD", rates: { USD: 1, GBP: 0.79 } }
+  );
+  return [
+    {
+      name: "GBP variant: £4,499 list, SSO at local price points (£899)",
+      pass: gbp.price === 4499 && gbp.addons.sso === 899,
+      got: `£${gbp.price}, SSO £${gbp.addons.sso}`,
+    },
+    {
+      name: "£790 contract value reported as $1,000",
+      pass: Math.round(normalized.properties.contract_value) === 1000 && normalized.properties.price === 6000,
+      got: normalized.properties.contract_value,
+    },
+  ];
+}
@@ -0,0 +1,126 @@
+/**
+ * Demand curve & revenue-optimal price
+ * ----------------------------------------------------
+ * Fits a linear demand curve conv(p) = a + b·p to the per-variant conversion
+ * rates (weighted by views). Revenue per visitor is p·conv(p), which peaks at
+ * p* = −a / 2b when demand slopes down. Point elasticity is b·p / conv(p).
+ *
+ * Uncertainty comes from a Bayesian bootstrap: each draw samples every arm's
+ * rate from its Beta(1 + k, 1 + n − k) posterior, refits, and recomputes the
+ * curve and p*. Bands are the 5th–95th percentiles of those draws.
+ */
+
+import { sampleBeta, seededRandom } from "./stats.js";
+
+const BAND = [0.05, 0.95];
+const GRID_POINTS = 41;
+
+/** Weighted least squares of conv on price. Returns null when the fit is undefined. */
+export function fitLinearDemand(points) {
+  const w = points.reduce((acc, pt) => acc + pt.weight, 0);
+  if (points.length < 2 || !w) return null;
+  const mx = points.reduce((acc, pt) => acc + pt.weight * pt.price, 0) / w;
+  const my = points.reduce((acc, pt) => acc + pt.weight * pt.rate, 0) / w;
+  const sxx = points.reduce((acc, pt) => acc + pt.weight * (pt.price - mx) ** 2, 0);
+  if (!sxx) return null;
+  const sxy = points.reduce((acc, pt) => acc + pt.weight * (pt.price - mx) * (pt.rate - my), 0);
+  const b = sxy / sxx;
+  return { a: my - b * mx, b };
+}
+
+export function demandAt(fit, price) {
+  return Math.max(0, fit.a + fit.b * price);
+}
+
+export function elasticityAt(fit, price) {
+  const conv = fit.a + fit.b * price;
+  return conv > 0 ? (fit.b * price) / conv : null;
+}
+
+/** Revenue-maximising price, clamped to [lo, hi]. */
+export function optimalPrice(fit, lo, hi) {
+  if (fit.b >= 0) return { price: hi, interior: false };
+  const p = -fit.a / (2 * fit.b);
+  return { price: Math.min(hi, Math.max(lo, p)), interior: p >= lo && p <= hi };
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const i = Math.floor(pos);
+  const frac = pos - i;
+  return sorted[i + 1] == null ? sorted[i] : sorted[i] + frac * (sorted[i + 1] - sorted[i]);
+}
+function band(values) {
+  const sorted = values.filter((v) => v != null && Number.isFinite(v)).sort((x, y) => x - y);
+  return { lo: quantile(sorted, BAND[0]), hi: quantile(sorted, BAND[1]) };
+}
+
+/**
+ * arms: [{ price, k, n }] (k conversions out of n views).
+ * Returns null when fewer than two prices have traffic.
+ */
+export function analyzeDemand(arms, anchorPrice, { draws = 1000, rand = seededRandom(7) } = {}) {
+  const observed = arms.filter((a) => a.n > 0);
+  const points = observed.map((a) => ({ price: a.price, rate: Math.min(a.k, a.n) / a.n, weight: a.n }));
+  const fit = fitLinearDemand(points);
+  if (!fit) return null;
+
+  const lo = Math.min(...points.map((pt) => pt.price));
+  const hi = Math.max(...points.map((pt) => pt.price));
+  const grid = Array.from({ length: GRID_POINTS }, (_, i) => lo + ((hi - lo) * i) / (GRID_POINTS - 1));
+  const meanPrice = points.reduce((acc, pt) => acc + pt.weight * pt.price, 0) / points.reduce((acc, pt) => acc + pt.weight, 0);
+
+  const drawOptima = [];
+  const drawElasticity = [];
+  const drawUplift = [];
+  const drawConv = grid.map(() => []);
+  for (let d = 0; d < draws; d++) {
+    const sample = observed.map((a) => ({
+      price: a.price,
+      rate: sampleBeta(1 + Math.min(a.k, a.n), 1 + a.n - Math.min(a.k, a.n), rand),
+      weight: a.n,
+    }));
+    const f = fitLinearDemand(sample);
+    if (!f) continue;
+    const opt = optimalPrice(f, lo, hi);
+    drawOptima.push(opt.price);
+    drawElasticity.push(elasticityAt(f, meanPrice));
+    const anchorRev = anchorPrice * demandAt(f, anchorPrice);
+    drawUplift.push(anchorRev > 0 ? (opt.price * demandAt(f, opt.price)) / anchorRev - 1 : null);
+    grid.forEach((p, i) => drawConv[i].push(demandAt(f, p)));
+  }
+
+  const optimum = optimalPrice(fit, lo, hi);
+  const optimumRevenue = optimum.price * demandAt(fit, optimum.price);
+  const anchorConv = demandAt(fit, anchorPrice);
+  const anchorRevenue = anchorPrice * anchorConv;
+
+  return {
+    fit,
+    range: { lo, hi },
+    observed: points.map((pt) => ({ ...pt, revenue: pt.price * pt.rate, elasticity: elasticityAt(fit, pt.price) })),
+    elasticity: { price: meanPrice, value: elasticityAt(fit, meanPrice), ...band(drawElasticity) },
+    optimum: { ...optimum, revenue: optimumRevenue, ...band(drawOptima) },
+    anchor: {
+      price: anchorPrice,
+      conv: anchorConv,
+      revenue: anchorRevenue,
+      extrapolated: anchorPrice < lo || anchorPrice > hi,
+      uplift: anchorRevenue > 0 ? optimumRevenue / anchorRevenue - 1 : null,
+      upliftBand: band(drawUplift),
+    },
+    curve: grid.map((p, i) => {
+      const conv = band(drawConv[i]);
+      return {
+        price: p,
+        conv: demandAt(fit, p),
+        convLo: conv.lo,
+        convHi: conv.hi,
+        revenue: p * demandAt(fit, p),
+        revenueLo: conv.lo == null ? null : p * conv.lo,
+        revenueHi: conv.hi == null ? null : p * conv.hi,
+      };
+    }),
+  };
+}
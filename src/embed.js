@@ -0,0 +1,112 @@
+/**
+ * Embeddable widget (#/embed) and its postMessage bridge
+ * ----------------------------------------------------
+ * The host app (Forms Studio) frames the plan card and the upsell tiles:
+ *
+ *   <iframe src="https://<app>/FS-Pricing/#/embed?host=https://forms.example&price=6000&theme=dark&visitor=u_123">
+ *
+ *   host     required: the embedding page's origin; must be one of EMBED_ORIGINS
+ *   price    a variant price of the active experiment; without it the visitor is
+ *            bucketed as on #/pp (sticky, weighted)
+ *   theme    "light" (default) | "dark"
+ *   visitor  the host's user id, used for bucketing (its assignment is stored
+ *            apart from this browser's and other host users') and as
+ *            `visitor_id` on every event (1–128 characters of
+ *            A–Z a–z 0–9 . _ : @ -); without it this browser's own id (visitor.js)
+ *   currency the price currency, as `currency` on the plan pages (currency.js)
+ *
+ * Messages in both directions are plain objects { protocol: "pp-widget",
+ * version: EMBED_PROTOCOL_VERSION, type, ... }:
+ *
+ *   widget → host
+ *     ready   { experiment_id, collecting, visitor_id, theme }  once the widget is up
+ *     event   { event }   every event logEvent records while embedded, the same
+ *                         envelope as in the log (events.js); `{ remote: false }`
+ *                         events stay in the frame like they stay out of the transport
+ *     resize  { height }  the widget's content height in px, whenever it changes
+ *   host → widget
+ *     theme   { theme }   switch the theme without reloading the frame
+ *
+ * Origin checks: the widget only ever posts to the `host` origin (never "*"),
+ * so the browser drops its messages if the frame was loaded by another site,
+ * and it ignores messages that don't come from its parent window at `host`.
+ * A `host` outside EMBED_ORIGINS, or a page that isn't framed, shows an error
+ * and logs nothing. Hosts should check `event.origin` against the widget's
+ * origin and `event.source` against the iframe's contentWindow (embed/demo.html).
+ *
+ * EMBED_ORIGINS is VITE_EMBED_ORIGINS (comma-separated, read at build time).
+ * Without it the dev server allows this app's own origin and the demo host,
+ * http://localhost:8788, and a production build allows no host at all.
+ */
+
+import { onEventLogged } from "./events.js";
+
+export const EMBED_ROUTE = "#/embed";
+export const EMBED_PROTOCOL = "pp-widget";
+export const EMBED_PROTOCOL_VERSION = 1;
+export const EMBED_THEMES = ["light", "dark"];
+export const DEMO_HOST_ORIGIN = "http://localhost:8788";
+
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9._:@-]{1,128}$/;
+
+const env = import.meta.env || {};
+export const EMBED_ORIGINS = env.VITE_EMBED_ORIGINS
+  ? env.VITE_EMBED_ORIGINS.split(",")
+      .map((o) => o.trim().replace(/\/+$/, ""))
+      .filter(Boolean)
+  : env.DEV
+    ? [window.location.origin, DEMO_HOST_ORIGIN]
+    : [];
+
+/** The widget's settings from the hash query (#/embed?host=…&price=…&theme=…&visitor=…). */
+export function parseEmbedParams(hash) {
+  const query = hash.includes("?") ? hash.slice(hash.indexOf("?") + 1) : "";
+  const params = new URLSearchParams(query);
+  const price = params.get("price");
+  const theme = params.get("theme");
+  return {
+    host: (params.get("host") || "").replace(/\/+$/, ""),
+    price: price == null || price === "" ? null : Number(price),
+    theme: EMBED_THEMES.includes(theme) ? theme : "light",
+    visitorId: params.get("visitor") || null,
+  };
+}
+
+/** Why the widget can't run with these settings, or null when it can. */
+export function embedProblem(params, experiment, { framed = window.parent !== window } = {}) {
+  if (!framed) return "this page only works inside an iframe on an allowed host (see embed/demo.html).";
+  if (!params.host) return "the frame URL has no host parameter.";
+  if (!EMBED_ORIGINS.length) return "this build allows no host origins (set VITE_EMBED_ORIGINS).";
+  if (!EMBED_ORIGINS.includes(params.host)) return `${params.host} is not an allowed host origin.`;
+  if (params.visitorId != null && !VISITOR_ID_PATTERN.test(params.visitorId)) return "the visitor parameter is not a valid id.";
+  if (params.price != null && !experiment.variants.some((v) => v.price === params.price)) {
+    return `${params.price} is not a variant price of experiment "${experiment.id}".`;
+  }
+  return null;
+}
+
+/**
+ * Connects to the host window: forwards logged events, listens for host
+ * messages (`onTheme`) and returns { post(type, payload), close() }.
+ */
+export function openBridge(host, { onTheme } = {}) {
+  const parent = window.parent;
+  const post = (type, payload = {}) => parent.postMessage({ protocol: EMBED_PROTOCOL, version: EMBED_PROTOCOL_VERSION, type, ...payload }, host);
+
+  function receive(e) {
+    if (e.origin !== host || e.source !== parent) return;
+    const msg = e.data;
+    if (!msg || msg.protocol !== EMBED_PROTOCOL) return;
+    if (msg.type === "theme" && EMBED_THEMES.includes(msg.theme) && onTheme) onTheme(msg.theme);
+  }
+  window.addEventListener("message", receive);
+  const unsubscribe = onEventLogged((event) => post("event", { event }));
+
+  return {
+    post,
+    close() {
+      window.removeEventListener("message", receive);
+      unsubscribe();
+    },
+  };
+}
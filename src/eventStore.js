@@ -0,0 +1,313 @@
+/**
+ * Event store
+ * ----------------------------------------------------
+ * Where the local event log lives. IndexedDB when the browser has it
+ * (database `pp_events`, object store `events`, auto-incrementing keys), with
+ * the old localStorage array (`pp_test_events`) as the fallback backend.
+ *
+ *  - Reads are synchronous from an in-memory copy loaded once by
+ *    openEventStore(); the app renders after that resolves.
+ *  - appendEvent() writes one record (append-only, no re-serialising the log)
+ *    and updates running per-experiment / per-price counts, so the plan pages
+ *    never re-summarise the whole log.
+ *  - replaceEvents() rewrites the log (reset, import merge, lead purge,
+ *    migrations); it returns a promise that settles once the write commits.
+ *  - Other tabs hear about changes over BroadcastChannel (IndexedDB) or the
+ *    `storage` event (localStorage) and update their copy; subscribe() tells
+ *    components, so nothing polls.
+ *
+ * On first open with IndexedDB, events found under `pp_test_events` are moved
+ * into the database and the localStorage key is removed. Two tabs opening at
+ * once can both find them, so the move adds only events the database doesn't
+ * hold yet, in one transaction (by `event_id`; the whole record for very old
+ * events without one).
+ *
+ * replaceEvents() never clears the store: it updates, deletes and adds records
+ * by key against this tab's copy, so an event another tab appended before its
+ * broadcast arrived is kept.
+ *
+ * The Dashboard's headline numbers and By Price Variant table follow appends
+ * with appendedSince(): after one full pass they flag and count only the new
+ * events (a rewrite, or an event older than the last one counted, starts
+ * over). Its other panels still re-read the log on every change.
+ *
+ * Self-tests and simulations write to a sandbox (createSandboxStore) instead,
+ * so they never touch this log.
+ */
+
+import { eventExperimentId } from "./experiments.js";
+import { eventPrice } from "./metrics.js";
+
+export const LEGACY_STORAGE_KEY = "pp_test_events";
+const DB_NAME = "pp_events";
+const STORE = "events";
+const CHANNEL = "pp_events";
+
+let events = [];
+let version = 0;
+let generation = 0; // bumped whenever the log is rewritten rather than appended to
+let backend = null;
+let channel = null;
+let aggregates = new Map();
+const listeners = new Set();
+
+// ----------------------------- aggregates -----------------------------
+// Raw-event counts per experiment and price, joins de-duplicated per price by email hash / lead
+// (summarize()'s "event" unit, without the pass over the log).
+const COUNTED = { PricingPlanViewed: "viewed", PricingPlanCTA: "cta", EarlyAccessJoin: "joined" };
+
+function addToAggregates(evt) {
+  const metric = COUNTED[evt.event];
+  const price = eventPrice(evt);
+  if (!metric || typeof price !== "number") return;
+  const expId = eventExperimentId(evt);
+  if (!aggregates.has(expId)) aggregates.set(expId, { byPrice: {}, joinKeys: new Set() });
+  const agg = aggregates.get(expId);
+  if (metric === "joined") {
+    const person = evt.properties.email_hash || evt.properties.lead_id;
+    if (person) {
+      const key = `${price}|${person}`;
+      if (agg.joinKeys.has(key)) return;
+      agg.joinKeys.add(key);
+    }
+  }
+  const row = agg.byPrice[price] || (agg.byPrice[price] = { viewed: 0, cta: 0, joined: 0 });
+  row[metric] += 1;
+}
+
+function rebuildAggregates() {
+  aggregates = new Map();
+  for (const evt of events) addToAggregates(evt);
+}
+
+/** { viewed, cta, joined } raw-event counts for one experiment and price. */
+export function getAggregates(experimentId, price) {
+  const agg = aggregates.get(experimentId);
+  return (agg && agg.byPrice[price]) || { viewed: 0, cta: 0, joined: 0 };
+}
+
+// ----------------------------- backends -----------------------------
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+function committed(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const recordKey = (evt) => evt.event_id || JSON.stringify(evt);
+
+async function indexedDbBackend() {
+  const open = indexedDB.open(DB_NAME, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(STORE, { autoIncrement: true });
+  const db = await request(open);
+  return {
+    kind: "indexeddb",
+    loadAll: () => request(db.transaction(STORE).objectStore(STORE).getAll()),
+    append(evt) {
+      const tx = db.transaction(STORE, "readwrite");
+      tx.objectStore(STORE).add(evt);
+      return committed(tx);
+    },
+    async merge(list) {
+      const tx = db.transaction(STORE, "readwrite");
+      const store = tx.objectStore(STORE);
+      const stored = await request(store.getAll());
+      const seen = new Set(stored.map(recordKey));
+      const added = [];
+      for (const evt of list) {
+        if (seen.has(recordKey(evt))) continue;
+        seen.add(recordKey(evt));
+        added.push(evt);
+        store.add(evt);
+      }
+      await committed(tx);
+      return stored.concat(added);
+    },
+    // Writes `next` over the stored log record by record, in one transaction: changed records
+    // are updated, records this tab dropped (in `previous`, not in `next`) deleted and new ones
+    // added. Anything else in the store was appended by another tab after `previous` was read
+    // and stays; resolves with whether there was any.
+    replace(previous, next) {
+      const tx = db.transaction(STORE, "readwrite");
+      const store = tx.objectStore(STORE);
+      const wanted = new Map(next.map((evt) => [recordKey(evt), evt]));
+      const dropped = new Set(previous.map(recordKey));
+      let foreign = false;
+      const walk = store.openCursor();
+      walk.onsuccess = () => {
+        const cursor = walk.result;
+        if (!cursor) {
+          for (const evt of wanted.values()) store.add(evt);
+          return;
+        }
+        const key = recordKey(cursor.value);
+        if (wanted.has(key)) {
+          const evt = wanted.get(key);
+          wanted.delete(key);
+          if (JSON.stringify(evt) !== JSON.stringify(cursor.value)) cursor.update(evt);
+        } else if (dropped.has(key)) {
+          cursor.delete();
+        } else {
+          foreign = true;
+        }
+        cursor.continue();
+      };
+      return committed(tx).then(() => foreign);
+    },
+  };
+}
+
+function localStorageBackend() {
+  const read = () => {
+    try {
+      const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (list) => localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(list));
+  return {
+    kind: "localstorage",
+    loadAll: async () => read(),
+    append: async (evt) => write(read().concat([evt])),
+    replace: async (previous, next) => {
+      const known = new Set(previous.concat(next).map(recordKey));
+      const foreign = read().filter((evt) => !known.has(recordKey(evt))); // appended by another tab meanwhile
+      write(next.concat(foreign));
+      return foreign.length > 0;
+    },
+  };
+}
+
+// ----------------------------- cross-tab -----------------------------
+function notify() {
+  version += 1;
+  for (const fn of listeners) fn(version);
+}
+
+async function reloadFromBackend() {
+  events = await backend.loadAll();
+  generation += 1;
+  rebuildAggregates();
+  notify();
+}
+
+function listenToOtherTabs() {
+  if (backend.kind === "indexeddb" && typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(CHANNEL);
+    channel.onmessage = ({ data }) => {
+      if (data.type === "append") {
+        events.push(data.event);
+        addToAggregates(data.event);
+        notify();
+      } else if (data.type === "replace") {
+        reloadFromBackend();
+      }
+    };
+  } else if (backend.kind === "localstorage") {
+    window.addEventListener("storage", (e) => {
+      if (e.key === LEGACY_STORAGE_KEY) reloadFromBackend();
+    });
+  }
+}
+
+// ----------------------------- public API -----------------------------
+let opening = null;
+
+/** Loads the log into memory (once); resolves with the backend kind. */
+export function openEventStore() {
+  if (!opening) {
+    opening = (async () => {
+      try {
+        backend = typeof indexedDB !== "undefined" ? await indexedDbBackend() : localStorageBackend();
+      } catch {
+        backend = localStorageBackend(); // e.g. IndexedDB disabled in private windows
+      }
+      events = await backend.loadAll();
+      if (backend.kind === "indexeddb" && localStorage.getItem(LEGACY_STORAGE_KEY) !== null) {
+        events = await backend.merge(await localStorageBackend().loadAll());
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+      }
+      rebuildAggregates();
+      listenToOtherTabs();
+      return backend.kind;
+    })();
+  }
+  return opening;
+}
+
+export function getEvents() {
+  return events.slice();
+}
+
+export function getStoreVersion() {
+  return version;
+}
+
+export function appendEvent(evt) {
+  events.push(evt);
+  addToAggregates(evt);
+  notify();
+  const write = backend ? backend.append(evt) : Promise.resolve();
+  return write.then(() => channel && channel.postMessage({ type: "append", event: evt }));
+}
+
+/**
+ * Rewrites the log as `list`. The stored records are updated, deleted and added individually
+ * against this tab's copy, so events another tab appended meanwhile survive (and are then
+ * read back in).
+ */
+export function replaceEvents(list) {
+  const previous = events;
+  events = list.slice();
+  generation += 1;
+  rebuildAggregates();
+  notify();
+  const write = backend ? backend.replace(previous, events) : Promise.resolve(false);
+  return write.then((foreign) => {
+    if (channel) channel.postMessage({ type: "replace" });
+    return foreign ? reloadFromBackend() : undefined;
+  });
+}
+
+/** Where the log is now; pass it to appendedSince() later. */
+export function getLogPosition() {
+  return { generation, length: events.length };
+}
+
+/** Events appended after `position`, or null when the log was rewritten since (read it all again). */
+export function appendedSince(position) {
+  return position.generation === generation ? events.slice(position.length) : null;
+}
+
+// ----------------------------- sandboxes -----------------------------
+/**
+ * A separate, in-memory log for self-tests and simulations: logEvent(…, { store })
+ * appends here instead of the real log, so nothing is persisted, broadcast or
+ * counted in the aggregates.
+ */
+export function createSandboxStore() {
+  const list = [];
+  return {
+    kind: "sandbox",
+    append(evt) {
+      list.push(evt);
+      return Promise.resolve();
+    },
+    getEvents: () => list.slice(),
+  };
+}
+
+/** Calls `fn(version)` after every change, local or from another tab. Returns an unsubscribe function. */
+export function subscribeToEvents(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -0,0 +1,113 @@
+/**
+ * Event log
+ * ----------------------------------------------------
+ * Every event is first appended to this browser's log (eventStore.js, which
+ * the plan pages and the "Local" Dashboard source read), then handed to the
+ * configured transport (see transport.js) for delivery to a collector.
+ *
+ *   { event_id, timestamp, event, visitor_id, session_id, attribution?, internal?, properties }
+ *
+ * `event_id` identifies an event across retries, beacons and exports so
+ * receivers can de-duplicate; `visitor_id` / `session_id` let the Dashboard
+ * count unique visitors and sessions instead of raw events. `attribution` is
+ * the visitor's first and last campaign touch (attribution.js); `internal: true`
+ * marks events logged in QA mode (quality.js), which the Dashboard can leave out.
+ *
+ * Events also carry `schema_version`, and `schema_errors` when their
+ * properties don't match the registry in schema.js. Unregistered event names
+ * are rejected; logs from older versions are migrated by initEventLog().
+ * Contact details never go in this log; see leads.js.
+ */
+
+import { loadAttribution } from "./attribution.js";
+import { appendEvent, getEvents, openEventStore, replaceEvents } from "./eventStore.js";
+import { addLeads, exportableEvents, leadsFromEvents } from "./leads.js";
+import { isQaMode } from "./quality.js";
+import { EVENT_SCHEMAS, SCHEMA_VERSION, migrateEvent, needsMigration, validateEvent } from "./schema.js";
+import { getTransport } from "./transport.js";
+import { getSessionId, getVisitorId } from "./visitor.js";
+
+export function newEventId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/** Opens the store and brings an older log up to the current schema; the app renders once this resolves. */
+export async function initEventLog() {
+  await openEventStore();
+  const events = getEvents();
+  if (needsMigration(events)) {
+    addLeads(leadsFromEvents(events)); // contact details leave the log in v3; consented ones move to the lead store
+    await replaceEvents(events.map(migrateEvent));
+  }
+}
+
+export function loadEvents() {
+  return getEvents();
+}
+/** Replaces the whole log; resolves once the write has committed. */
+export function saveEvents(events) {
+  return replaceEvents(events);
+}
+
+const loggedListeners = new Set();
+
+/** Calls `fn(evt)` for every event that goes to the transport (the embed bridge forwards them to the host page). */
+export function onEventLogged(fn) {
+  loggedListeners.add(fn);
+  return () => loggedListeners.delete(fn);
+}
+
+/**
+ * Pass `{ remote: false }` for events that must never leave the browser, or a
+ * sandbox `store` (eventStore.js createSandboxStore) to keep them out of the real
+ * log as well (self-tests, simulations). A simulation also passes `stamp`
+ * ({ timestamp, visitor_id, session_id, attribution, internal }) to log as one
+ * of its synthetic visitors instead of this browser; stamped events aren't
+ * reported on the console. Returns the stored event, or null when `name` isn't
+ * a registered event.
+ */
+export function logEvent(name, properties = {}, { remote = true, store = null, stamp = null } = {}) {
+  if (!EVENT_SCHEMAS[name]) {
+    // eslint-disable-next-line no-console
+    console.error(`[LOG] rejected unregistered event "${name}"`, properties);
+    return null;
+  }
+  const envelope = stamp || { timestamp: new Date().toISOString(), visitor_id: getVisitorId(), session_id: getSessionId() };
+  const evt = {
+    event_id: newEventId(),
+    timestamp: envelope.timestamp,
+    event: name,
+    visitor_id: envelope.visitor_id,
+    session_id: envelope.session_id,
+    schema_version: SCHEMA_VERSION,
+    properties,
+  };
+  const touches = stamp ? stamp.attribution : loadAttribution();
+  if (touches) evt.attribution = touches;
+  if (stamp ? stamp.internal : isQaMode()) evt.internal = true;
+  const errors = validateEvent(evt);
+  if (errors.length) {
+    evt.schema_errors = errors;
+    // eslint-disable-next-line no-console
+    if (!stamp) console.warn(`[LOG] ${name} does not match its schema:`, errors.join("; "));
+  }
+  if (store) {
+    store.append(evt);
+    return evt;
+  }
+  appendEvent(evt).catch((err) => {
+    // The event stays in this tab's copy of the log (and goes to the transport) but isn't persisted
+    // eslint-disable-next-line no-console
+    console.error(`[LOG] could not store ${name}:`, err);
+  });
+  if (remote) {
+    const [outgoing] = exportableEvents([evt]); // the privacy "redact" setting applies to everything that leaves the browser
+    getTransport().send(outgoing);
+    for (const fn of loggedListeners) fn(outgoing);
+  }
+  // For debugging visibility
+  // eslint-disable-next-line no-console
+  console.log("[LOG]", evt);
+  return evt;
+}
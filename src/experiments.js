@@ -0,0 +1,200 @@
+/**
+ * Experiment definitions
+ * ----------------------------------------------------
+ * An experiment is the unit every page, nav entry and Dashboard panel is built
+ * from. Definitions live in localStorage so new price tests can be set up from
+ * the in-app editor (#/experiments) without touching code.
+ *
+ *   { id, name, plan, anchorPrice, wtpMethod, factors, pricingMode, status, startDate, endDate, power, stopping, conclusion,
+ *     variants: [{ price, prices, weight, bandPrices, annualDiscount, addons }] }
+ *
+ * `weight` is the relative share of randomized (#/pp) traffic; it defaults to 1.
+ *
+ * The rest of a variant is its offer: `price` is the annual list price;
+ * `annualDiscount` (0–0.9) is what paying annually saves over monthly billing,
+ * and offers the monthly term when set; `addons` maps ADDONS keys to annual
+ * add-on prices (a missing key means the add-on isn't offered).
+ *
+ * Prices are in the base currency (USD); `prices` lists the variant's price in
+ * other currencies, { CAD: 7999, GBP: 4499 }, for visitors shown those (currency.js).
+ *
+ * `wtpMethod` picks the willingness-to-pay survey shown after the Early Access
+ * form (see wtp.js); missing means no survey. `factors` lists the messaging /
+ * fence factors tested alongside price (see factors.js); missing means none.
+ *
+ * `pricingMode: "banded"` prices by municipality size: each variant sets
+ * `bandPrices` for every population band (segment.js) and the plan page shows
+ * the price for the visitor's band. The variant is still identified by its
+ * `price` (routes, nav, `properties.price` on events); the price actually
+ * shown is logged as `band_price`.
+ *
+ * `status`, `startDate` / `endDate`, `power`, `stopping` and, once concluded,
+ * `conclusion` (the archived results) belong to the lifecycle (lifecycle.js);
+ * experiments without a `status` are running.
+ *
+ * Events carry `experiment_id`; events logged before experiments existed are
+ * attributed to DEFAULT_EXPERIMENT.
+ */
+
+import { validateLocalPrices } from "./currency.js";
+import { validateFactors } from "./factors.js";
+import { POPULATION_BANDS } from "./segment.js";
+
+const EXPERIMENTS_KEY = "pp_experiments";
+const ACTIVE_KEY = "pp_active_experiment";
+
+export const ADDONS = [
+  { key: "sso", label: "SSO (SAML / OIDC)" },
+  { key: "retention", label: "Extended retention (+3 years)" },
+];
+
+const DEFAULT_OFFER = { annualDiscount: 0.15, addons: { sso: 1200, retention: 900 } };
+
+export const DEFAULT_EXPERIMENT = {
+  id: "pp-launch",
+  name: "Premium Plus launch pricing",
+  plan: "PremiumPlus",
+  anchorPrice: 4000,
+  wtpMethod: "van-westendorp",
+  variants: [
+    { price: 5400, prices: { CAD: 7299, GBP: 3999 }, ...DEFAULT_OFFER },
+    { price: 6000, prices: { CAD: 7999, GBP: 4499 }, ...DEFAULT_OFFER },
+    { price: 6900, prices: { CAD: 9299, GBP: 5199 }, ...DEFAULT_OFFER },
+  ],
+};
+
+export function loadExperiments() {
+  try {
+    const raw = localStorage.getItem(EXPERIMENTS_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return list.length ? list : [DEFAULT_EXPERIMENT];
+  } catch {
+    return [DEFAULT_EXPERIMENT];
+  }
+}
+export function saveExperiments(list) {
+  localStorage.setItem(EXPERIMENTS_KEY, JSON.stringify(list));
+}
+
+export function loadActiveExperimentId(experiments) {
+  const id = localStorage.getItem(ACTIVE_KEY);
+  return experiments.some((x) => x.id === id) ? id : experiments[0].id;
+}
+export function saveActiveExperimentId(id) {
+  localStorage.setItem(ACTIVE_KEY, id);
+}
+
+export function findExperiment(experiments, id) {
+  return experiments.find((x) => x.id === id) || null;
+}
+
+export function variantPrices(experiment) {
+  return experiment.variants.map((v) => v.price);
+}
+
+export function variantWeight(variant) {
+  return variant.weight == null ? 1 : variant.weight;
+}
+
+export function findVariant(experiment, price) {
+  return experiment.variants.find((v) => v.price === price) || { price };
+}
+
+// ----------------------------- population-band pricing -----------------------------
+export function isBanded(experiment) {
+  return experiment.pricingMode === "banded";
+}
+
+/** The price a visitor in `band` sees for a variant: its band price when banded (null until the band is known), else its price. */
+export function displayPrice(experiment, variant, band) {
+  if (!isBanded(experiment)) return variant.price;
+  return (band && (variant.bandPrices || {})[band]) || null;
+}
+
+// ----------------------------- offers -----------------------------
+/** Billing terms a variant offers, annual first. */
+export function billingTerms(variant) {
+  return variant.annualDiscount > 0 ? ["annual", "monthly"] : ["annual"];
+}
+
+/** Add-ons the variant offers: [{ key, label, price }] with annual prices. */
+export function offeredAddons(variant) {
+  const prices = variant.addons || {};
+  return ADDONS.filter((a) => prices[a.key] > 0).map((a) => ({ ...a, price: prices[a.key] }));
+}
+
+// Monthly rate for an annual amount: annual billing is `annualDiscount` cheaper than 12 × monthly.
+function monthlyRate(annual, variant) {
+  return Math.round(annual / 12 / (1 - (variant.annualDiscount || 0)));
+}
+
+/**
+ * Prices one configuration of a variant's offer.
+ * `total` is per billing period (year or month); `contractValue` is per year.
+ */
+export function quoteOffer(variant, { term = "annual", addons = [] } = {}) {
+  const chosen = offeredAddons(variant).filter((a) => addons.includes(a.key));
+  const monthly = term === "monthly" && billingTerms(variant).includes("monthly");
+  const base = monthly ? monthlyRate(variant.price, variant) : variant.price;
+  const lines = chosen.map((a) => ({ ...a, amount: monthly ? monthlyRate(a.price, variant) : a.price }));
+  const total = base + lines.reduce((acc, l) => acc + l.amount, 0);
+  return { term: monthly ? "monthly" : "annual", base, lines, total, contractValue: monthly ? total * 12 : total };
+}
+
+/** Known-answer checks for quoteOffer(), for the Dashboard's self-test: [{ name, pass, got }]. */
+export function quoteChecks() {
+  const quote = quoteOffer({ price: 6000, annualDiscount: 0.15, addons: { sso: 1200 } }, { term: "monthly", addons: ["sso", "retention"] });
+  return [
+    {
+      name: "Monthly quote: 588 + SSO 118 = 706/mo, 8,472/yr; unpriced add-on ignored",
+      pass: quote.total === 706 && quote.contractValue === 8472 && quote.lines.length === 1,
+      got: `${quote.total}/mo, ${quote.contractValue}/yr, ${quote.lines.length} add-on(s)`,
+    },
+  ];
+}
+
+/** Configured share of randomized traffic per variant, in variant order. */
+export function trafficShares(experiment) {
+  const total = experiment.variants.reduce((acc, v) => acc + variantWeight(v), 0);
+  return experiment.variants.map((v) => (total ? variantWeight(v) / total : 0));
+}
+
+export function eventExperimentId(evt) {
+  return (evt.properties && evt.properties.experiment_id) || DEFAULT_EXPERIMENT.id;
+}
+
+export function eventsForExperiment(events, experiment) {
+  return events.filter((e) => eventExperimentId(e) === experiment.id);
+}
+
+/** Returns a list of human-readable problems; empty when the definition is usable. */
+export function validateExperiment(experiment, others = []) {
+  const errors = [];
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(experiment.id || "")) {
+    errors.push("Id must be lowercase letters, digits and dashes.");
+  } else if (others.some((x) => x.id === experiment.id)) {
+    errors.push(`Id "${experiment.id}" is already used by another experiment.`);
+  }
+  if (!experiment.name || !experiment.name.trim()) errors.push("Name is required.");
+  if (!experiment.plan || !experiment.plan.trim()) errors.push("Plan is required.");
+  if (!(experiment.anchorPrice > 0)) errors.push("Anchor price must be a positive number.");
+  if (experiment.variants.length === 0) errors.push("Add at least one variant price.");
+  const prices = variantPrices(experiment);
+  if (prices.some((p) => !Number.isInteger(p) || p <= 0)) errors.push("Variant prices must be positive whole numbers.");
+  if (new Set(prices).size !== prices.length) errors.push("Variant prices must be unique.");
+  if (experiment.variants.some((v) => v.annualDiscount != null && !(v.annualDiscount >= 0 && v.annualDiscount < 0.9))) {
+    errors.push("Annual discounts must be between 0% and 90%.");
+  }
+  if (experiment.variants.some((v) => Object.values(v.addons || {}).some((p) => !Number.isInteger(p) || p <= 0))) {
+    errors.push("Add-on prices must be positive whole numbers (leave blank to not offer one).");
+  }
+  if (isBanded(experiment) && experiment.variants.some((v) => POPULATION_BANDS.some((b) => !Number.isInteger((v.bandPrices || {})[b]) || v.bandPrices[b] <= 0))) {
+    errors.push("Band-priced variants need a positive whole-number price for every population band.");
+  }
+  errors.push(...validateLocalPrices(experiment));
+  errors.push(...validateFactors(experiment));
+  const weights = experiment.variants.map(variantWeight);
+  if (weights.some((w) => !(w >= 0))) errors.push("Traffic weights must be zero or positive.");
+  else if (experiment.variants.length && !weights.some((w) => w > 0)) errors.push("At least one variant needs a traffic weight above zero.");
+  return errors;
+}
@@ -0,0 +1,113 @@
+/**
+ * Factorial analysis (price × messaging / fence factors)
+ * ----------------------------------------------------
+ * Works on the pivot's units (one session / visitor at one price, see
+ * pivot.js) that viewed the plan and carry a level for every tested factor;
+ * units from before a factor was added are left out (`untagged`).
+ *
+ *  - Main effect of a level: its rate minus the factor's first level's rate,
+ *    pooled over every other factor. Levels are assigned independently, so the
+ *    other factors balance out across the comparison.
+ *  - Interaction of two factors: for level a of A and b of B, the difference in
+ *    differences (r[a,b] − r[a,b0]) − (r[a0,b] − r[a0,b0]) — how much B's
+ *    effect changes under a. Zero means the effects simply add up.
+ *
+ * Price is treated as one more factor, its first variant as baseline.
+ */
+
+import { variantPrices } from "./experiments.js";
+import { experimentFactors } from "./factors.js";
+import { buildUnits } from "./pivot.js";
+import { Z_95, compareProportions, normalCdf } from "./stats.js";
+
+export const FACTORIAL_METRICS = [
+  { key: "joined", label: "QSR (EA Joins / View)" },
+  { key: "cta", label: "CTA / View" },
+];
+
+/** Price plus the experiment's tested factors, as [{ key, label, levels: [{ key, label }] }]. */
+export function analysisFactors(experiment) {
+  const price = { key: "price", label: "Price", levels: variantPrices(experiment).map((p) => ({ key: p, label: p })) };
+  return [price, ...experimentFactors(experiment).map((f) => ({ key: f.key, label: f.label, levels: f.levels.map((l) => ({ key: l.key, label: l.label })) }))];
+}
+
+function levelOf(u, factorKey) {
+  return factorKey === "price" ? u.price : (u.factors || {})[factorKey];
+}
+
+function arm(units, metric) {
+  return { k: units.filter((u) => u[metric]).length, n: units.length };
+}
+
+/** Difference-in-differences over a 2 × 2 of arms [a0b0, a0b, ab0, ab], with a normal-approximation interval; null if an arm is empty. */
+export function interactionContrast(cells) {
+  if (cells.some((c) => !c.n)) return null;
+  const rates = cells.map((c) => c.k / c.n);
+  const diff = rates[3] - rates[2] - (rates[1] - rates[0]);
+  const se = Math.sqrt(cells.reduce((acc, c, i) => acc + (rates[i] * (1 - rates[i])) / c.n, 0));
+  return {
+    diff,
+    lo: diff - Z_95 * se,
+    hi: diff + Z_95 * se,
+    p: se ? 2 * (1 - normalCdf(Math.abs(diff / se))) : null,
+  };
+}
+
+/** Known-answer checks for interactionContrast(), for the Dashboard's self-test: [{ name, pass, got }]. */
+export function interactionChecks() {
+  // 10% → 20% without the second factor, 30% → 60% with it: B adds 10 points, 30 under A
+  const interaction = interactionContrast([
+    { k: 10, n: 100 },
+    { k: 20, n: 100 },
+    { k: 30, n: 100 },
+    { k: 60, n: 100 },
+  ]);
+  return [
+    {
+      name: "2×2 interaction: (60% − 30%) − (20% − 10%) = +20 points, 95% CI 3.6 to 36.4",
+      pass: Math.abs(interaction.diff - 0.2) < 1e-9 && Math.abs(interaction.lo - 0.036) < 0.001 && Math.abs(interaction.hi - 0.364) < 0.001,
+      got: `${(interaction.diff * 100).toFixed(1)} points (${(interaction.lo * 100).toFixed(1)} to ${(interaction.hi * 100).toFixed(1)})`,
+    },
+  ];
+}
+
+/**
+ * { factors: [{ key, label, levels: [compareProportions arm + { key, label }] }],
+ *   interactions: [{ a, b, cells: { "<aLevel>|<bLevel>": { k, n } }, contrasts: [{ aLevel, bLevel, diff, lo, hi, p }] }],
+ *   units, untagged }
+ */
+export function analyzeFactorial(allEvents, experiment, { unit = "session", metric = "joined" } = {}) {
+  const factors = analysisFactors(experiment);
+  const viewed = buildUnits(allEvents, experiment, { unit }).filter((u) => u.viewed);
+  const tagged = viewed.filter((u) => factors.every((f) => f.levels.some((l) => l.key === levelOf(u, f.key))));
+
+  const mainEffects = factors.map((f) => {
+    const arms = f.levels.map((l) => arm(tagged.filter((u) => levelOf(u, f.key) === l.key), metric));
+    const compared = compareProportions(arms);
+    return { key: f.key, label: f.label, levels: f.levels.map((l, i) => ({ ...compared[i], key: l.key, label: l.label })) };
+  });
+
+  const interactions = [];
+  for (let i = 0; i < factors.length; i++) {
+    for (let j = i + 1; j < factors.length; j++) {
+      const [A, B] = [factors[i], factors[j]];
+      const cells = {};
+      for (const a of A.levels) {
+        for (const b of B.levels) {
+          cells[`${a.key}|${b.key}`] = arm(tagged.filter((u) => levelOf(u, A.key) === a.key && levelOf(u, B.key) === b.key), metric);
+        }
+      }
+      const [a0, b0] = [A.levels[0].key, B.levels[0].key];
+      const contrasts = [];
+      for (const a of A.levels.slice(1)) {
+        for (const b of B.levels.slice(1)) {
+          const c = interactionContrast([cells[`${a0}|${b0}`], cells[`${a0}|${b.key}`], cells[`${a.key}|${b0}`], cells[`${a.key}|${b.key}`]]);
+          contrasts.push({ aLevel: a.key, bLevel: b.key, ...(c || { diff: null, lo: null, hi: null, p: null }) });
+        }
+      }
+      interactions.push({ a: A, b: B, cells, contrasts });
+    }
+  }
+
+  return { factors: mainEffects, interactions, units: tagged.length, untagged: viewed.length - tagged.length };
+}
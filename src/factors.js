@@ -0,0 +1,102 @@
+/**
+ * Messaging & fence factors (multivariate tests)
+ * ----------------------------------------------------
+ * Besides price, an experiment can vary what the plan card says and offers.
+ * Each factor has a catalog of levels here; an experiment lists the factors it
+ * tests and which of their levels (at least two):
+ *
+ *   factors: [{ key: "anchor", levels: ["shown", "hidden"] }, …]
+ *
+ * Visitors get one level per factor, independently of each other and of the
+ * price (assignment.js), so every price × level combination is reachable — a
+ * full factorial. Factors an experiment doesn't test show their control
+ * level. Plan events carry the levels shown as `factors: { <factor>: <level> }`.
+ */
+
+export const FACTORS = [
+  {
+    key: "copy",
+    label: "Headline copy",
+    levels: [
+      { key: "control", label: "Everything in Premium, plus…", tagline: "Everything in Premium plus Surveys and Built‑in Reporting." },
+      { key: "outcomes", label: "Resident outcomes", tagline: "Hear from residents and report results to council — without extra tools." },
+      { key: "consolidation", label: "Tool consolidation", tagline: "Replace separate survey and reporting tools with one subscription." },
+    ],
+  },
+  {
+    key: "features",
+    label: "Feature list",
+    levels: [
+      {
+        key: "control",
+        label: "Capabilities",
+        features: [
+          { title: "Surveys", detail: "with branching, quotas, and templates" },
+          { title: "Built‑in analytics & dashboards", detail: "(filters, scheduled email reports)" },
+          { title: "Advanced builder", detail: "(reusable blocks, advanced validation)" },
+        ],
+      },
+      {
+        key: "jobs",
+        label: "Jobs to be done",
+        features: [
+          { title: "Resident surveys", detail: "from ready‑made service feedback templates" },
+          { title: "Council‑ready reports", detail: "scheduled by email, no spreadsheets" },
+          { title: "Reusable form blocks", detail: "so every department stays consistent" },
+        ],
+      },
+    ],
+  },
+  {
+    key: "fences",
+    label: "Feature fences",
+    levels: [
+      { key: "control", label: "Pooled · SSO add-on · 7y", fences: { submissions: "Pooled", sso: "Add-on", retention: 7 } },
+      { key: "sso-included", label: "Pooled · SSO included · 7y", fences: { submissions: "Pooled", sso: "Included", retention: 7 } },
+      { key: "lean", label: "Per-form · SSO add-on · 3y", fences: { submissions: "Per-form", sso: "Add-on", retention: 3 } },
+    ],
+  },
+  {
+    key: "anchor",
+    label: "Anchor display",
+    levels: [
+      { key: "shown", label: "Show \"Premium is $X\"", showAnchor: true },
+      { key: "hidden", label: "Hide the Premium price", showAnchor: false },
+    ],
+  },
+];
+
+export function findFactor(key) {
+  return FACTORS.find((f) => f.key === key) || null;
+}
+
+/** The experiment's tested factors with their levels resolved from the catalog: [{ key, label, levels }]. */
+export function experimentFactors(experiment) {
+  return (experiment.factors || [])
+    .map((f) => {
+      const factor = findFactor(f.key);
+      if (!factor) return null;
+      return { ...factor, levels: factor.levels.filter((l) => f.levels.includes(l.key)) };
+    })
+    .filter((f) => f && f.levels.length >= 2);
+}
+
+/** What to render for an assignment ({ factor: level }): one resolved level per catalog factor. */
+export function resolveLevels(assignment = {}) {
+  return Object.fromEntries(FACTORS.map((f) => [f.key, f.levels.find((l) => l.key === assignment[f.key]) || f.levels[0]]));
+}
+
+/** The fences as logged on CTA events, e.g. ["Submissions:Pooled", "SSO:Add-on", "Retention:7y"]. */
+export function fenceList(fences) {
+  return [`Submissions:${fences.submissions}`, `SSO:${fences.sso}`, `Retention:${fences.retention}y`];
+}
+
+export function validateFactors(experiment) {
+  const errors = [];
+  for (const f of experiment.factors || []) {
+    const factor = findFactor(f.key);
+    if (!factor) errors.push(`Unknown factor "${f.key}".`);
+    else if (f.levels.filter((l) => factor.levels.some((x) => x.key === l)).length < 2) errors.push(`${factor.label} needs at least two levels.`);
+  }
+  return errors;
+}
@@ -0,0 +1,59 @@
+/**
+ * Purchase-intent funnel
+ * ----------------------------------------------------
+ *   View → CTA / upsell tile → Early Access modal open → EA Join
+ *
+ * Counts are per price variant and counting unit (see metrics.js). Step conversion is step / previous step;
+ * overall conversion is step / views. Modal diagnostics (dismissals, dismissals
+ * before touching any field, validation failures) explain the modal → join drop.
+ */
+
+import { eventsForExperiment, variantPrices } from "./experiments.js";
+import { countDistinct, dedupeJoins, eventPrice } from "./metrics.js";
+
+export const FUNNEL_STEPS = [
+  { key: "viewed", label: "View", events: ["PricingPlanViewed"] },
+  { key: "engaged", label: "CTA / Tile", events: ["PricingPlanCTA", "UpsellTileClicked"] },
+  { key: "modal", label: "Modal open", events: ["EarlyAccessModalOpened"] },
+  { key: "joined", label: "EA Join", events: ["EarlyAccessJoin"] },
+];
+
+export function buildFunnel(allEvents, experiment, { unit = "event" } = {}) {
+  const scoped = eventsForExperiment(allEvents, experiment);
+  const joins = dedupeJoins(scoped.filter((e) => e.event === "EarlyAccessJoin"), { perPrice: true });
+  const events = scoped.filter((e) => e.event !== "EarlyAccessJoin").concat(joins);
+  return variantPrices(experiment).map((price) => {
+    const own = events.filter((e) => eventPrice(e) === price);
+    const counts = FUNNEL_STEPS.map((step) => countDistinct(own.filter((e) => step.events.includes(e.event)), unit));
+    const steps = FUNNEL_STEPS.map((step, i) => {
+      const prev = i === 0 ? null : counts[i - 1];
+      return {
+        ...step,
+        count: counts[i],
+        stepRate: prev ? counts[i] / prev : null,
+        dropOff: prev ? 1 - counts[i] / prev : null,
+        overallRate: counts[0] ? counts[i] / counts[0] : null,
+      };
+    });
+    const dismissed = own.filter((e) => e.event === "EarlyAccessModalDismissed");
+    const abandonedUntouched = dismissed.filter((e) => !(e.properties.fields_touched || []).length).length;
+    return {
+      price,
+      steps,
+      modal: {
+        opened: counts[2],
+        dismissed: dismissed.length,
+        abandonedUntouched,
+        validationFailed: own.filter((e) => e.event === "EarlyAccessValidationFailed").length,
+        medianMsOpen: median(dismissed.map((e) => e.properties.ms_open).filter((ms) => typeof ms === "number")),
+      },
+    };
+  });
+}
+
+function median(list) {
+  if (!list.length) return null;
+  const sorted = list.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
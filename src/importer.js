@@ -0,0 +1,201 @@
+/**
+ * Event import & merge
+ * ----------------------------------------------------
+ * Reads event exports from other browsers or the collector and merges them
+ * into this browser's log without double counting.
+ *
+ * Accepted formats (detected from the file name, then the content):
+ *  - JSON    → an array of events, or { events: [...] } (Export JSON, collector JSON)
+ *  - NDJSON  → one event per line (collector/events.ndjson)
+ *  - CSV     → header row; event_id, timestamp, event, visitor_id, session_id
+ *              and internal are top-level, `properties` and `attribution`
+ *              columns may hold JSON, and any other column becomes a
+ *              property (numeric strings → numbers)
+ *
+ * Older schema versions are migrated (schema.js) before preview and merge;
+ * contact details on consented pre-v3 joins are split off as lead records, and
+ * dropped from the others.
+ *
+ * Identity: `event_id` when present, otherwise timestamp + name + properties,
+ * so the same pre-id event exported from two laptops is still recognised.
+ */
+
+import { loadEvents, saveEvents } from "./events.js";
+import { addLeads, leadsFromEvents } from "./leads.js";
+import { migrateEvent } from "./schema.js";
+
+const TOP_LEVEL = ["event_id", "timestamp", "event", "visitor_id", "session_id", "internal", "attribution"];
+
+export function detectFormat(text, filename = "") {
+  const ext = filename.toLowerCase().split(".").pop();
+  if (ext === "csv") return "csv";
+  if (ext === "ndjson" || ext === "jsonl") return "ndjson";
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[")) return "json";
+  if (trimmed.startsWith("{")) {
+    try {
+      JSON.parse(trimmed);
+      return "json";
+    } catch {
+      return "ndjson";
+    }
+  }
+  return "csv";
+}
+
+// RFC 4180: quoted fields, doubled quotes, newlines inside quotes.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c !== ""));
+}
+
+function csvValue(raw) {
+  if (raw === "") return undefined;
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(raw)) return Number(raw); // "01234" stays a string
+  if (raw === "true" || raw === "false") return raw === "true";
+  return raw;
+}
+
+// Rows with a malformed JSON cell (properties, attribution) are reported in `invalid` and come back as null
+function csvToEvents(text, invalid) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  return rows.map((cells, row) => {
+    const evt = { properties: {} };
+    let column = null;
+    try {
+      header.forEach((col, i) => {
+        column = col.trim();
+        const name = column.replace(/^properties\./, "");
+        const raw = cells[i] ?? "";
+        if (TOP_LEVEL.includes(column)) {
+          if (raw === "") return;
+          evt[column] = column === "internal" ? raw === "true" : column === "attribution" ? JSON.parse(raw) : raw;
+        } else if (name === "properties") {
+          if (raw) Object.assign(evt.properties, JSON.parse(raw));
+        } else {
+          const v = csvValue(raw);
+          if (v !== undefined) evt.properties[name] = v;
+        }
+      });
+    } catch (err) {
+      invalid.push({ row: row + 1, message: `invalid JSON in ${column} (${err.message})` });
+      return null;
+    }
+    return evt;
+  });
+}
+
+function validate(evt) {
+  if (!evt || typeof evt !== "object") return "not an object";
+  if (typeof evt.event !== "string" || !evt.event) return "missing event name";
+  if (!evt.timestamp || Number.isNaN(Date.parse(evt.timestamp))) return "missing or invalid timestamp";
+  if (evt.properties != null && typeof evt.properties !== "object") return "properties is not an object";
+  return null;
+}
+
+/** Returns { format, events, leads, invalid: [{ row, message }] } for one file's text. */
+export function parseEventFile(text, filename = "") {
+  const format = detectFormat(text, filename);
+  let candidates = [];
+  const invalid = [];
+  if (format === "json") {
+    const data = JSON.parse(text);
+    candidates = Array.isArray(data) ? data : data.events || [];
+  } else if (format === "ndjson") {
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        candidates.push(JSON.parse(line));
+      } catch (err) {
+        invalid.push({ row: i + 1, message: `invalid JSON (${err.message})` });
+        candidates.push(null);
+      }
+    });
+  } else {
+    candidates = csvToEvents(text, invalid);
+  }
+  const raw = [];
+  candidates.forEach((evt, i) => {
+    if (evt === null) return; // already reported
+    const problem = validate(evt);
+    if (problem) invalid.push({ row: i + 1, message: problem });
+    else {
+      const { received_at, ...rest } = evt; // collector bookkeeping, not part of the event
+      raw.push({ ...rest, properties: evt.properties || {} });
+    }
+  });
+  return { format, events: raw.map(migrateEvent), leads: leadsFromEvents(raw), invalid };
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function eventIdentity(evt) {
+  return evt.event_id || `${evt.timestamp}|${evt.event}|${stableStringify(evt.properties || {})}`;
+}
+
+/** Splits `incoming` into events new to `existing` and duplicates (also within `incoming`). */
+export function planMerge(existing, incoming) {
+  const seen = new Set(existing.map(eventIdentity));
+  const toAdd = [];
+  let duplicates = 0;
+  for (const evt of incoming) {
+    const id = eventIdentity(evt);
+    if (seen.has(id)) duplicates += 1;
+    else {
+      seen.add(id);
+      toAdd.push(evt);
+    }
+  }
+  return { toAdd, duplicates };
+}
+
+/**
+ * Appends the new events to the local log, keeping it in time order, and any
+ * lead records to the lead store. Returns how many events were added.
+ */
+export function mergeIntoLocalStore(incoming, leads = []) {
+  if (leads.length) addLeads(leads);
+  const existing = loadEvents();
+  const { toAdd } = planMerge(existing, incoming);
+  if (toAdd.length) {
+    saveEvents(existing.concat(toAdd).sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp)));
+  }
+  return toAdd.length;
+}
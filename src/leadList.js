@@ -0,0 +1,156 @@
+/**
+ * Early Access lead list (#/leads)
+ * ----------------------------------------------------
+ * One row per EarlyAccessJoin in this browser's log, with contact details
+ * looked up in the lead store (leads.js) — joins without consent have none.
+ *
+ *  - Duplicates: rows sharing an email, or failing that an organization, can
+ *    be merged into one lead (transitively: A~B by email, B~C by org → one).
+ *  - Domain flag: work emails outside government domains are flagged.
+ *  - Score (0–100): persona fit (up to 40) + municipality size (up to 60).
+ *  - CSV: one row per lead with contact details, in the column names most
+ *    CRMs map automatically on import.
+ */
+
+import { normalizeEmail } from "./hash.js";
+import { leadIds } from "./leads.js";
+
+const PERSONA_SCORE = { "IT Manager": 40, "City Clerk": 30, "Department Admin": 25, Analyst: 15 };
+const BAND_SCORE = { "<10k": 10, "10k–50k": 25, "50k–150k": 40, "150k–500k": 50, ">500k": 60 };
+
+export const SCORE_TIERS = [
+  { min: 70, label: "Hot", className: "bg-rose-100 text-rose-800" },
+  { min: 45, label: "Warm", className: "bg-amber-100 text-amber-800" },
+  { min: 0, label: "Cold", className: "bg-slate-100 text-slate-700" },
+];
+
+// .gov / .mil, country government zones (gov.uk, gc.ca, gouv.fr, govt.nz …) and US state / local (.us)
+const GOVERNMENT_DOMAIN = /(\.|^)(gov|mil|us)$|(\.|^)(gov|govt|gob|gouv|go|gc)\.[a-z]{2}$/;
+
+export function emailDomain(email) {
+  const normalized = normalizeEmail(email);
+  const at = normalized.lastIndexOf("@");
+  return at === -1 ? "" : normalized.slice(at + 1);
+}
+
+export function isGovernmentEmail(email) {
+  return GOVERNMENT_DOMAIN.test(emailDomain(email));
+}
+
+/** Size component of the score; also orders bands smallest → largest. */
+export function bandScore(band) {
+  return BAND_SCORE[band] || 0;
+}
+
+export function leadScore({ persona, population_band }) {
+  return (PERSONA_SCORE[persona] || 0) + bandScore(population_band);
+}
+
+export function scoreTier(score) {
+  return SCORE_TIERS.find((t) => score >= t.min);
+}
+
+/** Join events → rows: { id, timestamp, org, email, persona, population_band, price, consent, experiment_id, score, nonGov }. */
+export function buildLeadRows(events, leads) {
+  const byId = new Map();
+  for (const lead of leads) for (const id of leadIds(lead)) byId.set(id, lead);
+  return events
+    .filter((e) => e.event === "EarlyAccessJoin")
+    .map((e) => {
+      const p = e.properties;
+      const lead = byId.get(p.lead_id);
+      const email = lead ? lead.email : "";
+      return {
+        id: e.event_id || `${e.timestamp}|${p.lead_id}`,
+        timestamp: e.timestamp,
+        org: lead ? lead.org : "",
+        email,
+        leadId: lead ? lead.lead_id : null,
+        persona: p.persona,
+        population_band: p.population_band,
+        price: p.price,
+        consent: !!p.consent,
+        experiment_id: p.experiment_id,
+        score: leadScore(p),
+        nonGov: !!email && !isGovernmentEmail(email),
+      };
+    });
+}
+
+/**
+ * Groups rows that share an email or an organization. Each group keeps its
+ * latest join's persona / band (and score) and latest email, with any other
+ * addresses in `otherEmails`, and lists every price quoted.
+ */
+export function mergeDuplicateRows(rows) {
+  const parent = rows.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const firstWith = new Map();
+  rows.forEach((row, i) => {
+    const keys = [];
+    if (row.email) keys.push(`email:${normalizeEmail(row.email)}`);
+    if (row.org) keys.push(`org:${row.org.trim().toLowerCase()}`);
+    for (const key of keys) {
+      if (firstWith.has(key)) parent[find(i)] = find(firstWith.get(key));
+      else firstWith.set(key, i);
+    }
+  });
+
+  const groups = new Map();
+  rows.forEach((row, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(row);
+  });
+  return Array.from(groups.values(), (group) => {
+    const sorted = group.slice().sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    const latest = sorted[sorted.length - 1];
+    const withContact = sorted.filter((r) => r.email);
+    const primary = withContact[withContact.length - 1];
+    const emails = Array.from(new Set(withContact.map((r) => r.email)));
+    return {
+      ...latest,
+      id: sorted.map((r) => r.id).join("+"),
+      email: primary ? primary.email : "",
+      otherEmails: emails.filter((e) => !primary || e !== primary.email),
+      leadId: primary ? primary.leadId : null,
+      org: sorted.map((r) => r.org).filter(Boolean).pop() || "",
+      firstTimestamp: sorted[0].timestamp,
+      prices: Array.from(new Set(sorted.map((r) => r.price))),
+      joins: sorted.length,
+      consent: sorted.some((r) => r.consent),
+      nonGov: emails.some((e) => !isGovernmentEmail(e)),
+    };
+  });
+}
+
+function csvField(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const CSV_COLUMNS = [
+  ["Email", (r) => r.email],
+  ["Company", (r) => r.org],
+  ["Job Title", (r) => r.persona],
+  ["Population Band", (r) => r.population_band],
+  ["Quoted Price (USD)", (r) => (r.prices || [r.price]).join(" / ")],
+  ["Lead Score", (r) => r.score],
+  ["Lead Rating", (r) => scoreTier(r.score).label],
+  ["Government Domain", (r) => (r.nonGov ? "No" : "Yes")],
+  ["Lead Source", () => "Premium Plus Early Access"],
+  ["Campaign", (r) => r.experiment_id],
+  ["Created Date", (r) => r.firstTimestamp || r.timestamp],
+  ["Last Activity Date", (r) => r.timestamp],
+  ["Marketing Consent", (r) => (r.consent ? "Yes" : "No")],
+];
+
+/** CSV for CRM import; rows without an email (no consent) can't be contacted and are left out. */
+export function leadsToCsv(rows) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(",")];
+  for (const row of rows) {
+    if (!row.email) continue;
+    lines.push(CSV_COLUMNS.map(([, get]) => csvField(get(row))).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
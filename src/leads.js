@@ -0,0 +1,185 @@
+/**
+ * Early Access leads (PII) and privacy settings
+ * ----------------------------------------------------
+ * Contact details live only in this browser's lead store (`pp_leads`), never
+ * in the analytics log. An EarlyAccessJoin carries:
+ *  - `lead_id`    → the lead record, when the visitor consented to follow-up
+ *  - `email_hash` → SHA-256 of the normalised email, so repeat joins are
+ *                   still de-duplicated across browsers and exports; only
+ *                   logged with consent
+ *  - `consent`    → whether the consent box was ticked
+ *
+ * Leads are upserted by email. Each one is purged after the configured
+ * retention period, or on request via deleteLead(); either way the join events
+ * in this browser's log that carry its lead id or email hash lose the hash and
+ * get a fresh, unlinkable `lead_id`. Past the retention period a join loses its
+ * hash even without a lead record (e.g. one imported from another browser).
+ * The hash is unsalted (it must match across browsers), so with the "redact"
+ * setting it is dropped from exports and from events sent to the collector or
+ * an embedding page (exportableEvents).
+ */
+
+import { loadEvents, newEventId, saveEvents } from "./events.js";
+import { emailHash, normalizeEmail } from "./hash.js";
+import { legacyLeadId } from "./schema.js";
+
+const LEADS_KEY = "pp_leads";
+const PRIVACY_KEY = "pp_privacy";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EXPORT_EMAIL_MODES = [
+  { key: "hash", label: "Hashed (email_hash kept)" },
+  { key: "redact", label: "Redacted (email_hash removed)" },
+];
+
+export const DEFAULT_PRIVACY = { retentionDays: 180, exportEmail: "hash" };
+
+export function newLeadId() {
+  return `lead-${newEventId()}`;
+}
+
+// ----------------------------- settings -----------------------------
+export function loadPrivacySettings() {
+  try {
+    return { ...DEFAULT_PRIVACY, ...JSON.parse(localStorage.getItem(PRIVACY_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_PRIVACY };
+  }
+}
+export function savePrivacySettings(settings) {
+  localStorage.setItem(PRIVACY_KEY, JSON.stringify(settings));
+}
+
+// ----------------------------- lead store -----------------------------
+export function loadLeads() {
+  try {
+    return JSON.parse(localStorage.getItem(LEADS_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+export function saveLeads(leads) {
+  localStorage.setItem(LEADS_KEY, JSON.stringify(leads));
+}
+
+/** Adds or refreshes the lead for `fields.email`; returns the stored record. */
+export function upsertLead(fields, now = new Date()) {
+  const leads = loadLeads();
+  const email = normalizeEmail(fields.email);
+  const existing = leads.find((l) => normalizeEmail(l.email) === email);
+  const at = now.toISOString();
+  if (existing) {
+    Object.assign(existing, fields, { email: fields.email.trim(), last_joined_at: at });
+    saveLeads(leads);
+    return existing;
+  }
+  const lead = { lead_id: newLeadId(), ...fields, email: fields.email.trim(), created_at: at, last_joined_at: at };
+  leads.push(lead);
+  saveLeads(leads);
+  return lead;
+}
+
+/**
+ * Lead records for consented joins logged before the lead store existed (schema
+ * v2 and earlier kept `email` / `org` on the event); joins without consent
+ * leave no record. Ids match schema.js's migration.
+ */
+export function leadsFromEvents(events) {
+  return events
+    .filter((e) => e.event === "EarlyAccessJoin" && e.properties && e.properties.email && e.properties.consent === true)
+    .map((e) => {
+      const p = e.properties;
+      return {
+        lead_id: legacyLeadId(p.email),
+        email: String(p.email).trim(),
+        org: p.org || "",
+        persona: p.persona,
+        population_band: p.population_band || p.municipality_size,
+        experiment_id: p.experiment_id,
+        price: p.price ?? p.quoted_price,
+        consent: true,
+        created_at: e.timestamp,
+        last_joined_at: e.timestamp,
+      };
+    });
+}
+
+/**
+ * Merges lead records (e.g. from an import) into the store by email; returns how many were new.
+ * A merged record keeps the other ids in `aliases` so their join events still resolve to it.
+ */
+export function addLeads(incoming) {
+  const leads = loadLeads();
+  let added = 0;
+  for (const lead of incoming) {
+    const existing = leads.find((l) => normalizeEmail(l.email) === normalizeEmail(lead.email));
+    if (existing) {
+      if (lead.created_at < existing.created_at) existing.created_at = lead.created_at;
+      if (lead.last_joined_at > existing.last_joined_at) existing.last_joined_at = lead.last_joined_at;
+      if (lead.lead_id !== existing.lead_id && !(existing.aliases || []).includes(lead.lead_id)) {
+        existing.aliases = [...(existing.aliases || []), lead.lead_id];
+      }
+    } else {
+      leads.push(lead);
+      added += 1;
+    }
+  }
+  saveLeads(leads);
+  return added;
+}
+
+// Unlinks analytics events from removed leads (by lead id or email hash) and drops
+// the hash from joins older than `before`: swap the lead id, remove the hash.
+function anonymizeEvents(leads, before = null) {
+  const replacement = Object.fromEntries(leads.flatMap(leadIds).map((id) => [id, newLeadId()]));
+  const hashes = new Set(leads.map((l) => emailHash(l.email)));
+  const events = loadEvents();
+  let changed = false;
+  for (const e of events) {
+    if (e.event !== "EarlyAccessJoin") continue;
+    const { lead_id: id, email_hash: hash } = e.properties;
+    const linked = Boolean(replacement[id]) || (hash != null && hashes.has(hash));
+    const expired = hash != null && before != null && Date.parse(e.timestamp) <= before;
+    if (linked || expired) {
+      const { email_hash, ...rest } = e.properties;
+      e.properties = linked ? { ...rest, lead_id: replacement[id] || newLeadId() } : rest;
+      changed = true;
+    }
+  }
+  if (changed) saveEvents(events);
+}
+
+export function leadIds(lead) {
+  return [lead.lead_id, ...(lead.aliases || [])];
+}
+
+export function deleteLead(leadId) {
+  const leads = loadLeads();
+  const lead = leads.find((l) => l.lead_id === leadId);
+  if (!lead) return;
+  saveLeads(leads.filter((l) => l !== lead));
+  anonymizeEvents([lead]);
+}
+
+export function leadExpiresAt(lead, settings = loadPrivacySettings()) {
+  return Date.parse(lead.created_at) + settings.retentionDays * DAY_MS;
+}
+
+/** Removes leads past the retention period, and email hashes from joins that old; returns how many leads were purged. */
+export function purgeExpiredLeads(now = Date.now(), settings = loadPrivacySettings()) {
+  const leads = loadLeads();
+  const expired = leads.filter((l) => leadExpiresAt(l, settings) <= now);
+  if (expired.length) saveLeads(leads.filter((l) => leadExpiresAt(l, settings) > now));
+  anonymizeEvents(expired, now - settings.retentionDays * DAY_MS);
+  return expired.length;
+}
+
+/** Analytics events as they should leave the browser: in an export, to the collector or to an embedding page. */
+export function exportableEvents(events, settings = loadPrivacySettings()) {
+  if (settings.exportEmail !== "redact") return events;
+  return events.map((e) => {
+    if (!e.properties || !("email_hash" in e.properties)) return e;
+    const { email_hash, ...rest } = e.properties;
+    return { ...e, properties: rest };
+  });
+}
@@ -0,0 +1,251 @@
+/**
+ * Experiment lifecycle, power planning and stopping rules
+ * ----------------------------------------------------
+ * An experiment moves draft → running ⇄ paused → concluded. Only a running
+ * experiment records anything: the plan pages of the other states are
+ * previews. Starting sets `startDate` (if none was planned); concluding sets
+ * `endDate` and archives a frozen results snapshot in `conclusion`, after
+ * which the experiment can't be restarted. Experiments saved before the
+ * lifecycle existed have no `status` and count as running.
+ *
+ * The target sample comes from the planned baseline QSR and the minimum
+ * detectable effect (relative), per arm, for a two-sided test of every
+ * variant against the control (the first variant), with α split across those
+ * comparisons (Bonferroni). Progress counts unique visitors who viewed the
+ * plan since `startDate`.
+ *
+ * A running or paused experiment is "ready to conclude" when any rule fires:
+ *  - the target sample is reached in every arm (final analysis);
+ *  - sequential stopping: a variant crosses its O'Brien–Fleming-type boundary
+ *    z ≥ z(1 − α/2) / √t, where t is the fraction of the target collected;
+ *  - a guardrail: a variant's CTA/View is significantly lower than the
+ *    control's, by more than the allowed relative drop;
+ *  - the planned end date has passed.
+ * A sample-ratio mismatch is reported alongside but never concludes a test.
+ */
+
+import { eventsForExperiment, trafficShares, variantPrices } from "./experiments.js";
+import { filterByDateRange, summarize } from "./metrics.js";
+import { chiSquareGoodnessOfFit, compareProportions, normalQuantile, sampleSizePerArm, twoProportionZTest } from "./stats.js";
+
+export const LIFECYCLE_STATES = [
+  { key: "draft", label: "Draft", cls: "bg-slate-100 text-slate-700" },
+  { key: "running", label: "Running", cls: "bg-emerald-100 text-emerald-800" },
+  { key: "paused", label: "Paused", cls: "bg-amber-100 text-amber-800" },
+  { key: "concluded", label: "Concluded", cls: "bg-indigo-100 text-indigo-800" },
+];
+
+// Concluding goes through concludeExperiment(), which needs the results to archive.
+const TRANSITIONS = {
+  draft: [{ to: "running", label: "Start" }],
+  running: [{ to: "paused", label: "Pause" }],
+  paused: [{ to: "running", label: "Resume" }],
+  concluded: [],
+};
+
+export const STOPPING_METHODS = [
+  { key: "sequential", label: "Sequential (may stop early at a boundary)" },
+  { key: "fixed", label: "Fixed horizon (analyse once at the target)" },
+];
+
+export const DEFAULT_POWER = { baselineQsr: 0.05, mde: 0.2, alpha: 0.05, power: 0.8 };
+export const DEFAULT_STOPPING = { method: "sequential", guardrailDrop: 0.2 };
+
+const GUARDRAIL_ALPHA = 0.05;
+const SRM_ALPHA = 0.001;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function experimentStatus(experiment) {
+  return experiment.status || "running";
+}
+
+export function statusInfo(experiment) {
+  return LIFECYCLE_STATES.find((s) => s.key === experimentStatus(experiment));
+}
+
+/** Only running experiments log events, assign visitors or store leads. */
+export function isCollecting(experiment) {
+  return experimentStatus(experiment) === "running";
+}
+
+export function availableTransitions(experiment) {
+  return TRANSITIONS[experimentStatus(experiment)];
+}
+
+/** Local calendar date, "YYYY-MM-DD" (the Dashboard's date-range format). */
+export function isoDate(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+export function transition(experiment, to, now = new Date()) {
+  if (!availableTransitions(experiment).some((t) => t.to === to)) {
+    throw new Error(`Can't move a ${experimentStatus(experiment)} experiment to ${to}.`);
+  }
+  return {
+    ...experiment,
+    status: to,
+    startDate: to === "running" && !experiment.startDate ? isoDate(now) : experiment.startDate,
+    history: (experiment.history || []).concat([{ status: to, at: now.toISOString() }]),
+  };
+}
+
+// ----------------------------- power planning -----------------------------
+export function powerSettings(experiment) {
+  return { ...DEFAULT_POWER, ...(experiment.power || {}) };
+}
+export function stoppingSettings(experiment) {
+  return { ...DEFAULT_STOPPING, ...(experiment.stopping || {}) };
+}
+
+/** Target sample for the planned effect: { baselineQsr, targetQsr, comparisons, alphaPerTest, perArm, total }. */
+export function samplePlan(experiment) {
+  const s = powerSettings(experiment);
+  const comparisons = Math.max(1, experiment.variants.length - 1);
+  const alphaPerTest = s.alpha / comparisons;
+  const targetQsr = s.baselineQsr * (1 + s.mde);
+  const perArm = sampleSizePerArm(s.baselineQsr, targetQsr, { alpha: alphaPerTest, power: s.power });
+  return { ...s, targetQsr, comparisons, alphaPerTest, perArm, total: perArm == null ? null : perArm * experiment.variants.length };
+}
+
+/** Problems with the schedule and power settings; empty when usable. */
+export function validateLifecycle(experiment) {
+  const errors = [];
+  if (experiment.startDate && experiment.endDate && experiment.endDate < experiment.startDate) errors.push("The end date must be on or after the start date.");
+  const s = powerSettings(experiment);
+  if (!(s.baselineQsr > 0 && s.baselineQsr < 1)) errors.push("Baseline QSR must be between 0% and 100%.");
+  else if (!(s.mde > 0) || s.baselineQsr * (1 + s.mde) >= 1) errors.push("The minimum detectable effect must be positive and keep the QSR below 100%.");
+  const g = stoppingSettings(experiment).guardrailDrop;
+  if (!(g > 0 && g < 1)) errors.push("The guardrail drop must be between 0% and 100%.");
+  return errors;
+}
+
+// ----------------------------- stopping rules -----------------------------
+/**
+ * Progress and stopping rules for one experiment, from the events since its start date.
+ * Returns { plan, arms, fraction, boundary, rules, ready, srm, daysElapsed, daysRemaining, recommendation }.
+ */
+export function evaluateExperiment(events, experiment, { now = Date.now() } = {}) {
+  const scoped = filterByDateRange(eventsForExperiment(events, experiment), { from: experiment.startDate || "", to: "" });
+  const summary = summarize(scoped, experiment, { unit: "visitor" });
+  const plan = samplePlan(experiment);
+  const stopping = stoppingSettings(experiment);
+  const prices = variantPrices(experiment);
+
+  const qsr = compareProportions(prices.map((p) => ({ k: Math.min(summary.byPrice[p].joined, summary.byPrice[p].viewed), n: summary.byPrice[p].viewed })));
+  const arms = prices.map((price, i) => {
+    const row = summary.byPrice[price];
+    return {
+      price,
+      viewed: row.viewed,
+      cta: Math.min(row.cta, row.viewed),
+      joined: Math.min(row.joined, row.viewed),
+      ...qsr[i],
+      progress: plan.perArm ? Math.min(1, row.viewed / plan.perArm) : 0,
+    };
+  });
+  const fraction = arms.length ? Math.min(...arms.map((a) => a.progress)) : 0;
+  const zFinal = normalQuantile(1 - plan.alphaPerTest / 2);
+  const boundary = fraction > 0 ? zFinal / Math.sqrt(fraction) : null;
+  const control = arms[0];
+  const challengers = arms.slice(1);
+
+  const crossed = challengers.filter((a) => !a.tooSmall && boundary != null && Math.abs(a.z) >= boundary);
+  const significant = challengers.filter((a) => !a.tooSmall && a.p != null && a.p < plan.alphaPerTest);
+  const guardrail = challengers.filter((a) => {
+    if (!control.viewed || !a.viewed || !control.cta) return false;
+    const base = control.cta / control.viewed;
+    const drop = (base - a.cta / a.viewed) / base;
+    const test = twoProportionZTest(control.cta, control.viewed, a.cta, a.viewed);
+    return drop > stopping.guardrailDrop && test.p != null && test.p < GUARDRAIL_ALPHA;
+  });
+  const today = new Date(now);
+  const pastEnd = !!experiment.endDate && isoDate(today) > experiment.endDate;
+
+  const fmt = (list) => list.map((a) => a.price).join(", ");
+  const rules = [
+    {
+      key: "sample",
+      label: `Target sample (${plan.perArm == null ? "—" : plan.perArm.toLocaleString()} visitors per variant)`,
+      fired: fraction >= 1,
+      detail: `${Math.round(fraction * 100)}% of the target in the slowest arm`,
+    },
+    stopping.method === "sequential" && {
+      key: "efficacy",
+      label: "Sequential boundary on QSR",
+      fired: crossed.length > 0,
+      detail: boundary == null ? "no data yet" : crossed.length ? `crossed by ${fmt(crossed)} (|z| ≥ ${boundary.toFixed(2)})` : `needs |z| ≥ ${boundary.toFixed(2)} at this sample`,
+    },
+    {
+      key: "guardrail",
+      label: `Guardrail: CTA/View no more than ${Math.round(stopping.guardrailDrop * 100)}% below control`,
+      fired: guardrail.length > 0,
+      detail: guardrail.length ? `breached by ${fmt(guardrail)}` : "holding",
+    },
+    {
+      key: "end",
+      label: "Planned end date",
+      fired: pastEnd,
+      detail: experiment.endDate ? (pastEnd ? `passed (${experiment.endDate})` : `on ${experiment.endDate}`) : "none set",
+    },
+  ].filter(Boolean);
+
+  const assigned = scoped.filter((e) => e.event === "VariantAssigned");
+  const srmTest = chiSquareGoodnessOfFit(
+    prices.map((p) => assigned.filter((e) => e.properties.assigned_price === p).length),
+    trafficShares(experiment)
+  );
+
+  const start = experiment.startDate ? new Date(`${experiment.startDate}T00:00:00`).getTime() : scoped.length ? Math.min(...scoped.map((e) => Date.parse(e.timestamp))) : now;
+  const daysElapsed = Math.max(0, (now - start) / DAY_MS);
+  const perDay = daysElapsed >= 1 ? arms.map((a) => a.viewed / daysElapsed) : null;
+  const daysRemaining =
+    plan.perArm == null || !perDay ? null : Math.max(0, ...arms.map((a, i) => (perDay[i] ? (plan.perArm - a.viewed) / perDay[i] : Infinity)));
+
+  // Highest QSR among variants that beat the control under the active rule, else keep the control
+  const winners = (stopping.method === "sequential" ? crossed : fraction >= 1 ? significant : []).filter((a) => a.diff > 0);
+  const recommendation = winners.length ? winners.reduce((a, b) => (b.rate > a.rate ? b : a)).price : control ? control.price : null;
+
+  return {
+    plan,
+    stopping,
+    arms,
+    fraction,
+    boundary,
+    rules,
+    ready: ["running", "paused"].includes(experimentStatus(experiment)) && rules.some((r) => r.fired),
+    srm: { ...srmTest, mismatch: srmTest.p != null && srmTest.p < SRM_ALPHA },
+    visitors: summary.viewed,
+    daysElapsed,
+    daysRemaining,
+    recommendation,
+  };
+}
+
+/** Concludes the experiment, freezing `evaluation` (from evaluateExperiment) as its archived results. */
+export function concludeExperiment(experiment, evaluation, { decision, note = "", source = "local", now = new Date() } = {}) {
+  if (!["running", "paused"].includes(experimentStatus(experiment))) {
+    throw new Error(`Can't conclude a ${experimentStatus(experiment)} experiment.`);
+  }
+  return {
+    ...experiment,
+    status: "concluded",
+    endDate: isoDate(now),
+    history: (experiment.history || []).concat([{ status: "concluded", at: now.toISOString() }]),
+    conclusion: {
+      concluded_at: now.toISOString(),
+      decision: decision == null ? null : decision,
+      note: note.trim(),
+      source,
+      snapshot: {
+        unit: "visitor",
+        window: { from: experiment.startDate || null, to: isoDate(now) },
+        plan: { perArm: evaluation.plan.perArm, baselineQsr: evaluation.plan.baselineQsr, mde: evaluation.plan.mde, alpha: evaluation.plan.alpha, power: evaluation.plan.power },
+        visitors: evaluation.visitors,
+        fraction: evaluation.fraction,
+        arms: evaluation.arms.map(({ price, viewed, cta, joined, rate, ci, diff, p, pBest }) => ({ price, viewed, cta, joined, qsr: rate, ci, diff, p, pBest })),
+        rules: evaluation.rules.map(({ key, label, fired, detail }) => ({ key, label, fired, detail })),
+        srm_p: evaluation.srm.p,
+      },
+    },
+  };
+}
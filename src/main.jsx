@@ -1,10 +1,23 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'   // <-- must match file name & case
+import { initEventLog } from './events.js'
+import { applyQaParam } from './quality.js'
+import { captureAttribution } from './attribution.js'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
+// ?qa=1 / ?qa=0 on the landing URL switches QA mode, and UTM parameters / the referrer
+// are recorded, before anything is logged
+applyQaParam()
+captureAttribution(window.location, document.referrer)
+
+// The event log loads asynchronously (IndexedDB); render once it is in memory
+initEventLog()
+  .catch((err) => console.error('[events] could not open the event store', err))
+  .finally(() => {
+    ReactDOM.createRoot(document.getElementById('root')).render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>,
+    )
+  })
@@ -0,0 +1,179 @@
+/**
+ * Summarization helpers
+ * ----------------------------------------------------
+ * Turns the raw event log into the Dashboard's numbers for one experiment.
+ *
+ * Every count can be taken per counting unit:
+ *  - "event"   → raw events (a refresh is a second view)
+ *  - "session" → distinct sessions (visitor.js splits them on 30 min of inactivity)
+ *  - "visitor" → distinct visitor ids
+ * Events logged before ids existed count as their own unit.
+ *
+ * Early Access joins are de-duplicated by email in every unit: the same address
+ * joining again at the same price is one join. Events only carry the email's
+ * hash (or just the lead id once that is purged), so those are the keys.
+ */
+
+import { eventExperimentId, variantPrices } from "./experiments.js";
+
+export const COUNT_UNITS = [
+  { key: "event", label: "Raw events" },
+  { key: "session", label: "Sessions" },
+  { key: "visitor", label: "Unique visitors" },
+];
+
+/** The variant price an event was logged at (schema v2; older events are migrated on load). */
+export function eventPrice(e) {
+  return (e.properties || {}).price;
+}
+
+function unitId(e, unit) {
+  if (unit === "visitor") return e.visitor_id || (e.properties && e.properties.visitor_id) || null;
+  if (unit === "session") return e.session_id || null;
+  return null;
+}
+
+/** Incremental distinct counter, for running totals over time-ordered events. */
+export function createDistinctCounter(unit = "event") {
+  const ids = new Set();
+  let anonymous = 0;
+  return {
+    add(e) {
+      const id = unit === "event" ? null : unitId(e, unit);
+      if (id) ids.add(id);
+      else anonymous += 1;
+    },
+    get size() {
+      return ids.size + anonymous;
+    },
+  };
+}
+
+export function countDistinct(list, unit = "event") {
+  const counter = createDistinctCounter(unit);
+  for (const e of list) counter.add(e);
+  return counter.size;
+}
+
+// ----------------------------- date range -----------------------------
+// Range bounds are local calendar dates ("YYYY-MM-DD", inclusive); either may be empty.
+export function dateRangeBounds(range) {
+  const from = range && range.from ? new Date(`${range.from}T00:00:00`).getTime() : -Infinity;
+  const to = range && range.to ? new Date(`${range.to}T23:59:59.999`).getTime() : Infinity;
+  return { from, to };
+}
+
+export function filterByDateRange(events, range) {
+  const bounds = dateRangeBounds(range);
+  if (bounds.from === -Infinity && bounds.to === Infinity) return events;
+  return events.filter((e) => inDateRange(e, bounds));
+}
+
+/** One event against dateRangeBounds(); an open range keeps events without a usable timestamp. */
+export function inDateRange(e, { from, to }) {
+  if (from === -Infinity && to === Infinity) return true;
+  const t = Date.parse(e.timestamp);
+  return t >= from && t <= to;
+}
+
+/** Keeps the first EarlyAccessJoin per email hash / lead (per price when `perPrice`); joins with neither are kept. */
+export function dedupeJoins(joins, { perPrice = false } = {}) {
+  const seen = new Set();
+  return joins.filter((e) => {
+    const person = e.properties.email_hash || e.properties.lead_id;
+    if (!person) return true;
+    const key = perPrice ? `${eventPrice(e)}|${person}` : person;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function summarize(allEvents, experiment, { unit = "event" } = {}) {
+  const summary = createSummary(experiment, { unit });
+  for (const e of allEvents) summary.add(e);
+  return summary.result();
+}
+
+/**
+ * summarize() one event at a time: add() events in log order (other experiments'
+ * are ignored); result() gives what summarize() returns for the events added so far.
+ */
+export function createSummary(experiment, { unit = "event" } = {}) {
+  const counter = () => createDistinctCounter(unit);
+  const metrics = () => ({ viewed: counter(), cta: counter(), joined: counter() });
+  const byPrice = new Map(variantPrices(experiment).map((p) => [p, metrics()]));
+  const totals = metrics();
+  const byPopulation = new Map();
+  const byPersona = new Map();
+  const joinedPeople = new Set(); // dedupeJoins(), kept as running sets
+  const joinedPerPrice = new Set();
+  let joinEvents = 0;
+  let joined = 0;
+  const METRIC = { PricingPlanViewed: "viewed", PricingPlanCTA: "cta" };
+  const addTo = (groups, key, e) => {
+    if (!groups.has(key)) groups.set(key, counter());
+    groups.get(key).add(e);
+  };
+  const firstJoin = (seen, key) => {
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+
+  return {
+    add(e) {
+      if (eventExperimentId(e) !== experiment.id) return;
+      const row = byPrice.get(e.properties.price);
+      const metric = METRIC[e.event];
+      if (metric) {
+        totals[metric].add(e);
+        if (row) row[metric].add(e);
+        return;
+      }
+      if (e.event !== "EarlyAccessJoin") return;
+      joinEvents += 1;
+      const person = e.properties.email_hash || e.properties.lead_id;
+      if (row && (!person || firstJoin(joinedPerPrice, `${eventPrice(e)}|${person}`))) row.joined.add(e);
+      if (person && !firstJoin(joinedPeople, person)) return;
+      joined += 1;
+      totals.joined.add(e);
+      // Segment cuts based on EA joins (the strongest signal)
+      addTo(byPopulation, e.properties.population_band || "(unknown)", e);
+      addTo(byPersona, e.properties.persona || "(unknown)", e);
+    },
+    result() {
+      const out = {};
+      for (const [p, m] of byPrice) {
+        const v = m.viewed.size;
+        const c = m.cta.size;
+        const j = m.joined.size;
+        out[p] = { viewed: v, cta: c, joined: j, qsr: v ? (j / v) * 100 : 0, ctaRate: v ? (c / v) * 100 : 0 };
+      }
+      const groups = (map) => Array.from(map, ([key, c]) => ({ key, count: c.size })).sort((x, y) => y.count - x.count);
+      const viewed = totals.viewed.size;
+      return {
+        viewed,
+        cta: totals.cta.size,
+        joined: totals.joined.size,
+        duplicateJoins: joinEvents - joined,
+        unit,
+        qsr: viewed ? (totals.joined.size / viewed) * 100 : 0,
+        ctaRate: viewed ? (totals.cta.size / viewed) * 100 : 0,
+        byPrice: out,
+        byPopulation: groups(byPopulation),
+        byPersona: groups(byPersona),
+      };
+    },
+  };
+}
+
+export function aggregateBy(list, keyFn, unit = "event") {
+  const groups = new Map();
+  for (const e of list) {
+    const k = keyFn(e);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(e);
+  }
+  return Array.from(groups, ([key, items]) => ({ key, count: countDistinct(items, unit) })).sort((a, b) => b.count - a.count);
+}
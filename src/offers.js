@@ -0,0 +1,46 @@
+/**
+ * Offer configurator results
+ * ----------------------------------------------------
+ * CTA and join events carry the offer the visitor had configured on the plan
+ * page (billing_term, addons, contract_value — see quoteOffer). Per variant:
+ *
+ *  - attach rate: share of CTAs / joins with each add-on selected;
+ *  - annual share: share choosing annual billing;
+ *  - ACV: mean annualised contract value.
+ *
+ * Events logged before the configurator existed have no offer and are left
+ * out (counted in `withoutOffer`). Joins are de-duplicated per price.
+ */
+
+import { ADDONS, eventsForExperiment, variantPrices } from "./experiments.js";
+import { dedupeJoins, eventPrice } from "./metrics.js";
+import { wilsonInterval } from "./stats.js";
+
+function offerStats(list) {
+  const n = list.length;
+  const rate = (k) => ({ k, rate: n ? k / n : null, ci: n ? wilsonInterval(k, n) : null });
+  return {
+    n,
+    annual: rate(list.filter((e) => e.properties.billing_term === "annual").length),
+    attach: Object.fromEntries(ADDONS.map((a) => [a.key, rate(list.filter((e) => (e.properties.addons || []).includes(a.key)).length)])),
+    acv: n ? list.reduce((acc, e) => acc + e.properties.contract_value, 0) / n : null,
+  };
+}
+
+/** [{ price, cta: stats, joined: stats, withoutOffer }] in variant order; stats = { n, annual, attach: { [key]: rate }, acv }. */
+export function summarizeOffers(allEvents, experiment) {
+  const events = eventsForExperiment(allEvents, experiment);
+  const cta = events.filter((e) => e.event === "PricingPlanCTA");
+  const joined = dedupeJoins(events.filter((e) => e.event === "EarlyAccessJoin"), { perPrice: true });
+  const hasOffer = (e) => typeof e.properties.contract_value === "number";
+  return variantPrices(experiment).map((price) => {
+    const ownCta = cta.filter((e) => eventPrice(e) === price);
+    const ownJoined = joined.filter((e) => eventPrice(e) === price);
+    return {
+      price,
+      cta: offerStats(ownCta.filter(hasOffer)),
+      joined: offerStats(ownJoined.filter(hasOffer)),
+      withoutOffer: ownCta.concat(ownJoined).filter((e) => !hasOffer(e)).length,
+    };
+  });
+}
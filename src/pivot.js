@@ -0,0 +1,193 @@
+/**
+ * Pivot / cross-tab segments
+ * ----------------------------------------------------
+ * Crosses any of PIVOT_DIMENSIONS on rows and columns and reports, per cell,
+ * how many units viewed the plan, clicked a CTA and joined Early Access, with
+ * Wilson intervals on the CTA rate and QSR.
+ *
+ * Rates need a denominator, and a view doesn't know which CTA its visitor will
+ * click, so the pivot works on units rather than events: one unit is a session
+ * (or visitor) at one price. Each unit takes its dimension values from all of
+ * its events — first CTA, first tile, latest band / persona, the currency it
+ * was first shown in — and a unit that never stated a band or persona inherits
+ * it from the same visitor's other events (e.g. a later join). Only units that viewed the plan are counted;
+ * joins without a view are reported separately. Campaign dimensions come from
+ * the unit's first event with an `attribution` (attribution.js), i.e. the
+ * touch that brought the visitor to that price.
+ */
+
+import { ATTRIBUTION_MODELS, TOUCH_FIELDS } from "./attribution.js";
+import { eventCurrency } from "./currency.js";
+import { eventsForExperiment, variantPrices } from "./experiments.js";
+import { dedupeJoins, eventPrice } from "./metrics.js";
+import { wilsonInterval } from "./stats.js";
+
+export const PIVOT_DIMENSIONS = [
+  { key: "price", label: "Price" },
+  { key: "persona", label: "Persona" },
+  { key: "population_band", label: "Population band" },
+  { key: "currency", label: "Currency" },
+  { key: "cta", label: "CTA type" },
+  { key: "feature", label: "Upsell tile" },
+  ...ATTRIBUTION_MODELS.flatMap((m) => TOUCH_FIELDS.map((f) => ({ key: touchDimension(m.key, f.key), label: `${f.label} (${m.label.toLowerCase()})` }))),
+];
+
+export const PIVOT_UNITS = [
+  { key: "session", label: "Sessions" },
+  { key: "visitor", label: "Unique visitors" },
+];
+
+/** Pivot dimension key for one field of a touch, e.g. "last_campaign". */
+export function touchDimension(model, field) {
+  return `${model}_${field}`;
+}
+
+const UNKNOWN = "(unknown)";
+const NONE = "(none)";
+const PIVOT_EVENTS = ["PricingPlanViewed", "PricingPlanCTA", "UpsellTileClicked", "EarlyAccessJoin"];
+
+function unitKey(e, unit, index) {
+  const id = unit === "visitor" ? e.visitor_id : e.session_id;
+  return `${id || `anon-${e.event_id || index}`}|${eventPrice(e)}`;
+}
+
+/** One record per unit × price: { price, viewed, cta, joined, dims: { <dimension>: value }, factors, attribution, inferred }. */
+export function buildUnits(allEvents, experiment, { unit = "session" } = {}) {
+  const scoped = eventsForExperiment(allEvents, experiment);
+  const prices = variantPrices(experiment);
+  const joins = dedupeJoins(scoped.filter((e) => e.event === "EarlyAccessJoin"), { perPrice: true });
+  const events = scoped
+    .filter((e) => PIVOT_EVENTS.includes(e.event) && e.event !== "EarlyAccessJoin")
+    .concat(joins)
+    .filter((e) => prices.includes(eventPrice(e)))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  // Latest band / persona each visitor stated anywhere, for units that never stated one
+  const byVisitor = new Map();
+  for (const e of events) {
+    if (!e.visitor_id) continue;
+    const known = byVisitor.get(e.visitor_id) || {};
+    if (e.properties.population_band) known.population_band = e.properties.population_band;
+    if (e.properties.persona) known.persona = e.properties.persona;
+    byVisitor.set(e.visitor_id, known);
+  }
+
+  const units = new Map();
+  events.forEach((e, i) => {
+    const key = unitKey(e, unit, i);
+    if (!units.has(key)) {
+      units.set(key, { price: eventPrice(e), visitorId: e.visitor_id, viewed: false, cta: false, joined: false, dims: { price: eventPrice(e) }, factors: null, attribution: null });
+    }
+    const u = units.get(key);
+    const p = e.properties;
+    if (e.event === "PricingPlanViewed") u.viewed = true;
+    if (e.event === "PricingPlanCTA") {
+      u.cta = true;
+      if (!u.dims.cta) u.dims.cta = p.cta;
+    }
+    if (e.event === "UpsellTileClicked" && !u.dims.feature) u.dims.feature = p.feature;
+    if (e.event === "EarlyAccessJoin") u.joined = true;
+    if (p.population_band) u.dims.population_band = p.population_band;
+    if (p.persona) u.dims.persona = p.persona;
+    if (!u.dims.currency) u.dims.currency = eventCurrency(e);
+    if (e.attribution && !u.attribution) u.attribution = e.attribution;
+    if (p.factors && !u.factors) u.factors = p.factors; // messaging / fence levels (factors.js)
+  });
+
+  return Array.from(units.values(), (u) => {
+    const known = byVisitor.get(u.visitorId) || {};
+    const inferred = [];
+    for (const dim of ["population_band", "persona"]) {
+      if (!u.dims[dim] && known[dim]) {
+        u.dims[dim] = known[dim];
+        inferred.push(dim);
+      }
+    }
+    return {
+      ...u,
+      inferred,
+      dims: {
+        ...u.dims,
+        population_band: u.dims.population_band || UNKNOWN,
+        persona: u.dims.persona || UNKNOWN,
+        cta: u.dims.cta || NONE,
+        feature: u.dims.feature || NONE,
+        ...touchDims(u.attribution),
+      },
+    };
+  });
+}
+
+function touchDims(attribution) {
+  const dims = {};
+  for (const m of ATTRIBUTION_MODELS) {
+    const touch = (attribution && attribution[m.key]) || {};
+    for (const f of TOUCH_FIELDS) dims[touchDimension(m.key, f.key)] = touch[f.key] || NONE;
+  }
+  return dims;
+}
+
+function cellStats(list) {
+  const viewed = list.filter((u) => u.viewed);
+  const n = viewed.length;
+  const cta = viewed.filter((u) => u.cta).length;
+  const joined = viewed.filter((u) => u.joined).length;
+  return {
+    n,
+    cta,
+    joined,
+    ctaRate: n ? cta / n : null,
+    ctaCi: wilsonInterval(cta, n),
+    qsr: n ? joined / n : null,
+    qsrCi: wilsonInterval(joined, n),
+  };
+}
+
+function compareValues(dim, experiment) {
+  if (dim === "price") {
+    const order = variantPrices(experiment);
+    return (a, b) => order.indexOf(a) - order.indexOf(b);
+  }
+  const last = (v) => v === UNKNOWN || v === NONE;
+  return (a, b) => last(a) - last(b) || String(a).localeCompare(String(b));
+}
+
+/**
+ * rows: 1–2 dimension keys; col: a dimension key or null.
+ * Returns { rows: [{ values, cells: { [colValue]: stats }, total }], colValues, colTotals, total, units, inferred, joinsWithoutView }.
+ */
+export function buildPivot(allEvents, experiment, { rows = ["population_band"], col = "price", unit = "session" } = {}) {
+  const all = buildUnits(allEvents, experiment, { unit });
+  const units = all.filter((u) => u.viewed);
+  const colValues = col ? Array.from(new Set(units.map((u) => u.dims[col]))).sort(compareValues(col, experiment)) : [];
+
+  const groups = new Map();
+  for (const u of units) {
+    const values = rows.map((dim) => u.dims[dim]);
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) groups.set(key, { values, units: [] });
+    groups.get(key).units.push(u);
+  }
+  const sorters = rows.map((dim) => compareValues(dim, experiment));
+  const ordered = Array.from(groups.values()).sort((a, b) => {
+    for (let i = 0; i < rows.length; i++) {
+      const c = sorters[i](a.values[i], b.values[i]);
+      if (c) return c;
+    }
+    return 0;
+  });
+
+  return {
+    rows: ordered.map((g) => ({
+      values: g.values,
+      cells: Object.fromEntries(colValues.map((v) => [v, cellStats(g.units.filter((u) => u.dims[col] === v))])),
+      total: cellStats(g.units),
+    })),
+    colValues,
+    colTotals: Object.fromEntries(colValues.map((v) => [v, cellStats(units.filter((u) => u.dims[col] === v))])),
+    total: cellStats(units),
+    units: units.length,
+    inferred: units.filter((u) => u.inferred.length).length,
+    joinsWithoutView: all.filter((u) => u.joined && !u.viewed).length,
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Data quality: internal traffic and suspicious patterns
+ * ----------------------------------------------------
+ * QA mode marks this browser's own demo clicks: while it is on, logEvent
+ * stamps `internal: true` on every event, next to `visitor_id` / `session_id`.
+ * It is switched with `?qa=1` / `?qa=0` (in the query string or after the hash
+ * route, e.g. #/pp/6000?qa=1) or the Dashboard toggle, and remembered in
+ * localStorage.
+ *
+ * flagEvents() also marks patterns real visitors rarely produce:
+ *  - rapid_cta: a CTA click within RAPID_CTA_MS of the same session's previous
+ *    click at the same price;
+ *  - join_without_view: an Early Access join whose visitor never viewed that
+ *    price before joining (events without a visitor id can't be judged).
+ * Flags are worked out when the log is read, never stored on events, so a
+ * rule change re-classifies old data too.
+ *
+ * Which flags are left out of which metric is a saved per-browser setting; the
+ * Dashboard applies it before any panel sees the events.
+ */
+
+const QA_KEY = "pp_qa_mode";
+const EXCLUSIONS_KEY = "pp_quality_exclusions";
+export const RAPID_CTA_MS = 2000;
+
+export const QUALITY_METRICS = [
+  { key: "viewed", label: "Views", events: ["PricingPlanViewed"] },
+  { key: "cta", label: "CTA clicks", events: ["PricingPlanCTA"] },
+  { key: "joined", label: "EA joins", events: ["EarlyAccessJoin"] },
+  { key: "other", label: "Other events", events: null },
+];
+
+// `metrics`: where the flag can occur
+export const QUALITY_FLAGS = [
+  { key: "internal", label: "Internal / QA traffic", metrics: ["viewed", "cta", "joined", "other"] },
+  { key: "rapid_cta", label: `Repeated CTA clicks (< ${RAPID_CTA_MS / 1000}s apart)`, metrics: ["cta"] },
+  { key: "join_without_view", label: "Joins without a preceding view", metrics: ["joined"] },
+];
+
+export const DEFAULT_EXCLUSIONS = {
+  internal: { viewed: true, cta: true, joined: true, other: true },
+  rapid_cta: { cta: true },
+  join_without_view: { joined: false },
+};
+
+// ----------------------------- QA mode -----------------------------
+const qaListeners = new Set();
+
+export function isQaMode() {
+  return localStorage.getItem(QA_KEY) === "1";
+}
+
+export function setQaMode(on) {
+  if (on) localStorage.setItem(QA_KEY, "1");
+  else localStorage.removeItem(QA_KEY);
+  for (const fn of qaListeners) fn();
+}
+
+/** For useSyncExternalStore(subscribeQaMode, isQaMode). */
+export function subscribeQaMode(fn) {
+  qaListeners.add(fn);
+  return () => qaListeners.delete(fn);
+}
+
+/** Applies a `qa` URL parameter, after the hash route or in the query string; no parameter leaves the mode as is. */
+export function applyQaParam(location = window.location) {
+  const hash = location.hash || "";
+  const hashQuery = hash.includes("?") ? hash.slice(hash.indexOf("?") + 1) : "";
+  const value = new URLSearchParams(hashQuery).get("qa") ?? new URLSearchParams(location.search).get("qa");
+  if (value == null) return;
+  setQaMode(["1", "true", "on"].includes(value.toLowerCase()));
+}
+
+// ----------------------------- flags -----------------------------
+export function eventMetric(evt) {
+  const m = QUALITY_METRICS.find((x) => x.events && x.events.includes(evt.event));
+  return m ? m.key : "other";
+}
+
+/** Map of event → flag keys, for the events that have any. */
+export function flagEvents(events, flagger = createFlagger()) {
+  const flags = new Map();
+  const sorted = events.map((evt) => [Date.parse(evt.timestamp), evt]).sort((a, b) => a[0] - b[0]);
+  for (const [, evt] of sorted) {
+    const list = flagger.flag(evt);
+    if (list.length) flags.set(evt, list);
+  }
+  return flags;
+}
+
+/**
+ * flagEvents() one event at a time, for events fed in time order: flag(evt)
+ * returns its flags (empty when it has none). `lastTime` is the latest
+ * timestamp seen; an older event would change earlier verdicts.
+ */
+export function createFlagger() {
+  const lastCta = new Map();
+  const viewedAt = new Map(); // visitor|experiment|price → first view time
+  let lastTime = -Infinity;
+  return {
+    get lastTime() {
+      return lastTime;
+    },
+    flag(evt) {
+      const t = Date.parse(evt.timestamp);
+      if (t > lastTime) lastTime = t;
+      const list = [];
+      if (evt.internal) list.push("internal");
+      const p = evt.properties || {};
+      const key = `${p.experiment_id}|${p.price}`;
+      if (evt.event === "PricingPlanCTA" && evt.session_id) {
+        const sessionKey = `${evt.session_id}|${key}`;
+        if (lastCta.has(sessionKey) && t - lastCta.get(sessionKey) < RAPID_CTA_MS) list.push("rapid_cta");
+        lastCta.set(sessionKey, t);
+      }
+      if (evt.event === "PricingPlanViewed" && evt.visitor_id) {
+        const viewKey = `${evt.visitor_id}|${key}`;
+        if (!viewedAt.has(viewKey)) viewedAt.set(viewKey, t);
+      }
+      if (evt.event === "EarlyAccessJoin" && evt.visitor_id && !viewedAt.has(`${evt.visitor_id}|${key}`)) list.push("join_without_view");
+      return list;
+    },
+  };
+}
+
+// ----------------------------- exclusions -----------------------------
+export function loadExclusions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(EXCLUSIONS_KEY) || "{}");
+    return Object.fromEntries(QUALITY_FLAGS.map((f) => [f.key, { ...DEFAULT_EXCLUSIONS[f.key], ...(saved[f.key] || {}) }]));
+  } catch {
+    return DEFAULT_EXCLUSIONS;
+  }
+}
+export function saveExclusions(exclusions) {
+  localStorage.setItem(EXCLUSIONS_KEY, JSON.stringify(exclusions));
+}
+
+/** Whether the saved exclusions drop `evt` from its metric, given its flags. */
+export function isExcluded(evt, flags, exclusions) {
+  const metric = eventMetric(evt);
+  return (flags.get(evt) || []).some((flag) => exclusions[flag] && exclusions[flag][metric]);
+}
+
+/** The events left once flagged events are dropped from the metrics their flags are excluded from. */
+export function excludeFlagged(events, flags, exclusions) {
+  if (!flags.size) return events;
+  return events.filter((e) => !isExcluded(e, flags, exclusions));
+}
+
+/** Per flag and metric: { flagged, excluded } counts over `events`, plus totals. */
+export function qualitySummary(events, flags, exclusions) {
+  const rows = QUALITY_FLAGS.map((f) => ({ ...f, byMetric: Object.fromEntries(f.metrics.map((m) => [m, { flagged: 0, excluded: 0 }])) }));
+  let flagged = 0;
+  let excluded = 0;
+  for (const evt of events) {
+    const list = flags.get(evt);
+    if (!list) continue;
+    flagged += 1;
+    if (isExcluded(evt, flags, exclusions)) excluded += 1;
+    const metric = eventMetric(evt);
+    for (const flag of list) {
+      const cell = rows.find((r) => r.key === flag).byMetric[metric];
+      if (!cell) continue;
+      cell.flagged += 1;
+      if (exclusions[flag][metric]) cell.excluded += 1;
+    }
+  }
+  return { rows, flagged, excluded, total: events.length };
+}
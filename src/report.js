@@ -0,0 +1,429 @@
+/**
+ * Shareable results report
+ * ----------------------------------------------------
+ * "Generate report" on the Dashboard turns what it shows for one experiment
+ * into a standalone HTML file for stakeholders: inline CSS and SVG charts, no
+ * scripts or network requests, laid out to print to PDF. It covers the variant
+ * table, segment cuts (persona, population band), the funnel and conclusions
+ * worked out from the same rules as the panels.
+ *
+ * The report's data (buildReport) is embedded in the file,
+ *
+ *   <script type="application/json" id="pp-report-data">{ "report_version": 1, … }</script>
+ *
+ * so #/report can open it again (parseReportFile; a bare JSON file works too).
+ * That page never shows the file's own markup: it checks the data's shape and
+ * renders it again with reportHtml(), which escapes every value it prints
+ * (counts go through Number() first).
+ *
+ * Reports hold aggregates only (counts, rates, intervals): no events, visitor
+ * ids or leads.
+ */
+
+import { CHART_COLORS } from "./charts.jsx";
+import { eventsForExperiment, trafficShares, variantPrices } from "./experiments.js";
+import { buildFunnel } from "./funnel.js";
+import { statusInfo } from "./lifecycle.js";
+import { COUNT_UNITS, summarize } from "./metrics.js";
+import { buildPivot } from "./pivot.js";
+import { MIN_VIEWS_TO_CALL, chiSquareGoodnessOfFit, compareProportions, wilsonInterval } from "./stats.js";
+import { currency } from "./ui.jsx";
+
+export const REPORT_VERSION = 1;
+export const REPORT_ROUTE = "#/report";
+const DATA_ID = "pp-report-data";
+const SIGNIFICANCE_ALPHA = 0.05; // as the By Price Variant panel
+const SRM_ALPHA = 0.001;
+const SEGMENTS = [
+  { key: "persona", label: "Persona" },
+  { key: "population_band", label: "Population band" },
+];
+
+// ----------------------------- data -----------------------------
+/**
+ * The report for `events` (the Dashboard's, after quality exclusions and the
+ * date range). `scope` describes them: { source, unit, range, excluded }.
+ */
+export function buildReport(events, experiment, scope, now = new Date()) {
+  const prices = variantPrices(experiment);
+  const s = summarize(events, experiment, { unit: scope.unit });
+  const compared = compareProportions(prices.map((p) => ({ k: Math.min(s.byPrice[p].joined, s.byPrice[p].viewed), n: s.byPrice[p].viewed })));
+  const variants = prices.map((price, i) => {
+    const row = s.byPrice[price];
+    const r = compared[i];
+    return {
+      price,
+      viewed: row.viewed,
+      cta: row.cta,
+      joined: row.joined,
+      qsr: r.rate,
+      qsrCi: r.ci,
+      ctaRate: row.viewed ? row.cta / row.viewed : 0,
+      ctaCi: wilsonInterval(Math.min(row.cta, row.viewed), row.viewed),
+      diff: r.diff,
+      p: r.p,
+      pBest: r.pBest,
+      call: i === 0 ? "baseline" : r.tooSmall ? "too_small" : r.p != null && r.p < SIGNIFICANCE_ALPHA ? (r.diff > 0 ? "higher" : "lower") : "no_difference",
+    };
+  });
+
+  const pivotUnit = scope.unit === "visitor" ? "visitor" : "session";
+  const segments = SEGMENTS.map((dim) => {
+    const pivot = buildPivot(events, experiment, { rows: [dim.key], col: "price", unit: pivotUnit });
+    return {
+      ...dim,
+      rows: pivot.rows.map((r) => ({
+        value: r.values[0],
+        total: segmentCell(r.total),
+        byPrice: Object.fromEntries(prices.map((p) => [p, segmentCell(r.cells[p])])),
+      })),
+    };
+  });
+
+  const funnel = buildFunnel(events, experiment, { unit: scope.unit }).map((f) => ({
+    price: f.price,
+    steps: f.steps.map((st) => ({ label: st.label, count: st.count, stepRate: st.stepRate, overallRate: st.overallRate })),
+  }));
+
+  const assigned = eventsForExperiment(events, experiment).filter((e) => e.event === "VariantAssigned");
+  const srm = chiSquareGoodnessOfFit(
+    prices.map((p) => assigned.filter((e) => e.properties.assigned_price === p).length),
+    trafficShares(experiment)
+  );
+
+  const report = {
+    report_version: REPORT_VERSION,
+    generated_at: now.toISOString(),
+    experiment: {
+      id: experiment.id,
+      name: experiment.name,
+      plan: experiment.plan,
+      status: statusInfo(experiment).label,
+      startDate: experiment.startDate || null,
+      endDate: experiment.endDate || null,
+      conclusion: experiment.conclusion
+        ? { decision: experiment.conclusion.decision, note: experiment.conclusion.note || "", concluded_at: experiment.conclusion.concluded_at }
+        : null,
+    },
+    scope: {
+      source: scope.source,
+      unit: scope.unit,
+      range: { from: (scope.range && scope.range.from) || "", to: (scope.range && scope.range.to) || "" },
+      excluded: scope.excluded || 0,
+    },
+    totals: { viewed: s.viewed, cta: s.cta, joined: s.joined, duplicateJoins: s.duplicateJoins },
+    variants,
+    segments,
+    funnel,
+    srm: { assigned: assigned.length, p: srm.p },
+  };
+  return { ...report, conclusions: conclusionsFor(report) };
+}
+
+function segmentCell(stats) {
+  return stats && stats.n ? { n: stats.n, joined: stats.joined, qsr: stats.qsr, qsrCi: stats.qsrCi } : null;
+}
+
+const pct = (v, digits = 1) => `${(v * 100).toFixed(digits)}%`;
+const formatP = (p) => (p == null ? "—" : p < 0.001 ? "<0.001" : p.toFixed(3));
+
+/** Plain-language findings, in the order a reader needs them. */
+export function conclusionsFor(report) {
+  const out = [];
+  const { variants, segments, funnel, srm, experiment, scope } = report;
+  if (experiment.conclusion) {
+    const c = experiment.conclusion;
+    out.push(
+      `Concluded ${c.concluded_at.slice(0, 10)}: ${c.decision == null ? "no decision" : `shipped ${currency(c.decision)}`}${c.note ? ` — ${c.note}` : ""}.`
+    );
+  }
+  const measured = variants.filter((v) => v.viewed);
+  if (!measured.length) return out.concat(["No plan views in this scope yet."]);
+  const leader = measured.reduce((a, b) => (b.qsr > a.qsr ? b : a));
+  out.push(`${currency(leader.price)} has the highest QSR: ${pct(leader.qsr)} [${pct(leader.qsrCi.lo)}–${pct(leader.qsrCi.hi)}], ${pct(leader.pBest, 0)} probability to be best.`);
+  const base = variants[0];
+  for (const v of variants.slice(1)) {
+    const vs = `${currency(v.price)} vs ${currency(base.price)}`;
+    if (v.call === "too_small") out.push(`${vs}: too small to call yet (under ${MIN_VIEWS_TO_CALL} views or 5 joins / non-joins in an arm).`);
+    else if (v.call === "no_difference") out.push(`${vs}: no clear difference in QSR (p = ${formatP(v.p)}).`);
+    else out.push(`${vs}: significantly ${v.call} QSR, ${v.diff >= 0 ? "+" : ""}${(v.diff * 100).toFixed(1)} pts (p = ${formatP(v.p)}).`);
+  }
+  if (srm.p != null) {
+    out.push(
+      srm.p < SRM_ALPHA
+        ? `Sample-ratio mismatch in randomized assignment (p = ${srm.p.toPrecision(2)}): check traffic before trusting the comparison.`
+        : `Randomized assignment matches the configured split (${srm.assigned} assignments, p = ${srm.p.toPrecision(2)}).`
+    );
+  }
+  // Biggest drop between consecutive funnel steps, all variants together
+  const stepTotals = funnel[0].steps.map((st, i) => funnel.reduce((acc, f) => acc + f.steps[i].count, 0));
+  let worst = null;
+  for (let i = 1; i < stepTotals.length; i++) {
+    if (!stepTotals[i - 1]) continue;
+    const lost = 1 - stepTotals[i] / stepTotals[i - 1];
+    if (!worst || lost > worst.lost) worst = { i, lost };
+  }
+  if (worst) out.push(`Largest funnel drop-off: ${funnel[0].steps[worst.i - 1].label} → ${funnel[0].steps[worst.i].label} (${pct(worst.lost, 0)} lost).`);
+  for (const seg of segments) {
+    const callable = seg.rows.filter((r) => r.total && r.total.n >= MIN_VIEWS_TO_CALL);
+    if (callable.length < 2) continue;
+    const top = callable.reduce((a, b) => (b.total.qsr > a.total.qsr ? b : a));
+    out.push(`Highest-converting ${seg.label.toLowerCase()}: ${top.value} (${pct(top.total.qsr)} QSR over ${top.total.n} ${unitNoun(scope.unit)}).`);
+  }
+  if (scope.excluded) out.push(`${scope.excluded} flagged event${scope.excluded === 1 ? " was" : "s were"} left out by the data-quality settings.`);
+  return out;
+}
+
+function unitNoun(unit) {
+  return unit === "visitor" ? "visitors" : "sessions";
+}
+
+// ----------------------------- file -----------------------------
+/** Reads a report back from a generated HTML file or its bare JSON; throws with a readable message otherwise. */
+export function parseReportFile(text) {
+  let json = text.trim();
+  if (json.startsWith("<")) {
+    const doc = new DOMParser().parseFromString(text, "text/html");
+    const node = doc.getElementById(DATA_ID);
+    if (!node) throw new Error("This HTML file isn't a generated report (no embedded report data).");
+    json = node.textContent;
+  }
+  let report;
+  try {
+    report = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`The report data isn't valid JSON: ${err.message}`);
+  }
+  if (!report || typeof report !== "object" || !report.report_version) throw new Error("This file has no report data.");
+  if (report.report_version > REPORT_VERSION) throw new Error(`This report was made by a newer version (v${report.report_version}); this app reads v${REPORT_VERSION}.`);
+  if (!report.experiment || !Array.isArray(report.variants) || !Array.isArray(report.segments) || !Array.isArray(report.funnel)) {
+    throw new Error("The report data is incomplete.");
+  }
+  const problem = reportProblem(report);
+  if (problem) throw new Error(`The report data is malformed: ${problem}.`);
+  return { ...report, conclusions: Array.isArray(report.conclusions) ? report.conclusions : conclusionsFor(report) };
+}
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isInterval = (ci) => !!ci && isNumber(ci.lo) && isNumber(ci.hi);
+
+// The first field reportHtml() couldn't print as a number or a known value, or null
+function reportProblem({ scope, totals, variants, segments, funnel }) {
+  if (!scope || typeof scope.source !== "string" || !COUNT_UNITS.some((u) => u.key === scope.unit)) return "scope";
+  if (!scope.range || typeof scope.range.from !== "string" || typeof scope.range.to !== "string" || !isNumber(scope.excluded)) return "scope";
+  if (!totals || !["viewed", "cta", "joined", "duplicateJoins"].every((k) => isNumber(totals[k]))) return "totals";
+  for (const v of variants) {
+    const numbers = ["price", "viewed", "cta", "joined", "qsr", "ctaRate", "pBest"].every((k) => isNumber(v[k]));
+    if (!numbers || !isInterval(v.qsrCi) || !isInterval(v.ctaCi) || !(v.diff == null || isNumber(v.diff)) || !(v.p == null || isNumber(v.p))) {
+      return "variants";
+    }
+    if (!CALL_LABELS[v.call]) return "variants";
+  }
+  const cellOk = (c) => c == null || (isNumber(c.n) && isNumber(c.joined) && isNumber(c.qsr));
+  for (const seg of segments) {
+    if (typeof seg.label !== "string" || !Array.isArray(seg.rows)) return "segments";
+    if (!seg.rows.every((r) => cellOk(r.total) && r.byPrice && Object.values(r.byPrice).every(cellOk))) return "segments";
+  }
+  for (const f of funnel) {
+    if (!isNumber(f.price) || !Array.isArray(f.steps)) return "funnel";
+    if (!f.steps.every((st) => isNumber(st.count) && (st.stepRate == null || isNumber(st.stepRate)) && (st.overallRate == null || isNumber(st.overallRate)))) {
+      return "funnel";
+    }
+  }
+  return null;
+}
+
+export function reportFileName(report) {
+  return `pp-report-${report.experiment.id}-${report.generated_at.slice(0, 10)}.html`;
+}
+
+export function downloadReport(report) {
+  const blob = new Blob([reportHtml(report)], { type: "text/html" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = reportFileName(report);
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ----------------------------- HTML -----------------------------
+const esc = (v) =>
+  String(v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// A table cell that is already markup (its own values escaped); anything else is escaped by table()
+const markup = (html) => ({ html });
+const count = (v) => esc(Number(v));
+
+function table(headers, rows) {
+  return `<table><thead><tr>${headers.map((h) => `<th>${esc(h)}</th>`).join("")}</tr></thead><tbody>${rows
+    .map((r) => `<tr>${r.map((c) => `<td>${c && c.html != null ? c.html : esc(c)}</td>`).join("")}</tr>`)
+    .join("")}</tbody></table>`;
+}
+
+// Horizontal bars with optional interval whiskers; values are fractions
+function barChart(bars, { max } = {}) {
+  const W = 640;
+  const left = 140;
+  const row = 26;
+  const H = bars.length * row + 24;
+  const top = Math.max(max || 0, ...bars.map((b) => (b.ci ? b.ci.hi : b.value)), 0.01);
+  const sx = (v) => left + (v / top) * (W - left - 60);
+  const body = bars
+    .map((b, i) => {
+      const y = 8 + i * row;
+      const whisker = b.ci
+        ? `<line x1="${sx(b.ci.lo).toFixed(1)}" x2="${sx(b.ci.hi).toFixed(1)}" y1="${y + 9}" y2="${y + 9}" stroke="#0f172a" stroke-width="1.5"/>`
+        : "";
+      return (
+        `<text x="${left - 8}" y="${y + 13}" text-anchor="end" font-size="11" fill="#334155">${esc(b.label)}</text>` +
+        `<rect x="${left}" y="${y}" width="${Math.max(0, sx(b.value) - left).toFixed(1)}" height="18" rx="3" fill="${b.color}"/>` +
+        whisker +
+        `<text x="${(sx(b.ci ? b.ci.hi : b.value) + 6).toFixed(1)}" y="${y + 13}" font-size="11" fill="#475569">${esc(pct(b.value))}</text>`
+      );
+    })
+    .join("");
+  return `<svg viewBox="0 0 ${W} ${H}" role="img" class="chart">${body}<line x1="${left}" x2="${left}" y1="4" y2="${H - 16}" stroke="#cbd5e1"/></svg>`;
+}
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { font: 13px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; margin: 0; background: #fff; }
+  main { max-width: 900px; margin: 0 auto; padding: 32px 24px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 1px solid #e2e8f0; }
+  h3 { font-size: 13px; margin: 16px 0 6px; }
+  .muted { color: #64748b; font-size: 12px; }
+  table { width: 100%; border-collapse: collapse; margin: 6px 0 12px; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  th { font-size: 11px; color: #475569; background: #f8fafc; }
+  .chart { width: 100%; height: auto; }
+  .call { font-size: 11px; padding: 1px 6px; border-radius: 999px; background: #f1f5f9; white-space: nowrap; }
+  .call.higher { background: #d1fae5; color: #065f46; }
+  .call.lower { background: #ffe4e6; color: #9f1239; }
+  .call.too_small { background: #fef3c7; color: #92400e; }
+  ul.conclusions li { margin: 4px 0; }
+  .legend span { display: inline-block; margin-right: 12px; font-size: 11px; color: #475569; }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; vertical-align: -1px; }
+  section { break-inside: avoid; }
+  @page { margin: 14mm; }
+  @media print {
+    main { padding: 0; max-width: none; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+const CALL_LABELS = { baseline: "Baseline", higher: "Significantly higher", lower: "Significantly lower", no_difference: "No clear difference", too_small: "Too small to call" };
+
+/** The standalone HTML document for a report, with its data embedded for #/report. */
+export function reportHtml(report) {
+  const { experiment, scope, variants, segments, funnel, totals } = report;
+  const prices = variants.map((v) => v.price);
+  const color = (price) => CHART_COLORS[prices.indexOf(price) % CHART_COLORS.length];
+  const unitLabel = (COUNT_UNITS.find((u) => u.key === scope.unit) || { label: scope.unit }).label;
+  const range = scope.range.from || scope.range.to ? `${scope.range.from || "start"} – ${scope.range.to || "today"}` : "all dates";
+  const interval = (ci) => `[${pct(ci.lo)}–${pct(ci.hi)}]`;
+  const legend = `<div class="legend">${prices.map((p) => `<span><i style="background:${color(p)}"></i>${esc(currency(p))}</span>`).join("")}</div>`;
+
+  const variantTable = table(
+    ["Price", "Views", "CTA", "EA Joins", "QSR (95% CI)", "CTA / View (95% CI)", "Δ QSR vs baseline", "p-value", "P(best)", "Call"],
+    variants.map((v) => [
+      currency(v.price),
+      Number(v.viewed),
+      Number(v.cta),
+      Number(v.joined),
+      v.viewed ? `${pct(v.qsr)} ${interval(v.qsrCi)}` : "—",
+      v.viewed ? `${pct(v.ctaRate)} ${interval(v.ctaCi)}` : "—",
+      v.diff == null ? "—" : `${v.diff >= 0 ? "+" : ""}${(v.diff * 100).toFixed(1)} pts`,
+      formatP(v.p),
+      v.viewed ? pct(v.pBest, 0) : "—",
+      markup(`<span class="call ${esc(v.call)}">${esc(CALL_LABELS[v.call] || v.call)}</span>`),
+    ])
+  );
+  const qsrChart = barChart(variants.map((v) => ({ label: currency(v.price), value: v.qsr, ci: v.viewed ? v.qsrCi : null, color: color(v.price) })));
+
+  const segmentHtml = segments
+    .map((seg) => {
+      const rows = seg.rows.map((r) => [
+        r.value,
+        ...prices.map((p) => {
+          const c = r.byPrice[p];
+          return c ? markup(`${esc(pct(c.qsr))} <span class="muted">${count(c.joined)}/${count(c.n)}</span>`) : "—";
+        }),
+        r.total ? markup(`${esc(pct(r.total.qsr))} <span class="muted">${count(r.total.joined)}/${count(r.total.n)}</span>`) : "—",
+      ]);
+      return `<h3>${esc(seg.label)}</h3>${
+        rows.length ? table([seg.label, ...prices.map((p) => currency(p)), "All variants"], rows) : `<p class="muted">No plan views yet.</p>`
+      }`;
+    })
+    .join("");
+
+  const funnelChart = funnel[0]
+    ? barChart(
+        funnel[0].steps.slice(1).flatMap((st, i) =>
+          funnel.map((f) => ({ label: `${st.label} · ${currency(f.price)}`, value: f.steps[i + 1].overallRate || 0, color: color(f.price) }))
+        )
+      )
+    : "";
+  const funnelTable = table(
+    ["Price", ...(funnel[0] ? funnel[0].steps.map((st) => st.label) : [])],
+    funnel.map((f) => [
+      currency(f.price),
+      ...f.steps.map((st, i) =>
+        i === 0 || st.stepRate == null ? Number(st.count) : markup(`${count(st.count)} <span class="muted">${esc(pct(st.stepRate, 0))} of previous</span>`)
+      ),
+    ])
+  );
+
+  const dates = [experiment.startDate && `started ${experiment.startDate}`, experiment.endDate && `end ${experiment.endDate}`].filter(Boolean).join(", ");
+  const data = JSON.stringify(report).replace(/</g, "\\u003c");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${esc(`${experiment.name} — results report`)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${esc(experiment.name)}</h1>
+<p class="muted">Forms Studio · ${esc(experiment.plan)} pricing experiment <b>${esc(experiment.id)}</b> · ${esc(experiment.status)}${dates ? ` (${esc(dates)})` : ""}<br />
+Generated ${esc(new Date(report.generated_at).toLocaleString())} from ${esc(scope.source)} data · ${esc(range)} · counted as ${esc(unitLabel.toLowerCase())} ·
+${count(totals.viewed)} views, ${count(totals.joined)} Early Access joins${totals.duplicateJoins ? ` (${count(totals.duplicateJoins)} repeat emails removed)` : ""}</p>
+
+<section>
+<h2>Key conclusions</h2>
+<ul class="conclusions">${report.conclusions.map((c) => `<li>${esc(c)}</li>`).join("")}</ul>
+</section>
+
+<section>
+<h2>By price variant</h2>
+${qsrChart}
+<p class="muted">Qualified Signal Rate (EA joins per view) with 95% Wilson intervals.</p>
+${variantTable}
+<p class="muted">p-values are two-sided, pooled two-proportion z-tests of QSR against the first variant (α = ${SIGNIFICANCE_ALPHA}, no multiple-comparison correction). P(best) is the posterior probability of the highest QSR under a uniform Beta prior.</p>
+</section>
+
+<section>
+<h2>Segments</h2>
+<p class="muted">QSR per ${esc(unitNoun(scope.unit).replace(/s$/, ""))} by segment and variant (joins / views). Segments come from the visitor's own choices; units without one are inferred from their other events or listed as (unknown).</p>
+${segmentHtml}
+</section>
+
+<section>
+<h2>Funnel</h2>
+${legend}
+${funnelChart}
+<p class="muted">Share of views reaching each step.</p>
+${funnelTable}
+</section>
+</main>
+<script type="application/json" id="${DATA_ID}">${data}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,176 @@
+/**
+ * Event schema registry
+ * ----------------------------------------------------
+ * One entry per event name: required and optional properties with their types.
+ * logEvent rejects events whose name is not registered and flags (stores, but
+ * marks with `schema_errors`) events whose properties don't match.
+ *
+ * Versions (`schema_version` on every event; missing means 1):
+ *  1 → original logs: the price was `displayed_price` on views, `display_price`
+ *      on CTAs/tiles/modal events and `quoted_price` on joins; joins carried
+ *      `municipality_size`; untagged events had no experiment, plan or route.
+ *  2 → one `price` property everywhere, `population_band` on joins, and every
+ *      plan event names its experiment, plan and route.
+ *  3 → no contact details on events: joins carry `lead_id`, `consent` and, with
+ *      consent only, `email_hash`; `email` / `org` of consented joins moved to
+ *      the lead store (leads.js). Older joins predate the consent box, so they
+ *      keep neither.
+ *
+ * migrateEvent() walks an event up one version at a time, so stored, imported
+ * and collector events all read the same way. It is pure: callers that hold
+ * pre-v3 events copy the contact details out first (leadsFromEvents).
+ */
+
+import { DEFAULT_EXPERIMENT } from "./experiments.js";
+import { emailHash } from "./hash.js";
+
+export const SCHEMA_VERSION = 3;
+
+// Never allowed on an analytics event, whatever its name
+const PII_KEYS = ["email", "org"];
+
+const PLAN_CONTEXT = { experiment_id: "string", plan: "string", price: "number", route: "string" };
+const MODAL_CONTEXT = { ...PLAN_CONTEXT, trigger: "string" };
+// Remembered from the visitor's earlier choices (segment.js); absent until they make one
+const SEGMENT_CONTEXT = { population_band: "string", population_band_source: "string", persona: "string" };
+// Messaging / fence levels the plan card showed, { <factor>: <level> } (factors.js), absent when the experiment tests none;
+// band_price is the price shown for the visitor's population band in banded pricing mode (experiments.js);
+// currency / local_price: the currency the page was shown in and the list price in it (currency.js)
+const LOCAL_PRICE = { currency: "string", local_price: "number" };
+const PLAN_EXTRAS = { ...SEGMENT_CONTEXT, ...LOCAL_PRICE, factors: "object", band_price: "number" };
+// The offer configured on the plan page when the visitor acted (experiments.js quoteOffer); contract_value is annualised
+const OFFER_CONTEXT = { billing_term: "string", addons: "array", offer_total: "number", contract_value: "number" };
+// Survey events: `trigger` is "after_join" (EA modal) or "route" (#/wtp); plan / price only when a variant was shown
+const WTP_CONTEXT = { experiment_id: "string", method: "string", route: "string", trigger: "string" };
+
+export const EVENT_SCHEMAS = {
+  VariantAssigned: {
+    required: { experiment_id: "string", visitor_id: "string", assigned_price: "number", route: "string" },
+    optional: { weights: "array", factors: "object" },
+  },
+  PricingPlanViewed: {
+    required: PLAN_CONTEXT,
+    optional: { ...PLAN_EXTRAS, audience: "string" },
+  },
+  PricingPlanCTA: {
+    required: { ...PLAN_CONTEXT, cta: "string" },
+    optional: { ...PLAN_EXTRAS, ...OFFER_CONTEXT, fences: "array" },
+  },
+  UpsellTileClicked: {
+    required: { ...PLAN_CONTEXT, feature: "string" },
+    optional: PLAN_EXTRAS,
+  },
+  EarlyAccessJoin: {
+    required: { ...PLAN_CONTEXT, persona: "string", population_band: "string", lead_id: "string", consent: "boolean" },
+    // utm_source: older joins only (always "pricing_variant"); campaigns are now the event's `attribution` (attribution.js)
+    optional: { ...OFFER_CONTEXT, email_hash: "string", population_band_source: "string", utm_source: "string", factors: "object", band_price: "number", ...LOCAL_PRICE },
+  },
+  EarlyAccessModalOpened: { required: MODAL_CONTEXT, optional: PLAN_EXTRAS },
+  EarlyAccessFieldInteracted: { required: { ...MODAL_CONTEXT, field: "string" }, optional: PLAN_EXTRAS },
+  EarlyAccessValidationFailed: { required: { ...MODAL_CONTEXT, fields: "array" }, optional: PLAN_EXTRAS },
+  EarlyAccessModalDismissed: {
+    required: { ...MODAL_CONTEXT, reason: "string", fields_touched: "array", ms_open: "number" },
+    optional: PLAN_EXTRAS,
+  },
+  WtpSurveyCompleted: {
+    required: WTP_CONTEXT,
+    optional: {
+      ...SEGMENT_CONTEXT,
+      plan: "string",
+      price: "number",
+      too_cheap: "number",
+      cheap: "number",
+      expensive: "number",
+      too_expensive: "number",
+      ladder_answers: "array",
+      max_accepted: "number",
+    },
+  },
+  WtpSurveySkipped: { required: WTP_CONTEXT, optional: { ...SEGMENT_CONTEXT, plan: "string", price: "number" } },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value === "number" && !Number.isFinite(value) ? "NaN" : typeof value;
+}
+
+/** Human-readable problems with an event against the current schema; empty when valid. */
+export function validateEvent(evt) {
+  const schema = EVENT_SCHEMAS[evt.event];
+  if (!schema) return [`unknown event "${evt.event}"`];
+  const props = evt.properties || {};
+  const errors = PII_KEYS.filter((key) => key in props).map((key) => `contains PII (${key})`);
+  for (const [key, type] of Object.entries(schema.required)) {
+    if (props[key] === undefined || props[key] === "") errors.push(`missing ${key}`);
+    else if (typeOf(props[key]) !== type) errors.push(`${key} should be ${type}, got ${typeOf(props[key])}`);
+  }
+  for (const [key, type] of Object.entries(schema.optional)) {
+    if (props[key] !== undefined && typeOf(props[key]) !== type) errors.push(`${key} should be ${type}, got ${typeOf(props[key])}`);
+  }
+  return errors;
+}
+
+// ----------------------------- migrations -----------------------------
+const LEGACY_PRICE_KEYS = ["displayed_price", "display_price", "quoted_price"];
+
+const MIGRATIONS = {
+  // v1 → v2
+  1(evt) {
+    const props = { ...evt.properties };
+    for (const key of LEGACY_PRICE_KEYS) {
+      if (key in props) {
+        if (props.price === undefined) props.price = props[key];
+        delete props[key];
+      }
+    }
+    if ("municipality_size" in props) {
+      if (props.population_band === undefined) props.population_band = props.municipality_size;
+      delete props.municipality_size;
+    }
+    if (evt.event !== "VariantAssigned" && typeof props.price === "number") {
+      if (!props.experiment_id) props.experiment_id = DEFAULT_EXPERIMENT.id;
+      if (!props.plan) props.plan = DEFAULT_EXPERIMENT.plan;
+      if (!props.route) props.route = `#/pp/${props.price}`;
+    }
+    return { ...evt, properties: props, schema_version: 2 };
+  },
+  // v2 → v3
+  2(evt) {
+    if (!PII_KEYS.some((key) => key in evt.properties) && evt.event !== "EarlyAccessJoin") return { ...evt, schema_version: 3 };
+    const { email, org, ...props } = evt.properties;
+    if (evt.event === "EarlyAccessJoin") {
+      if (props.consent === undefined) props.consent = false; // joined before the consent box
+      if (email && props.consent === true) {
+        props.email_hash = emailHash(email);
+        props.lead_id = legacyLeadId(email);
+      } else if (!props.lead_id) {
+        props.lead_id = `lead-legacy-${evt.event_id || evt.timestamp}`;
+      }
+    }
+    return { ...evt, properties: props, schema_version: 3 };
+  },
+};
+
+/** Lead id given to a pre-v3 join's email, shared by every join from that address. */
+export function legacyLeadId(email) {
+  return `lead-legacy-${emailHash(email).slice(0, 16)}`;
+}
+
+export function eventVersion(evt) {
+  return evt.schema_version || 1;
+}
+
+/** Brings an event up to SCHEMA_VERSION and re-validates it (`schema_errors` is replaced). */
+export function migrateEvent(evt) {
+  if (eventVersion(evt) >= SCHEMA_VERSION) return evt;
+  let cur = { ...evt, properties: evt.properties || {} };
+  while (eventVersion(cur) < SCHEMA_VERSION) cur = MIGRATIONS[eventVersion(cur)](cur);
+  const { schema_errors, ...rest } = cur;
+  const errors = validateEvent(rest);
+  return errors.length ? { ...rest, schema_errors: errors } : rest;
+}
+
+export function needsMigration(events) {
+  return events.some((e) => eventVersion(e) < SCHEMA_VERSION);
+}
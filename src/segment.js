@@ -0,0 +1,43 @@
+/**
+ * Visitor segment context
+ * ----------------------------------------------------
+ * The population band and persona this browser has told us about, remembered
+ * in localStorage so they can be stamped on views and CTAs, not only on the
+ * Early Access join that first collected them.
+ *
+ * Stamped bands carry `population_band_source: "selected"` (picked on the plan
+ * page or in the Early Access form). Events without one are attributed at
+ * analysis time from the same visitor's other events (see pivot.js), and the
+ * pivot reports how many units were inferred that way.
+ */
+
+const SEGMENT_KEY = "pp_segment";
+
+export const POPULATION_BANDS = ["<10k", "10k–50k", "50k–150k", "150k–500k", ">500k"];
+export const PERSONAS = ["City Clerk", "IT Manager", "Department Admin", "Analyst"];
+
+export function loadSegment() {
+  try {
+    return JSON.parse(localStorage.getItem(SEGMENT_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+export function saveSegment(patch) {
+  const next = { ...loadSegment(), ...patch };
+  localStorage.setItem(SEGMENT_KEY, JSON.stringify(next));
+  return next;
+}
+
+/** Properties to spread into a plan-page event; empty until the visitor has picked something. */
+export function segmentProps() {
+  const { population_band, persona } = loadSegment();
+  const props = {};
+  if (population_band) {
+    props.population_band = population_band;
+    props.population_band_source = "selected";
+  }
+  if (persona) props.persona = persona;
+  return props;
+}
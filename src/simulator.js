@@ -0,0 +1,336 @@
+/**
+ * Synthetic traffic simulator
+ * ----------------------------------------------------
+ * Generates visitors whose behaviour is known, logs their events into a
+ * sandbox store (eventStore.js createSandboxStore: nothing reaches the real
+ * log or a collector) and checks that the Dashboard's own math gets the truth
+ * back:
+ *  - summarize(), per unique visitor: each variant's QSR inside its 95% Wilson
+ *    interval, the split of views against the traffic weights, and the persona
+ *    and band mix of joins against the configured mix;
+ *  - the funnel (funnel.js): CTA / tile engagement per view against the true
+ *    rate, with the same join counts as summarize();
+ *  - significance, over repeated runs: how often each variant's interval covers
+ *    its true QSR (≈ 95%), and how often the z-test against the control rejects
+ *    (≈ α when the true rates are equal, ≈ the power of the test otherwise).
+ *
+ * A human visitor is bucketed as on #/pp (assignment.js), views the plan,
+ * engages (CTA or upsell tile, both opening the Early Access modal) with
+ * probability `ctaRate` and joins with probability `rates[price]` overall.
+ * Noise, for a `noiseRate` share of visitors, is what the pipeline is meant to
+ * absorb: a page refresh, a repeat join with the same email, a stray view
+ * tagged with another experiment or a malformed (string-price) view. Bots, a
+ * `botRate` share of visitors, view and burst-click the CTA: quality.js flags
+ * the burst but not the view, so bots dilute QSR and lower coverage.
+ *
+ * Every run goes through the Dashboard's pipeline (quality flags with the
+ * default exclusions, then counts) and is seeded, so a report can be reproduced.
+ */
+
+import { ASSIGNED_ROUTE, bucketPrice } from "./assignment.js";
+import { loadEvents, logEvent } from "./events.js";
+import { createSandboxStore } from "./eventStore.js";
+import { trafficShares, variantPrices } from "./experiments.js";
+import { buildFunnel } from "./funnel.js";
+import { emailHash } from "./hash.js";
+import { summarize } from "./metrics.js";
+import { DEFAULT_EXCLUSIONS, excludeFlagged, flagEvents } from "./quality.js";
+import { PERSONAS, POPULATION_BANDS } from "./segment.js";
+import { Z_95, chiSquareGoodnessOfFit, compareProportions, normalCdf, seededRandom, twoProportionZTest, wilsonInterval } from "./stats.js";
+
+export const SIM_ALPHA = 0.05;
+export const SIM_DAYS = 14;
+const MIX_ALPHA = 0.001; // allocation and mix checks, as strict as the SRM panel
+export const NOISE_KINDS = ["refresh", "repeat_join", "other_experiment", "malformed"];
+export const SIM_LIMITS = { visitors: [50, 50000], runs: [1, 200] };
+
+export function defaultSimConfig(experiment) {
+  const prices = variantPrices(experiment);
+  return {
+    rates: Object.fromEntries(prices.map((p, i) => [p, Math.max(0.02, 0.06 - 0.01 * i)])),
+    ctaRate: 0.25,
+    visitors: 2000,
+    personaMix: Object.fromEntries(PERSONAS.map((p) => [p, 1])),
+    bandMix: Object.fromEntries(POPULATION_BANDS.map((b, i) => [b, [2, 3, 2, 1, 1][i]])),
+    botRate: 0,
+    noiseRate: 0.05,
+    runs: 30,
+    seed: 1,
+  };
+}
+
+/** Returns a list of human-readable problems; empty when the settings can run. */
+export function validateSimConfig(config, experiment) {
+  const errors = [];
+  const inUnit = (x) => Number.isFinite(x) && x >= 0 && x <= 1;
+  if (!(config.ctaRate > 0 && config.ctaRate <= 1)) errors.push("CTA / tile rate must be above 0% and at most 100%.");
+  for (const price of variantPrices(experiment)) {
+    const rate = config.rates[price];
+    if (!inUnit(rate)) errors.push(`True QSR at ${price} must be between 0% and 100%.`);
+    else if (rate > config.ctaRate) errors.push(`True QSR at ${price} can't exceed the CTA / tile rate: every join starts with one.`);
+  }
+  const [minVisitors, maxVisitors] = SIM_LIMITS.visitors;
+  const [minRuns, maxRuns] = SIM_LIMITS.runs;
+  if (!Number.isInteger(config.visitors) || config.visitors < minVisitors || config.visitors > maxVisitors) {
+    errors.push(`Visitors per run must be a whole number from ${minVisitors} to ${maxVisitors.toLocaleString()}.`);
+  }
+  if (!Number.isInteger(config.runs) || config.runs < minRuns || config.runs > maxRuns) errors.push(`Runs must be a whole number from ${minRuns} to ${maxRuns}.`);
+  if (!(inUnit(config.botRate) && config.botRate < 1)) errors.push("Bot share must be from 0% to under 100%.");
+  if (!inUnit(config.noiseRate)) errors.push("Noise share must be between 0% and 100%.");
+  for (const [label, mix] of [["Persona", config.personaMix], ["Band", config.bandMix]]) {
+    const weights = Object.values(mix);
+    if (weights.some((w) => !(w >= 0)) || !weights.some((w) => w > 0)) errors.push(`${label} mix needs non-negative weights, at least one above 0.`);
+  }
+  return errors;
+}
+
+function pickWeighted(rand, mix) {
+  const entries = Object.entries(mix).filter(([, w]) => w > 0);
+  let point = rand() * entries.reduce((acc, [, w]) => acc + w, 0);
+  for (const [key, w] of entries) {
+    point -= w;
+    if (point < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+function mixShares(mix, keys) {
+  const total = keys.reduce((acc, k) => acc + (mix[k] || 0), 0);
+  return keys.map((k) => (mix[k] || 0) / total);
+}
+
+// ----------------------------- generation -----------------------------
+/**
+ * Logs one run of synthetic traffic into a fresh sandbox store. Returns the
+ * store and what was generated (`truth`), for checks that need exact counts.
+ */
+export function simulateRun(experiment, config, { run = 0, now = Date.now() } = {}) {
+  const rand = seededRandom(config.seed * 7919 + run);
+  const store = createSandboxStore();
+  const truth = { humans: 0, bots: 0, views: 0, repeatJoins: 0, burstClicks: 0, strays: 0, malformed: 0 };
+  const start = now - SIM_DAYS * 24 * 60 * 60 * 1000;
+
+  for (let i = 0; i < config.visitors; i++) {
+    const visitorId = `sim-${run}-${i}`;
+    let t = start + rand() * (now - start - 60 * 60 * 1000);
+    const stamp = { visitor_id: visitorId, session_id: `${visitorId}-s1`, attribution: null, internal: false };
+    const log = (name, properties, seconds = 0) => {
+      t += seconds * 1000;
+      return logEvent(name, properties, { store, stamp: { ...stamp, timestamp: new Date(t).toISOString() } });
+    };
+    const price = bucketPrice(experiment, visitorId);
+    const ctx = { experiment_id: experiment.id, plan: experiment.plan, price, route: ASSIGNED_ROUTE };
+    log("VariantAssigned", { experiment_id: experiment.id, visitor_id: visitorId, assigned_price: price, route: ASSIGNED_ROUTE });
+    log("PricingPlanViewed", { ...ctx, audience: "Municipal" });
+    truth.views += 1;
+
+    if (rand() < config.botRate) {
+      truth.bots += 1;
+      const clicks = 3 + Math.floor(rand() * 3);
+      for (let c = 0; c < clicks; c++) log("PricingPlanCTA", { ...ctx, cta: "SelectPlan", currency: "USD" }, c === 0 ? 1 : 0.2 + rand() * 1.2);
+      truth.burstClicks += clicks - 1;
+      continue;
+    }
+
+    truth.humans += 1;
+    const persona = pickWeighted(rand, config.personaMix);
+    const band = pickWeighted(rand, config.bandMix);
+    const email = `${visitorId}@example.gov`;
+    let joined = false;
+    if (rand() < config.ctaRate) {
+      const tile = rand() < 0.3;
+      const trigger = tile ? "CreateSurvey" : "JoinEarlyAccess";
+      if (tile) log("UpsellTileClicked", { ...ctx, feature: trigger }, 5 + rand() * 55);
+      else log("PricingPlanCTA", { ...ctx, cta: trigger, currency: "USD" }, 5 + rand() * 55);
+      log("EarlyAccessModalOpened", { ...ctx, trigger }, 0.3);
+      joined = rand() < config.rates[price] / config.ctaRate;
+      if (joined) {
+        log("EarlyAccessJoin", joinProps(ctx, persona, band, email), 30 + rand() * 90);
+      } else {
+        log("EarlyAccessModalDismissed", { ...ctx, trigger, reason: "close_button", fields_touched: [], ms_open: Math.round(5000 + rand() * 40000) }, 10);
+      }
+    }
+
+    if (rand() < config.noiseRate) {
+      const kind = NOISE_KINDS[Math.floor(rand() * NOISE_KINDS.length)];
+      if (kind === "repeat_join" && joined) {
+        log("EarlyAccessJoin", joinProps(ctx, persona, band, email), 600);
+        truth.repeatJoins += 1;
+      } else if (kind === "other_experiment") {
+        log("PricingPlanViewed", { ...ctx, experiment_id: `${experiment.id}-sim-other` }, 600);
+        truth.strays += 1;
+      } else if (kind === "malformed") {
+        log("PricingPlanViewed", { ...ctx, price: String(price) }, 600);
+        truth.malformed += 1;
+      } else {
+        log("PricingPlanViewed", { ...ctx, audience: "Municipal" }, 20); // refresh; also a repeat join by someone who never joined
+        truth.views += 1;
+      }
+    }
+  }
+  return { store, truth };
+}
+
+function joinProps(ctx, persona, band, email) {
+  return {
+    ...ctx,
+    persona,
+    population_band: band,
+    population_band_source: "selected",
+    lead_id: `lead-${email}`,
+    email_hash: emailHash(email),
+    consent: true, // the hash is only logged with consent
+  };
+}
+
+// ----------------------------- analysis -----------------------------
+/** The Dashboard's numbers for one run: flags and default exclusions first, then visitor counts. */
+export function analyzeRun(events, experiment, config) {
+  const flags = flagEvents(events);
+  const clean = excludeFlagged(events, flags, DEFAULT_EXCLUSIONS);
+  const s = summarize(clean, experiment, { unit: "visitor" });
+  const raw = summarize(clean, experiment, { unit: "event" });
+  const funnel = buildFunnel(clean, experiment, { unit: "visitor" });
+  const arms = variantPrices(experiment).map((price, i) => {
+    const { viewed, joined } = s.byPrice[price];
+    const engaged = funnel[i].steps[1].count;
+    const truth = config.rates[price];
+    const ci = wilsonInterval(joined, viewed);
+    const engagedCi = wilsonInterval(engaged, viewed);
+    return {
+      price,
+      truth,
+      n: viewed,
+      k: joined,
+      rate: viewed ? joined / viewed : 0,
+      ci,
+      covered: viewed > 0 && truth >= ci.lo && truth <= ci.hi,
+      engaged,
+      engagedRate: viewed ? engaged / viewed : 0,
+      engagedCi,
+      engagedCovered: viewed > 0 && config.ctaRate >= engagedCi.lo && config.ctaRate <= engagedCi.hi,
+      funnelJoined: funnel[i].steps[3].count,
+    };
+  });
+  const control = arms[0];
+  for (const arm of arms.slice(1)) {
+    const { p } = twoProportionZTest(control.k, control.n, arm.k, arm.n);
+    arm.p = p;
+    arm.rejected = p != null && p < SIM_ALPHA;
+  }
+  let rapid = 0;
+  for (const list of flags.values()) if (list.includes("rapid_cta")) rapid += 1;
+  const rawViews = Object.values(raw.byPrice).reduce((acc, v) => acc + v.viewed, 0);
+  return { arms, summary: s, rawViews, duplicateJoins: raw.duplicateJoins, rapid, malformed: events.filter((e) => e.schema_errors).length };
+}
+
+// Normal-approximation power of the two-sided z-test for the expected human visitors per arm
+function expectedRejection(p1, p2, n1, n2) {
+  const se = Math.sqrt((p1 * (1 - p1)) / n1 + (p2 * (1 - p2)) / n2);
+  if (!se || p1 === p2) return SIM_ALPHA;
+  const shift = Math.abs(p2 - p1) / se;
+  return normalCdf(shift - Z_95) + normalCdf(-shift - Z_95);
+}
+
+// Observed share of `runs` within three binomial standard errors of `expected` (plus slack for approximations)
+function withinTolerance(observed, expected, runs, slack = 0) {
+  return Math.abs(observed - expected) <= 3 * Math.sqrt((expected * (1 - expected)) / runs) + slack;
+}
+
+/**
+ * Runs `config.runs` seeded simulations and checks the first one in detail and
+ * all of them for interval coverage and test rejections. Yields to the page
+ * between runs, calling `onProgress(done, total)`. Resolves to
+ * { first, coverage, rejections, checks, passed }.
+ *
+ * Whether the first run's intervals hold the true rates is reported with
+ * `info: true` and doesn't count towards `passed`: each misses 5% of the time
+ * by design, which is what the coverage checks over all runs measure.
+ */
+export async function runSimulation(experiment, config, { now = Date.now(), onProgress = null } = {}) {
+  const prices = variantPrices(experiment);
+  const shares = trafficShares(experiment);
+  const logSize = loadEvents().length;
+  const runs = [];
+  let first = null;
+  for (let run = 0; run < config.runs; run++) {
+    const { store, truth } = simulateRun(experiment, config, { run, now });
+    const events = store.getEvents();
+    const analysis = analyzeRun(events, experiment, config);
+    runs.push(analysis);
+    if (run === 0) first = { truth, events: events.length, analysis };
+    if (onProgress) onProgress(run + 1, config.runs);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  const { analysis, truth } = first;
+  const compared = compareProportions(analysis.arms.map((a) => ({ k: a.k, n: a.n })));
+  const arms = analysis.arms.map((a, i) => ({ ...a, diff: compared[i].diff, p: compared[i].p, pBest: compared[i].pBest }));
+  const coverage = prices.map((price, i) => ({
+    price,
+    qsr: runs.filter((r) => r.arms[i].covered).length / runs.length,
+    engaged: runs.filter((r) => r.arms[i].engagedCovered).length / runs.length,
+  }));
+  const humansPerArm = shares.map((share) => config.visitors * (1 - config.botRate) * share);
+  const rejections = prices.slice(1).map((price, j) => ({
+    price,
+    trueDiff: config.rates[price] - config.rates[prices[0]],
+    observed: runs.filter((r) => r.arms[j + 1].rejected).length / runs.length,
+    expected: expectedRejection(config.rates[prices[0]], config.rates[price], humansPerArm[0], humansPerArm[j + 1]),
+  }));
+
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  const interval = (ci) => `[${pct(ci.lo)}–${pct(ci.hi)}]`;
+  const checks = [];
+  for (const a of arms) {
+    checks.push({ name: `QSR at ${a.price}: true ${pct(a.truth)} inside the 95% CI`, pass: a.covered, info: true, got: `${pct(a.rate)} ${interval(a.ci)} of ${a.n}` });
+  }
+  for (const a of arms) {
+    checks.push({
+      name: `Funnel at ${a.price}: CTA / tile rate ${pct(config.ctaRate)} inside the 95% CI`,
+      pass: a.engagedCovered,
+      info: true,
+      got: `${pct(a.engagedRate)} ${interval(a.engagedCi)}`,
+    });
+    checks.push({ name: `Funnel at ${a.price}: joins match summarize()`, pass: a.funnelJoined === a.k, got: `${a.funnelJoined} vs ${a.k} joins` });
+  }
+  const allocation = chiSquareGoodnessOfFit(arms.map((a) => a.n), shares);
+  checks.push({ name: "Views split as the traffic weights", pass: allocation.p == null || allocation.p >= MIX_ALPHA, got: `p = ${formatP(allocation.p)}` });
+  for (const [label, mix, keys, cut] of [
+    ["Persona", config.personaMix, PERSONAS, analysis.summary.byPersona],
+    ["Band", config.bandMix, POPULATION_BANDS, analysis.summary.byPopulation],
+  ]) {
+    const counts = keys.map((k) => (cut.find((g) => g.key === k) || { count: 0 }).count);
+    const fit = chiSquareGoodnessOfFit(counts, mixShares(mix, keys));
+    checks.push({ name: `${label} mix of joins matches the configured mix`, pass: fit.p == null || fit.p >= MIX_ALPHA, got: `p = ${formatP(fit.p)}` });
+  }
+  checks.push({
+    name: "Raw views per variant = simulated views (refreshes counted; strays and malformed views left out)",
+    pass: analysis.rawViews === truth.views,
+    got: `${analysis.rawViews} vs ${truth.views} (${truth.strays} stray, ${analysis.malformed} flagged by the schema)`,
+  });
+  checks.push({ name: "Repeat joins de-duplicated", pass: analysis.duplicateJoins === truth.repeatJoins, got: `${analysis.duplicateJoins} of ${truth.repeatJoins}` });
+  checks.push({ name: "Bot CTA bursts flagged as rapid clicks", pass: analysis.rapid === truth.burstClicks, got: `${analysis.rapid} of ${truth.burstClicks}` });
+  checks.push({ name: "Real event log untouched", pass: loadEvents().length === logSize, got: `${loadEvents().length} events (was ${logSize})` });
+  if (config.runs > 1) {
+    // Wilson intervals run slightly conservative; fail only on clear under-coverage
+    const floor = 0.95 - 3 * Math.sqrt((0.95 * 0.05) / config.runs);
+    for (const c of coverage) {
+      checks.push({ name: `QSR CI coverage at ${c.price} over ${config.runs} runs ≥ ${pct(floor)}`, pass: c.qsr >= floor, got: pct(c.qsr) });
+    }
+    for (const r of rejections) {
+      checks.push({
+        name: `z-test ${r.price} vs ${prices[0]} rejects in ≈ ${pct(r.expected)} of runs (${r.trueDiff ? "power" : "α"})`,
+        pass: withinTolerance(r.observed, r.expected, config.runs, 0.03),
+        got: pct(r.observed),
+      });
+    }
+  }
+
+  return { first: { ...first, arms }, coverage, rejections, checks, passed: checks.every((c) => c.pass || c.info) };
+}
+
+function formatP(p) {
+  if (p == null) return "—";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
@@ -0,0 +1,236 @@
+/**
+ * Statistics helpers
+ * ----------------------------------------------------
+ * Small, dependency-free implementations of the distributions the Dashboard
+ * needs. Accurate to well beyond the precision we display.
+ */
+
+export function lnGamma(x) {
+  // Lanczos approximation (g = 7, n = 9)
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/** Regularized upper incomplete gamma Q(a, x). */
+export function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  if (x < a + 1) {
+    // series for P(a, x)
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - lnGamma(a));
+  }
+  // continued fraction for Q(a, x) (modified Lentz)
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - lnGamma(a)) * h;
+}
+
+/** P(X ≥ x) for a chi-square distribution with `df` degrees of freedom. */
+export function chiSquareSf(x, df) {
+  return gammaQ(df / 2, x / 2);
+}
+
+/**
+ * Chi-square goodness-of-fit of observed counts against expected proportions.
+ * Returns { chi2, df, p }; p is null when there is nothing to test.
+ */
+export function chiSquareGoodnessOfFit(observed, proportions) {
+  const n = observed.reduce((a, b) => a + b, 0);
+  const cells = observed.map((o, i) => ({ o, e: n * proportions[i] })).filter((c) => c.e > 0);
+  if (n === 0 || cells.length < 2) return { chi2: 0, df: 0, p: null };
+  const chi2 = cells.reduce((acc, c) => acc + (c.o - c.e) ** 2 / c.e, 0);
+  const df = cells.length - 1;
+  return { chi2, df, p: chiSquareSf(chi2, df) };
+}
+
+// ----------------------------- proportions -----------------------------
+export const Z_95 = 1.959963984540054;
+
+// Minimum sample before a comparison is worth calling: normal approximations need
+// a handful of successes and failures in every arm.
+export const MIN_VIEWS_TO_CALL = 30;
+export const MIN_OUTCOMES_TO_CALL = 5;
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26 via erf, |ε| < 1.5e-7). */
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z / Math.SQRT2));
+  const y =
+    1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+/** Inverse standard normal CDF (Acklam's rational approximation, |ε| < 1.2e-9), for 0 < p < 1. */
+export function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Units per arm for a two-sided, two-proportion z-test to detect a change from
+ * rate `p1` to `p2` at significance `alpha` with the given power.
+ */
+export function sampleSizePerArm(p1, p2, { alpha = 0.05, power = 0.8 } = {}) {
+  if (!(p1 > 0 && p1 < 1 && p2 > 0 && p2 < 1) || p1 === p2) return null;
+  const za = normalQuantile(1 - alpha / 2);
+  const zb = normalQuantile(power);
+  const pBar = (p1 + p2) / 2;
+  const num = za * Math.sqrt(2 * pBar * (1 - pBar)) + zb * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2));
+  return Math.ceil((num * num) / (p2 - p1) ** 2);
+}
+
+/** Known-answer checks for sampleSizePerArm(), for the Dashboard's self-test: [{ name, pass, got }]. */
+export function sampleSizeChecks() {
+  const perArm = sampleSizePerArm(0.05, 0.06);
+  return [{ name: "Sample size: 5% → 6% QSR at α=0.05, 80% power needs 8,158 per arm", pass: perArm === 8158, got: perArm }];
+}
+
+/** Wilson score interval for k successes out of n; returns fractions. */
+export function wilsonInterval(k, n, z = Z_95) {
+  if (!n) return { lo: 0, hi: 0 };
+  const p = k / n;
+  const denom = 1 + (z * z) / n;
+  const centre = (p + (z * z) / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return { lo: Math.max(0, centre - half), hi: Math.min(1, centre + half) };
+}
+
+/** Two-sided, pooled two-proportion z-test of arm b against arm a. */
+export function twoProportionZTest(ka, na, kb, nb) {
+  if (!na || !nb) return { z: 0, p: null };
+  const pooled = (ka + kb) / (na + nb);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / na + 1 / nb));
+  if (!se) return { z: 0, p: 1 };
+  const z = (kb / nb - ka / na) / se;
+  return { z, p: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+export function tooSmallToCall(k, n) {
+  return n < MIN_VIEWS_TO_CALL || k < MIN_OUTCOMES_TO_CALL || n - k < MIN_OUTCOMES_TO_CALL;
+}
+
+// ----------------------------- Bayesian -----------------------------
+/** Seeded PRNG (mulberry32) so Monte Carlo figures don't jitter between renders. */
+export function seededRandom(seed = 1) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleNormal(rand) {
+  let u = 0;
+  while (u === 0) u = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+// Marsaglia–Tsang
+function sampleGamma(shape, rand) {
+  if (shape < 1) return sampleGamma(shape + 1, rand) * Math.pow(rand(), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(rand);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rand();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+export function sampleBeta(a, b, rand) {
+  const x = sampleGamma(a, rand);
+  return x / (x + sampleGamma(b, rand));
+}
+
+/**
+ * Probability that each arm has the highest true rate, under independent
+ * Beta(1 + k, 1 + n − k) posteriors (uniform prior). Arms without views have
+ * no evidence and get 0 rather than a share of the prior.
+ */
+export function probabilityToBeBest(arms, draws = 20000, rand = seededRandom(42)) {
+  const wins = arms.map(() => 0);
+  if (!arms.some((arm) => arm.n)) return wins;
+  for (let d = 0; d < draws; d++) {
+    let best = 0;
+    let bestVal = -1;
+    arms.forEach((arm, i) => {
+      if (!arm.n) return;
+      const v = sampleBeta(1 + arm.k, 1 + arm.n - arm.k, rand);
+      if (v > bestVal) {
+        bestVal = v;
+        best = i;
+      }
+    });
+    wins[best] += 1;
+  }
+  return wins.map((w) => w / draws);
+}
+
+/**
+ * Full comparison of binomial arms ({ k, n }) against the arm at `baselineIndex`:
+ * rate with Wilson CI, difference vs baseline, z-test p-value, P(best) and a
+ * too-small-to-call flag per arm.
+ */
+export function compareProportions(arms, baselineIndex = 0) {
+  const base = arms[baselineIndex];
+  const pBest = probabilityToBeBest(arms);
+  return arms.map((arm, i) => {
+    const rate = arm.n ? arm.k / arm.n : 0;
+    const isBaseline = i === baselineIndex;
+    const test = isBaseline ? { z: 0, p: null } : twoProportionZTest(base.k, base.n, arm.k, arm.n);
+    return {
+      ...arm,
+      rate,
+      ci: wilsonInterval(arm.k, arm.n),
+      diff: isBaseline || !base.n || !arm.n ? null : rate - base.k / base.n,
+      z: test.z,
+      p: test.p,
+      pBest: pBest[i],
+      tooSmall: tooSmallToCall(arm.k, arm.n) || (!isBaseline && tooSmallToCall(base.k, base.n)),
+    };
+  });
+}
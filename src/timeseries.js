@@ -0,0 +1,85 @@
+/**
+ * Time series
+ * ----------------------------------------------------
+ * Buckets views, CTAs and (email de-duplicated) joins per variant by local day
+ * or hour, plus the running QSR so the Dashboard can show a metric settling
+ * down. Per-bucket counts are distinct within the bucket for the chosen
+ * counting unit; running totals are distinct since the first bucket.
+ */
+
+import { eventsForExperiment, variantPrices } from "./experiments.js";
+import { createDistinctCounter, dedupeJoins } from "./metrics.js";
+
+export const GRANULARITIES = [
+  { key: "day", label: "Daily" },
+  { key: "hour", label: "Hourly" },
+];
+export const MAX_BUCKETS = 24 * 93; // hourly for a quarter; switch to daily beyond that
+
+const METRIC_EVENTS = { PricingPlanViewed: "viewed", PricingPlanCTA: "cta", EarlyAccessJoin: "joined" };
+
+export function bucketStart(t, granularity) {
+  const d = new Date(t);
+  if (granularity === "hour") d.setMinutes(0, 0, 0);
+  else d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+function nextBucket(t, granularity) {
+  const d = new Date(t);
+  if (granularity === "hour") d.setHours(d.getHours() + 1);
+  else d.setDate(d.getDate() + 1);
+  return d.getTime();
+}
+
+export function buildTimeSeries(allEvents, experiment, { granularity = "day", unit = "event" } = {}) {
+  const scoped = eventsForExperiment(allEvents, experiment);
+  const joins = dedupeJoins(scoped.filter((e) => e.event === "EarlyAccessJoin"), { perPrice: true });
+  const events = scoped
+    .filter((e) => e.event === "PricingPlanViewed" || e.event === "PricingPlanCTA")
+    .concat(joins)
+    .map((e) => ({ e, t: Date.parse(e.timestamp) }))
+    .filter((x) => Number.isFinite(x.t))
+    .sort((a, b) => a.t - b.t);
+  const prices = variantPrices(experiment);
+  if (!events.length) return { buckets: [], byPrice: Object.fromEntries(prices.map((p) => [p, []])), truncated: false };
+
+  const buckets = [];
+  const last = bucketStart(events[events.length - 1].t, granularity);
+  for (let t = bucketStart(events[0].t, granularity); t <= last && buckets.length < MAX_BUCKETS; t = nextBucket(t, granularity)) buckets.push(t);
+  const truncated = buckets[buckets.length - 1] < last;
+
+  const byPrice = {};
+  for (const p of prices) {
+    const cumulative = { viewed: createDistinctCounter(unit), cta: createDistinctCounter(unit), joined: createDistinctCounter(unit) };
+    byPrice[p] = { cumulative, rows: [] };
+  }
+
+  let i = 0;
+  for (let b = 0; b < buckets.length; b++) {
+    const end = b + 1 < buckets.length ? buckets[b + 1] : Infinity;
+    const current = {};
+    for (const p of prices) current[p] = { viewed: createDistinctCounter(unit), cta: createDistinctCounter(unit), joined: createDistinctCounter(unit) };
+    for (; i < events.length && events[i].t < end; i++) {
+      const { e } = events[i];
+      const metric = METRIC_EVENTS[e.event];
+      const p = e.properties.price;
+      if (!current[p]) continue;
+      current[p][metric].add(e);
+      byPrice[p].cumulative[metric].add(e);
+    }
+    for (const p of prices) {
+      const cum = byPrice[p].cumulative;
+      byPrice[p].rows.push({
+        t: buckets[b],
+        viewed: current[p].viewed.size,
+        cta: current[p].cta.size,
+        joined: current[p].joined.size,
+        cumViewed: cum.viewed.size,
+        cumJoined: cum.joined.size,
+        cumQsr: cum.viewed.size ? cum.joined.size / cum.viewed.size : null,
+      });
+    }
+  }
+
+  return { buckets, byPrice: Object.fromEntries(prices.map((p) => [p, byPrice[p].rows])), truncated };
+}
@@ -0,0 +1,196 @@
+/**
+ * Event transport
+ * ----------------------------------------------------
+ * Decides where logged events go after the local log:
+ *
+ *  - "local" (default) → nowhere; results stay in this browser.
+ *  - "http"            → batched POSTs to a collector (see collector/server.js).
+ *                        Unsent events wait in a durable localStorage outbox,
+ *                        failed batches retry with exponential backoff, sending
+ *                        pauses while offline, and whatever is left on page
+ *                        unload goes out via navigator.sendBeacon.
+ *
+ * Collector wire format: POST { events: [...] }; receivers de-duplicate on
+ * `event_id`, so re-sends after a lost response are harmless.
+ *
+ * Builds can default to a collector with VITE_COLLECTOR_URL; the Dashboard's
+ * transport panel overrides it per browser.
+ */
+
+import { migrateEvent } from "./schema.js";
+
+const TRANSPORT_KEY = "pp_transport";
+const OUTBOX_KEY = "pp_outbox";
+const OUTBOX_LIMIT = 10000;
+
+const env = import.meta.env || {};
+
+export const DEFAULT_TRANSPORT_CONFIG = {
+  mode: env.VITE_COLLECTOR_URL ? "http" : "local",
+  endpoint: env.VITE_COLLECTOR_URL || "http://localhost:8787/events",
+  batchSize: 20,
+  flushDelayMs: 2000,
+  maxBackoffMs: 60000,
+};
+
+export function loadTransportConfig() {
+  try {
+    return { ...DEFAULT_TRANSPORT_CONFIG, ...JSON.parse(localStorage.getItem(TRANSPORT_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_TRANSPORT_CONFIG };
+  }
+}
+
+// ----------------------------- outbox -----------------------------
+export function loadOutbox() {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+function saveOutbox(queue) {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(queue.slice(-OUTBOX_LIMIT)));
+}
+function removeFromOutbox(sent) {
+  const ids = new Set(sent.map((e) => e.event_id));
+  saveOutbox(loadOutbox().filter((e) => !ids.has(e.event_id)));
+}
+
+// ----------------------------- transports -----------------------------
+function createLocalTransport() {
+  return {
+    mode: "local",
+    send() {},
+    flush() {},
+    status: () => ({ mode: "local" }),
+    dispose() {},
+  };
+}
+
+function createHttpTransport({ endpoint, batchSize, flushDelayMs, maxBackoffMs }) {
+  let timer = null;
+  let inFlight = false;
+  let attempt = 0;
+  let lastError = null;
+  let lastSentAt = null;
+
+  function schedule(ms) {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, ms);
+  }
+  function backoff() {
+    const base = Math.min(maxBackoffMs, 1000 * 2 ** (attempt - 1));
+    return base / 2 + (Math.random() * base) / 2; // jitter so tabs don't retry in lockstep
+  }
+
+  async function flush() {
+    const queue = loadOutbox();
+    if (inFlight || !queue.length) return;
+    if (navigator.onLine === false) return; // resumed by the "online" listener
+    inFlight = true;
+    const batch = queue.slice(0, batchSize);
+    try {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ events: batch }),
+        keepalive: true,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      removeFromOutbox(batch);
+      attempt = 0;
+      lastError = null;
+      lastSentAt = new Date().toISOString();
+      inFlight = false;
+      if (loadOutbox().length) schedule(0);
+    } catch (err) {
+      attempt += 1;
+      lastError = String(err.message || err);
+      inFlight = false;
+      schedule(backoff());
+    }
+  }
+
+  function beacon() {
+    if (!navigator.sendBeacon) return;
+    const queue = loadOutbox();
+    for (let i = 0; i < queue.length; i += batchSize) {
+      const chunk = queue.slice(i, i + batchSize);
+      // text/plain keeps the beacon a CORS "simple" request; the collector parses the body as JSON regardless
+      const blob = new Blob([JSON.stringify({ events: chunk })], { type: "text/plain;charset=UTF-8" });
+      if (!navigator.sendBeacon(endpoint, blob)) break;
+      removeFromOutbox(chunk);
+    }
+  }
+
+  const onOnline = () => flush();
+  const onHidden = () => document.visibilityState === "hidden" && beacon();
+  window.addEventListener("online", onOnline);
+  window.addEventListener("pagehide", beacon);
+  document.addEventListener("visibilitychange", onHidden);
+  schedule(flushDelayMs); // anything queued by an earlier, offline or closed session
+
+  return {
+    mode: "http",
+    send(evt) {
+      saveOutbox([...loadOutbox(), evt]);
+      if (loadOutbox().length >= batchSize) flush();
+      else schedule(flushDelayMs);
+    },
+    flush,
+    status: () => ({ mode: "http", endpoint, queued: loadOutbox().length, attempt, lastError, lastSentAt, online: navigator.onLine !== false }),
+    dispose() {
+      clearTimeout(timer);
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("pagehide", beacon);
+      document.removeEventListener("visibilitychange", onHidden);
+    },
+  };
+}
+
+let current = null;
+
+export function getTransport() {
+  if (!current) {
+    const config = loadTransportConfig();
+    current = config.mode === "http" ? createHttpTransport(config) : createLocalTransport();
+  }
+  return current;
+}
+
+export function saveTransportConfig(config) {
+  localStorage.setItem(TRANSPORT_KEY, JSON.stringify(config));
+  if (current) current.dispose();
+  current = null;
+  return getTransport();
+}
+
+// ----------------------------- reading back -----------------------------
+/**
+ * Fetch everything a collector has stored (NDJSON or a JSON array). Resolves to
+ * { events, skipped }: NDJSON lines that aren't valid JSON (e.g. torn by a
+ * collector crash) are left out and counted.
+ */
+export async function fetchCollectorEvents(endpoint) {
+  const res = await fetch(endpoint, { headers: { Accept: "application/x-ndjson, application/json" } });
+  if (!res.ok) throw new Error(`Collector returned HTTP ${res.status}`);
+  const text = await res.text();
+  const trimmed = text.trim();
+  if (!trimmed) return { events: [], skipped: 0 };
+  if (trimmed.startsWith("[")) return { events: JSON.parse(trimmed).map(migrateEvent), skipped: 0 };
+  const events = [];
+  let skipped = 0;
+  for (const line of trimmed.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      events.push(migrateEvent(JSON.parse(line)));
+    } catch {
+      skipped += 1;
+    }
+  }
+  return { events, skipped };
+}
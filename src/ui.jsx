@@ -0,0 +1,28 @@
+import React from "react";
+
+// ----------------------------- shared UI -----------------------------
+export function Metric({ label, value }) {
+  return (
+    <div className="rounded-xl border border-slate-200 p-3">
+      <div className="text-xs text-slate-500">{label}</div>
+      <div className="text-lg font-semibold">{value}</div>
+    </div>
+  );
+}
+export function Th({ children }) {
+  return <th className="text-left text-xs font-semibold text-slate-600 px-3 py-2">{children}</th>;
+}
+export function Td({ children, colSpan }) {
+  return (
+    <td colSpan={colSpan} className="px-3 py-2 text-slate-800 text-sm">
+      {children}
+    </td>
+  );
+}
+export function currency(n, code = "USD") {
+  return n.toLocaleString(undefined, {
+    style: "currency",
+    currency: code,
+    maximumFractionDigits: 0,
+  });
+}
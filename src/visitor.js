@@ -0,0 +1,57 @@
+/**
+ * Visitor identity
+ * ----------------------------------------------------
+ * A random id persisted in localStorage so the same browser is recognised on
+ * later visits (sticky variant assignment, de-duplication), plus a session id
+ * that rolls over after a period of inactivity. logEvent stamps both on every
+ * event. An embedded widget (embed.js) can swap in the host app's user id for
+ * the page load.
+ */
+
+const VISITOR_KEY = "pp_visitor_id";
+
+function randomId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+let externalId = null;
+
+/** Uses the host's id (embed.js) instead of this browser's until cleared with null; never persisted. */
+export function setExternalVisitorId(id) {
+  externalId = id || null;
+}
+
+/** The host's id while one is set, else null. */
+export function getExternalVisitorId() {
+  return externalId;
+}
+
+export function getVisitorId() {
+  if (externalId) return externalId;
+  let id = localStorage.getItem(VISITOR_KEY);
+  if (!id) {
+    id = randomId();
+    localStorage.setItem(VISITOR_KEY, id);
+  }
+  return id;
+}
+
+// ----------------------------- sessions -----------------------------
+// A session ends after SESSION_TIMEOUT_MS without any logged event; the next
+// event then starts a new one.
+const SESSION_KEY = "pp_session";
+export const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+export function getSessionId(now = Date.now()) {
+  let session = null;
+  try {
+    session = JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    session = null;
+  }
+  if (!session || now - session.lastSeen > SESSION_TIMEOUT_MS) session = { id: randomId(), startedAt: now };
+  session.lastSeen = now;
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session.id;
+}
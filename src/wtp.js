@@ -0,0 +1,198 @@
+/**
+ * Willingness-to-pay survey
+ * ----------------------------------------------------
+ * An optional step after the Early Access form (and a standalone #/wtp page)
+ * that asks for prices directly instead of inferring them from yes/no joins.
+ *
+ *  - Van Westendorp PSM: four open price questions (too cheap, bargain,
+ *    getting expensive, too expensive). Cumulative curves give the acceptable
+ *    range [PMC, PME] and the optimal (OPP) / indifference (IPP) price points.
+ *  - Gabor-Granger: yes/no "would you buy at $X?" over a price ladder, asked as
+ *    a binary search so each respondent answers ~3 questions. Acceptance at a
+ *    price is the share whose highest accepted price is at or above it.
+ *
+ * Each completed survey logs one WtpSurveyCompleted event; skipping logs
+ * WtpSurveySkipped. Responses are broken down by persona and population band.
+ */
+
+import { eventsForExperiment, variantPrices } from "./experiments.js";
+
+export const WTP_METHODS = [
+  { key: "off", label: "Off" },
+  { key: "van-westendorp", label: "Van Westendorp (price sensitivity meter)" },
+  { key: "gabor-granger", label: "Gabor-Granger (price ladder)" },
+];
+
+export const VW_QUESTIONS = [
+  { key: "too_cheap", label: "At what annual price would Premium Plus be so cheap that you'd doubt its quality?" },
+  { key: "cheap", label: "At what annual price would it be a bargain — a great buy for the money?" },
+  { key: "expensive", label: "At what annual price would it start to feel expensive, but you'd still consider it?" },
+  { key: "too_expensive", label: "At what annual price would it be too expensive to consider at all?" },
+];
+
+// Below this many responses a segment's numbers are shown greyed out
+export const MIN_WTP_RESPONSES = 10;
+
+/** The survey method an experiment runs after the EA form ("off" unless configured). */
+export function wtpMethod(experiment) {
+  return experiment.wtpMethod || "off";
+}
+
+const round100 = (x) => Math.round(x / 100) * 100;
+
+/** Gabor-Granger ladder: 8 evenly spaced prices from below the anchor to above the top variant. */
+export function priceLadder(experiment) {
+  const prices = variantPrices(experiment);
+  const lo = round100(Math.min(experiment.anchorPrice, ...prices) * 0.75);
+  const hi = round100(Math.max(...prices) * 1.3);
+  const steps = 8;
+  return Array.from(new Set(Array.from({ length: steps }, (_, i) => round100(lo + ((hi - lo) * i) / (steps - 1)))));
+}
+
+// ----------------------------- Gabor-Granger ladder -----------------------------
+export function startLadder(ladder) {
+  return { ladder, lo: 0, hi: ladder.length - 1, answers: [], maxAccepted: 0 };
+}
+
+/** Next price to ask, or null when the respondent's threshold is found. */
+export function ladderQuestion(state) {
+  return state.lo > state.hi ? null : state.ladder[Math.floor((state.lo + state.hi) / 2)];
+}
+
+export function answerLadder(state, accepted) {
+  const mid = Math.floor((state.lo + state.hi) / 2);
+  const price = state.ladder[mid];
+  return {
+    ...state,
+    lo: accepted ? mid + 1 : state.lo,
+    hi: accepted ? state.hi : mid - 1,
+    answers: state.answers.concat([{ price, accepted }]),
+    maxAccepted: accepted ? Math.max(state.maxAccepted, price) : state.maxAccepted,
+  };
+}
+
+// ----------------------------- Van Westendorp -----------------------------
+/** Validation message for a set of VW answers, or null. */
+export function vwProblem(answers) {
+  const values = VW_QUESTIONS.map((q) => answers[q.key]);
+  if (values.some((v) => !(v > 0))) return "Please answer all four questions with a price.";
+  if (values.some((v, i) => i > 0 && v < values[i - 1])) return "Each answer should be at least as high as the one above it.";
+  if (values[0] >= values[3]) return "The \"too expensive\" price should be higher than the \"too cheap\" one.";
+  return null;
+}
+
+// Where falling curve `down` meets rising curve `up`, linearly interpolated; null if they never cross.
+// If the curves run together (typically both at 0% between two answer clusters) it's the middle of that run.
+function crossing(points, down, up) {
+  const gapAt = (i) => points[i][down] - points[i][up];
+  for (let i = 0; i < points.length; i++) {
+    const gap = gapAt(i);
+    if (gap > 0) continue;
+    if (gap === 0) {
+      let j = i;
+      while (j + 1 < points.length && gapAt(j + 1) === 0) j++;
+      return (points[i].price + points[j].price) / 2;
+    }
+    if (i === 0) return points[0].price;
+    const prev = gapAt(i - 1);
+    const t = prev / (prev - gap);
+    return points[i - 1].price + t * (points[i].price - points[i - 1].price);
+  }
+  return null;
+}
+
+/**
+ * PSM curves and price points for { too_cheap, cheap, expensive, too_expensive } responses.
+ * Inconsistent answer sets are excluded (`excluded`).
+ */
+export function vanWestendorp(responses) {
+  const valid = responses.filter((r) => !vwProblem(r));
+  const n = valid.length;
+  if (!n) return { n, excluded: responses.length, points: [], pmc: null, opp: null, ipp: null, pme: null };
+  const share = (pred) => valid.filter(pred).length / n;
+  const grid = Array.from(new Set(valid.flatMap((r) => VW_QUESTIONS.map((q) => r[q.key])))).sort((a, b) => a - b);
+  const points = grid.map((price) => ({
+    price,
+    tooCheap: share((r) => r.too_cheap >= price),
+    notCheap: share((r) => r.cheap < price),
+    notExpensive: share((r) => r.expensive > price),
+    tooExpensive: share((r) => r.too_expensive <= price),
+  }));
+  return {
+    n,
+    excluded: responses.length - n,
+    points,
+    pmc: crossing(points, "tooCheap", "notCheap"),
+    opp: crossing(points, "tooCheap", "tooExpensive"),
+    ipp: crossing(points, "notExpensive", "notCheap"),
+    pme: crossing(points, "notExpensive", "tooExpensive"),
+  };
+}
+
+/** Known-answer checks for vanWestendorp(), for the Dashboard's self-test: [{ name, pass, got }]. */
+export function vanWestendorpChecks() {
+  // Two answer sets: the curves cross between grid prices (PMC, PME) and touch at one (OPP, IPP)
+  const vw = vanWestendorp([
+    { too_cheap: 10, cheap: 20, expensive: 30, too_expensive: 40 },
+    { too_cheap: 20, cheap: 30, expensive: 40, too_expensive: 50 },
+  ]);
+  return [
+    {
+      name: "Van Westendorp: PMC 25, OPP 30, IPP 30, PME 35",
+      pass: vw.pmc === 25 && vw.opp === 30 && vw.ipp === 30 && vw.pme === 35,
+      got: `PMC ${vw.pmc}, OPP ${vw.opp}, IPP ${vw.ipp}, PME ${vw.pme}`,
+    },
+  ];
+}
+
+// ----------------------------- Gabor-Granger -----------------------------
+/** Acceptance and revenue index (price × acceptance) per asked price, and the revenue-maximising price. */
+export function gaborGranger(responses) {
+  const n = responses.length;
+  const grid = Array.from(new Set(responses.flatMap((r) => r.ladder_answers.map((a) => a.price)))).sort((a, b) => a - b);
+  const points = grid.map((price) => {
+    const acceptance = n ? responses.filter((r) => r.max_accepted >= price).length / n : 0;
+    return { price, acceptance, revenue: price * acceptance };
+  });
+  const best = points.reduce((acc, p) => (!acc || p.revenue > acc.revenue ? p : acc), null);
+  return { n, points, optimum: best && best.revenue > 0 ? best : null };
+}
+
+// ----------------------------- from the event log -----------------------------
+function groupBy(list, key) {
+  const groups = new Map();
+  for (const r of list) {
+    const k = r[key] || "(unknown)";
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return Array.from(groups, ([value, rows]) => ({ value, rows })).sort((a, b) => b.rows.length - a.rows.length);
+}
+
+/**
+ * Survey results for one experiment:
+ * { vw, gg, skipped, breakdowns: [{ dimension, groups: [{ value, vw, gg }] }] }.
+ */
+export function analyzeWtp(allEvents, experiment) {
+  const events = eventsForExperiment(allEvents, experiment);
+  const completed = events.filter((e) => e.event === "WtpSurveyCompleted").map((e) => e.properties);
+  const vwRows = completed.filter((p) => p.method === "van-westendorp");
+  const ggRows = completed.filter((p) => p.method === "gabor-granger" && Array.isArray(p.ladder_answers));
+  const dimensions = [
+    { key: "persona", label: "Persona" },
+    { key: "population_band", label: "Population band" },
+  ];
+  return {
+    vw: vanWestendorp(vwRows),
+    gg: gaborGranger(ggRows),
+    skipped: events.filter((e) => e.event === "WtpSurveySkipped").length,
+    breakdowns: dimensions.map((d) => ({
+      ...d,
+      groups: groupBy(completed, d.key).map(({ value, rows }) => ({
+        value,
+        vw: vanWestendorp(rows.filter((p) => p.method === "van-westendorp")),
+        gg: gaborGranger(rows.filter((p) => p.method === "gabor-granger" && Array.isArray(p.ladder_answers))),
+      })),
+    })),
+  };
+}